@@ -30,6 +30,11 @@ import reviewRouter from './routes/reviewRoutes.js';
 import testRoute from './routes/testRoutes.js';
 import ratingRoutes from './routes/ratingRoutes.js';
 import balanceRoute from './routes/balanceRouter.js';
+import promotionRoutes from './routes/promotionRoutes.js';
+import deliveryZoneRoutes from './routes/deliveryZoneRoutes.js';
+import pricingRuleRoutes from './routes/pricingRuleRoutes.js';
+import driverShiftRoutes from './routes/driverShiftRoutes.js';
+import driverApplicationRoutes from './routes/driverApplicationRoutes.js';
 import configration from "./routes/configrationRoute.js";
 
 // ERROR HANDLER
@@ -75,7 +80,11 @@ app.use(cors({
 // -----------------------
 // BODY PARSER
 // -----------------------
-app.use(express.json({ limit: '10kb' })); 
+app.use(express.json({
+  limit: '10kb',
+  // keep the raw bytes for webhook signature checks (utils/chapaSignature.js)
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 
 // -----------------------
@@ -139,6 +148,11 @@ app.use('/api/v1/restaurants', restaurantRoutes);
 app.use('/api/v1/food-menus', foodMenuRoutes);
 app.use('/api/v1/orders', orderRoutes);
 app.use('/api/v1/balance', balanceRoute);
+app.use('/api/v1/promotions', promotionRoutes);
+app.use('/api/v1/delivery-zones', deliveryZoneRoutes);
+app.use('/api/v1/pricing-rules', pricingRuleRoutes);
+app.use('/api/v1/driver-shifts', driverShiftRoutes);
+app.use('/api/v1/driver-applications', driverApplicationRoutes);
 app.use("/api/v1/config", configration);
 app.use('/api/v1/deliveries', deliverRoutes);
 app.use('/api/v1/reviews', ratingRoutes);
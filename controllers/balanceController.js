@@ -1,11 +1,21 @@
-import Balance, { REQUESTER_TYPES, TRANSACTION_TYPES } from "../models/Balance.js";
+import mongoose from "mongoose";
+import Balance, {
+  REQUESTER_TYPES,
+  TRANSACTION_TYPES,
+  WALLET_TX_REF_TAG,
+} from "../models/Balance.js";
 import Restaurant from "../models/restaurantModel.js";
 import { TRANSACTION_STATUSES } from "../models/Transaction.js";
-import axios from "axios";
-import crypto from "crypto";
+import { isValidChapaTransferSignature, hasChapaTransferSignature } from "../utils/chapaSignature.js";
+import {
+  getPaymentProvider,
+  getProviderForCurrency,
+  getPayoutCurrency,
+  getOrderCurrency,
+} from "../utils/payments/index.js";
 
 /************************************************************
- *  Helper: Get Requester (Delivery or Restaurant)
+ *  Helper: Get Requester (Delivery, Restaurant or Customer wallet)
  ************************************************************/
 async function getRequester(req) {
   const user = req.user;
@@ -19,6 +29,13 @@ async function getRequester(req) {
     };
   }
 
+  if (user.role === "Customer") {
+    return {
+      requesterId: user._id,
+      requesterType: REQUESTER_TYPES.Customer,
+    };
+  }
+
   if (user.role === "Manager") {
     const restaurant = await Restaurant.findOne({ managerId: user._id });
     if (!restaurant) return null;
@@ -31,6 +48,26 @@ async function getRequester(req) {
 
   return null;
 }
+
+/************************************************************
+ *  Helper: Shape balance records for history / wallet statement
+ ************************************************************/
+const formatTransactions = (transactions) =>
+  transactions.map(tx => ({
+    id: tx._id,
+    type: tx.type,
+    originalAmount: Number(tx.originalAmount),
+    netAmount: Number(tx.netAmount),
+    fee: Number(tx.fee),
+    bankId: tx.bankId,
+    currency: tx.currency,
+    status: tx.status,
+    note: tx.note,
+    orderId: tx.orderId,
+    createdAt: tx.createdAt,
+    currentBalance: Number(tx.currentBalance || 0),
+  }));
+
 const autoValidateChapaTransfer = async (withdrawId) => {
   try {
     const withdraw = await Balance.findById(withdrawId);
@@ -40,38 +77,18 @@ const autoValidateChapaTransfer = async (withdrawId) => {
       return;
     }
 
-    // if (!withdraw.chapaResponse.reference) {
-    //   console.log("❌ No Chapa reference found on withdraw:", withdrawId);
-    //   return;
-    // }
-
     const reference = withdraw._id.toString();
 
-    // Call Chapa verify API
-    const response = await axios.get(
-      `https://api.chapa.co/v1/transfers/verify/${reference}`,
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.CHAPA_SECRET_KEY}`,
-        },
-      }
-    );
-
-    const result = response.data;
-    
-    if (result.status !== "success") {
-      console.log("❌ Transfer still pending or failed:", reference);
-      return;
-    }
-
-    const chapaStatus = result.data.status; // success, failed, pending
+    // Ask the provider that sent the payout
+    const provider = getPaymentProvider(withdraw.provider || "chapa");
+    const payoutStatus = await provider.verifyPayout(reference); // success, failed, pending
 
-    console.log("🔍 Chapa status:", chapaStatus);
+    console.log(`🔍 ${provider.name} payout status:`, payoutStatus);
 
     // Update DB
-    if (chapaStatus === "success") {
+    if (payoutStatus === "success") {
       withdraw.status = TRANSACTION_STATUSES.SUCCESS;
-    } else if (chapaStatus === "failed/cancelled") {
+    } else if (payoutStatus === "failed") {
       withdraw.status =TRANSACTION_STATUSES.FAILED;
     } else {
       withdraw.status = TRANSACTION_STATUSES.PROCESSING;
@@ -98,10 +115,24 @@ export const getBalance = async (req, res, next) => {
 
     const balance = await Balance.calculateTotal(requester.requesterId);
 
+    // Customers get their wallet statement alongside the balance
+    if (requester.requesterType === REQUESTER_TYPES.Customer) {
+      const transactions = await Balance.getTransactionsWithRunningBalance(requester.requesterId);
+      return res.status(200).json({
+        status: "success",
+        message: "Wallet statement retrieved.",
+        data: {
+          amount: Number(balance),
+          currency: getOrderCurrency(),
+          statement: formatTransactions(transactions).reverse(), // newest first
+        },
+      });
+    }
+
     return res.status(200).json({
       status: "success",
       message: "Total balance retrieved.",
-      data: { amount: Number(balance), currency: "ETB" },
+      data: { amount: Number(balance), currency: getPayoutCurrency() },
     });
   } catch (error) {
     next(error);
@@ -109,49 +140,30 @@ export const getBalance = async (req, res, next) => {
 };
 
 /************************************************************
- * 2️⃣ Chapa Transfer Helper
+ * 2️⃣ Payout Helper (provider picked by payout currency)
  ************************************************************/
-export const sendChapaTransfer = async ({ accountName, accountNumber, amount, bankCode, reference }) => {
-  const payload = {
-    account_name: accountName,
-    account_number: accountNumber,
-    amount: amount.toString(),
-    currency: "ETB",
+export const sendPayout = async ({ accountName, accountNumber, amount, bankCode, reference }) => {
+  const currency = getPayoutCurrency();
+  const provider = getProviderForCurrency(currency);
+
+  return provider.payout({
+    accountName,
+    accountNumber,
+    amount,
+    currency,
+    bankCode,
     reference,
-    bank_code: bankCode,
-  };
-
-  const response = await axios.post(
-    "https://api.chapa.co/v1/transfers",
-    payload,
-    {
-      headers: {
-        Authorization: `Bearer ${process.env.CHAPA_SECRET_KEY}`,
-        "Content-Type": "application/json",
-      },
-    }
-  );
-
-  return response.data;
+  });
 };
 
 /************************************************************
- * 3️⃣ GET CHAPA BALANCE
+ * 3️⃣ GET PROVIDER BALANCE
  ************************************************************/
-export const getChapaBalanceETB = async () => {
-  
-  const response = await axios.get("https://api.chapa.co/v1/balances", {
-    headers: {
-      Authorization: `Bearer ${process.env.CHAPA_SECRET_KEY}`,
-    },
-  });
-  const etb = response.data?.data?.find(b => b.currency === "ETB");
-
-  if (!etb) throw new Error("ETB balance not found on Chapa");
-  return {
-    available: Number(etb.available_balance || 0),
-    ledger: Number(etb.ledger_balance || 0),
-  };
+export const getPayoutBalance = async () => {
+  const currency = getPayoutCurrency();
+  const provider = getProviderForCurrency(currency);
+  const balance = await provider.getBalance(currency);
+  return { ...balance, currency, provider: provider.name };
 };
 
 /************************************************************
@@ -168,15 +180,7 @@ export const initWithdraw = async (req, res) => {
 
     const balance = await Balance.calculateTotal(requester.requesterId);
 console.log("balance", balance);
-    const bankRes = await axios.get("https://api.chapa.co/v1/banks", {
-      headers: {
-        Authorization: `Bearer ${process.env.CHAPA_SECRET_KEY}`,
-      },
-    });
-
-    const mobileBanks = bankRes.data.data.filter(
-      bank => [855, 128].includes(bank.id) // Telebirr, CBE Birr
-    );
+    const mobileBanks = await getProviderForCurrency(getPayoutCurrency()).listPayoutBanks();
 
     return res.status(200).json({
       status: "success",
@@ -228,17 +232,17 @@ export const requestWithdraw = async (req, res, next) => {
     }
 
     /***********************
-     * 2️⃣ Check Chapa Balance
+     * 2️⃣ Check Provider Balance
      *
      ***********************/
 
-    const chapaBalance = await getChapaBalanceETB();
+    const providerBalance = await getPayoutBalance();
    
-    if (chapaBalance.available < amount) {
+    if (providerBalance.available < amount) {
       return res.status(400).json({
         status: "fail",
-        message: "Chapa ETB balance too low.",
-        chapaAvailable: chapaBalance.available,
+        message: `${providerBalance.provider} ${providerBalance.currency} balance too low.`,
+        chapaAvailable: providerBalance.available,
       });
     }
 
@@ -260,6 +264,8 @@ export const requestWithdraw = async (req, res, next) => {
       deliveryId: requester.requesterType === REQUESTER_TYPES.Delivery ? requester.requesterId : undefined,
       restaurantId: requester.requesterType === REQUESTER_TYPES.Restaurant ? requester.requesterId : undefined,
       originalAmount: Number(amount),
+      currency: providerBalance.currency,
+      provider: providerBalance.provider,
       type: TRANSACTION_TYPES.Withdraw,
       note,
       bankId,
@@ -274,7 +280,7 @@ export const requestWithdraw = async (req, res, next) => {
     let transferRes;
 
     try {
-      transferRes = await sendChapaTransfer({
+      transferRes = await sendPayout({
         accountName: accName,
         accountNumber: accNumber,
         amount,
@@ -287,12 +293,12 @@ export const requestWithdraw = async (req, res, next) => {
 
       return res.status(500).json({
         status: "fail",
-        message: "Chapa payout failed.",
+        message: `${providerBalance.provider} payout failed.`,
         error: err.response?.data || err.message,
       });
     }
 
-    console.log("Chapa transfer response:", transferRes);
+    console.log(`${providerBalance.provider} transfer response:`, transferRes);
 
     withdrawal.status = TRANSACTION_STATUSES.PENDING;
     withdrawal.chapaResponse = transferRes;
@@ -327,19 +333,7 @@ export const getTransactionHistory = async (req, res) => {
 
     const transactions = await Balance.getTransactionsWithRunningBalance(requester.requesterId);
 
-    const formatted = transactions.map(tx => ({
-      id: tx._id,
-      type: tx.type,
-      originalAmount: Number(tx.originalAmount),
-      netAmount: Number(tx.netAmount),
-      fee: Number(tx.fee),
-      bankId: tx.bankId,
-      currency: tx.currency,
-      status: tx.status,
-      note: tx.note,
-      createdAt: tx.createdAt,
-      currentBalance: Number(tx.currentBalance || 0),
-    }));
+    const formatted = formatTransactions(transactions);
 
     const totalBalance = await Balance.calculateTotal(requester.requesterId);
 
@@ -409,22 +403,157 @@ export const getWithdrawHistory = async (req, res) => {
 };
 
 /************************************************************
- * 8️⃣ CHAPA WEBHOOK (FINAL APPROVAL)
+ * 8️⃣ DRIVER CASH LIABILITY (cash-on-delivery orders)
+ * Drivers see their own; admins pass ?deliveryId=
  ************************************************************/
-export const chapaTransferApproval = async (req, res) => {
+export const getCashLiability = async (req, res, next) => {
+  try {
+    const deliveryId = req.user.role === "Admin" ? req.query.deliveryId : req.user._id;
+
+    if (!mongoose.isValidObjectId(deliveryId)) {
+      return res.status(400).json({ status: "fail", message: "A valid deliveryId is required." });
+    }
+
+    const liability = await Balance.calculateCashLiability(deliveryId);
+    const balance = await Balance.calculateTotal(new mongoose.Types.ObjectId(String(deliveryId)));
+
+    return res.status(200).json({
+      status: "success",
+      data: {
+        deliveryId,
+        ...liability,
+        // already netted: collected cash is deducted from what can be withdrawn
+        balance: Number(balance),
+        currency: getPayoutCurrency(),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/************************************************************
+ * 9️⃣ ADMIN: RECORD CASH HANDED OVER BY A DRIVER
+ ************************************************************/
+export const recordCashRemittance = async (req, res, next) => {
+  try {
+    const { deliveryId, amount, note } = req.body;
+
+    if (!mongoose.isValidObjectId(deliveryId)) {
+      return res.status(400).json({ status: "fail", message: "A valid deliveryId is required." });
+    }
+    if (!amount || Number(amount) <= 0) {
+      return res.status(400).json({ status: "fail", message: "Invalid remittance amount." });
+    }
+
+    const { outstanding } = await Balance.calculateCashLiability(deliveryId);
+    if (Number(amount) > outstanding) {
+      return res.status(400).json({
+        status: "fail",
+        message: "Amount is more than the driver's outstanding cash.",
+        outstanding,
+      });
+    }
+
+    const remittance = await Balance.create({
+      requesterType: REQUESTER_TYPES.Delivery,
+      deliveryId,
+      originalAmount: Number(amount),
+      currency: getPayoutCurrency(),
+      type: TRANSACTION_TYPES.CashRemitted,
+      status: TRANSACTION_STATUSES.APPROVED,
+      note: note || `Cash received by ${req.user.firstName || "admin"} ${req.user._id}`,
+    });
+
+    return res.status(201).json({
+      status: "success",
+      message: "Cash remittance recorded.",
+      data: {
+        remittance,
+        outstanding: Number((outstanding - Number(amount)).toFixed(2)),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/************************************************************
+ * 1️⃣1️⃣ CUSTOMER WALLET TOP-UP → Returns checkout URL
+ * Credited by the payment webhook (see orderController)
+ ************************************************************/
+export const topUpWallet = async (req, res, next) => {
   try {
-    const secret = process.env.CHAPA_SIGNATURE;
+    const amount = Number(req.body.amount);
+    const maxTopUp = parseFloat(process.env.WALLET_MAX_TOP_UP || "10000");
+
+    if (!amount || amount <= 0 || amount > maxTopUp) {
+      return res.status(400).json({
+        status: "fail",
+        message: `Top-up amount must be between 0 and ${maxTopUp}.`,
+      });
+    }
 
-    const receivedSig = req.headers["chapa-signature"];
-    if (!receivedSig) return res.status(400).send("Missing signature");
+    const currency = getOrderCurrency();
+    const provider = getProviderForCurrency(currency);
 
-    const expected = crypto
-      .createHmac("sha256", secret)
-      .update(secret)
-      .digest("hex")
-      .toLowerCase();
+    const topUp = await Balance.create({
+      requesterType: REQUESTER_TYPES.Customer,
+      customerId: req.user._id,
+      originalAmount: Number(amount.toFixed(2)),
+      currency,
+      type: TRANSACTION_TYPES.TopUp,
+      status: TRANSACTION_STATUSES.PENDING,
+      provider: provider.name,
+      note: "Wallet top-up",
+    });
+
+    const txRef = `${provider.txRefPrefix}-${WALLET_TX_REF_TAG}-${topUp._id}-${Date.now()}`;
+
+    let checkout;
+    try {
+      checkout = await provider.initialize({
+        amount,
+        currency,
+        txRef,
+        user: req.user,
+        description: "Wallet top-up",
+      });
+    } catch (err) {
+      topUp.status = TRANSACTION_STATUSES.FAILED;
+      await topUp.save();
+      return res.status(502).json({
+        status: "fail",
+        message: "Could not start the top-up payment.",
+        error: err.response?.data || err.message,
+      });
+    }
+
+    topUp.txRef = txRef;
+    await topUp.save();
+
+    return res.status(201).json({
+      status: "success",
+      data: {
+        topUpId: topUp._id,
+        amount,
+        currency,
+        payment: { checkout_url: checkout.checkoutUrl, tx_ref: txRef, provider: provider.name },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/************************************************************
+ * 🔟 CHAPA WEBHOOK (FINAL APPROVAL)
+ ************************************************************/
+export const chapaTransferApproval = async (req, res) => {
+  try {
+    if (!hasChapaTransferSignature(req)) return res.status(400).send("Missing signature");
 
-    if (receivedSig.toLowerCase() !== expected) {
+    if (!isValidChapaTransferSignature(req)) {
       return res.status(400).send("Invalid signature");
     }
     const { reference } = req.body;
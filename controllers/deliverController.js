@@ -1,5 +1,5 @@
 import Deliver from '../models/Deliver.js';
-import Order from '../models/Order.js';
+import Order, { ORDER_STATUSES, buildStatusHistoryEntry } from '../models/Order.js';
 import { getIO } from '../utils/socket.js';
 
 
@@ -152,6 +152,14 @@ export const assignDeliveryToOrder = async (req, res, next) => {
       {
         deliveryId: delivery._id,
         orderStatus: 'Delivering',
+        $push: {
+          statusHistory: buildStatusHistoryEntry({
+            from: order.orderStatus,
+            status: ORDER_STATUSES.Delivering,
+            user: req.user,
+            reason: 'Delivery person assigned',
+          }),
+        },
       },
       {
         new: true,
@@ -225,7 +233,11 @@ export const cancelDeliveryAssignment = async (req, res, next) => {
     }
 
     order.deliveryId = null;
-    order.orderStatus = 'Cooked'; // revert back to cooked, waiting for another delivery assignment
+    // revert back to cooked, waiting for another delivery assignment
+    order.recordStatusChange(ORDER_STATUSES.Cooked, {
+      user: req.user,
+      reason: 'Delivery assignment cancelled',
+    });
     await order.save();
 
     // 🔊 notify that assignment was cancelled so other delivery people can pick up
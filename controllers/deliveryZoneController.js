@@ -0,0 +1,100 @@
+import DeliveryZone from '../models/DeliveryZone.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'area',
+  'tariffs',
+  'maxDistanceKm',
+  'priority',
+  'active',
+];
+
+const pickEditable = (body) =>
+  Object.fromEntries(Object.entries(body).filter(([key]) => EDITABLE_FIELDS.includes(key)));
+
+const loadZone = async (id) => {
+  const zone = await DeliveryZone.findById(id);
+  if (!zone) throw new AppError('Delivery zone not found', 404);
+  return zone;
+};
+
+// CREATE a delivery zone
+export const createDeliveryZone = catchAsync(async (req, res) => {
+  const zone = await DeliveryZone.create({ ...pickEditable(req.body), createdBy: req.user._id });
+
+  res.status(201).json({
+    status: 'success',
+    data: zone
+  });
+});
+
+// GET delivery zones (apps draw the service area from these)
+export const getDeliveryZones = catchAsync(async (req, res) => {
+  const filter = {};
+  if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+
+  const zones = await DeliveryZone.find(filter).sort({ priority: -1, name: 1 });
+
+  res.status(200).json({
+    status: 'success',
+    results: zones.length,
+    data: zones
+  });
+});
+
+// GET one delivery zone
+export const getDeliveryZone = catchAsync(async (req, res) => {
+  const zone = await loadZone(req.params.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: zone
+  });
+});
+
+// UPDATE a delivery zone
+export const updateDeliveryZone = catchAsync(async (req, res) => {
+  const zone = await loadZone(req.params.id);
+
+  zone.set(pickEditable(req.body));
+  await zone.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: zone
+  });
+});
+
+// DELETE a delivery zone (placed orders keep the fee they were charged)
+export const deleteDeliveryZone = catchAsync(async (req, res) => {
+  const zone = await loadZone(req.params.id);
+  await zone.deleteOne();
+
+  res.status(200).json({
+    status: 'success',
+    message: `Delivery zone ${zone.name} deleted`,
+    data: null
+  });
+});
+
+// Which zone (and tariffs) covers a point: ?lat=..&lng=..
+export const lookupDeliveryZone = catchAsync(async (req, res, next) => {
+  const lat = parseFloat(req.query.lat);
+  const lng = parseFloat(req.query.lng);
+  if (isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return next(new AppError('Valid lat and lng query parameters are required', 400));
+  }
+
+  const zone = await DeliveryZone.findForLocation({ lat, lng });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      deliverable: !!zone || !(await DeliveryZone.exists({ active: true })),
+      zone
+    }
+  });
+});
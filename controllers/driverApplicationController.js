@@ -0,0 +1,276 @@
+import mongoose from 'mongoose';
+import DriverApplication, {
+  APPLICATION_STATUSES,
+  DOCUMENT_STATUSES,
+  DRIVER_STATUSES,
+} from '../models/DriverApplication.js';
+import { DELIVERY_VEHICLES } from '../models/Order.js';
+import { DRIVER_AVAILABILITY } from '../models/DriverShift.js';
+import User from '../models/userModel.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+import { deleteImageFromCloudinary, getSignedImageUrl } from '../utils/cloudinary.js';
+import { uploadDriverDocuments, reinstateIfCompliant } from '../utils/driverDocuments.js';
+import { sendToUser } from '../socketServer.js';
+
+const REVIEW_DECISIONS = [DOCUMENT_STATUSES.Approved, DOCUMENT_STATUSES.Rejected];
+
+// Read lazily: this module is imported before dotenv runs in server.js
+const documentLinkMinutes = () => parseFloat(process.env.DRIVER_DOCUMENT_LINK_MINUTES || '10');
+
+// Admin view of an application (plain object): every document with a short-lived signed link
+const withDocumentLinks = (application) => ({
+  ...application,
+  documents: application.documents.map((doc) => {
+    const link = getSignedImageUrl(doc.publicId, {
+      type: doc.storageType || 'upload',
+      expiresInSeconds: Math.round(documentLinkMinutes() * 60),
+    });
+    // replaces the permanent public URL older documents still carry
+    return { ...doc, url: link.url, urlExpiresAt: link.expiresAt };
+  }),
+});
+
+const loadApplication = async (id) => {
+  if (!mongoose.isValidObjectId(id)) throw new AppError('Invalid application ID', 400);
+  const application = await DriverApplication.findById(id);
+  if (!application) throw new AppError('Driver application not found', 404);
+  return application;
+};
+
+const latestApplication = (userId) => DriverApplication.findOne({ userId }).sort({ createdAt: -1 });
+
+// Pending / rejected uploads of a type make way for the new one (approved ones stay until it is approved)
+const dropUnreviewedDocuments = (application, types) => {
+  const dropped = application.documents.filter(
+    (doc) =>
+      types.includes(doc.type) &&
+      [DOCUMENT_STATUSES.Pending, DOCUMENT_STATUSES.Rejected].includes(doc.status)
+  );
+  application.documents = application.documents.filter((doc) => !dropped.includes(doc));
+  dropped.forEach((doc) =>
+    deleteImageFromCloudinary(doc.publicId, { type: doc.storageType }).catch((err) =>
+      console.error(`⚠️ Could not delete document image ${doc.publicId}:`, err.message)
+    )
+  );
+};
+
+// APPLY to become a driver (multipart: IdPhoto, License, VehicleRegistration + expiresAt[...])
+export const applyAsDriver = catchAsync(async (req, res, next) => {
+  const { deliveryMethod, fcnNumber } = req.body;
+  if (!Object.values(DELIVERY_VEHICLES).includes(deliveryMethod)) {
+    return next(new AppError(`deliveryMethod must be one of ${Object.values(DELIVERY_VEHICLES).join(', ')}`, 400));
+  }
+  if (!fcnNumber) return next(new AppError('FCN Number is required', 400));
+
+  const existing = await latestApplication(req.user._id);
+  if (existing && existing.status !== APPLICATION_STATUSES.Rejected) {
+    return next(new AppError(`You already have a ${existing.status.toLowerCase()} driver application`, 400));
+  }
+
+  const documents = await uploadDriverDocuments(req.user._id, req.files, req.body.expiresAt);
+  const application = await DriverApplication.create({
+    userId: req.user._id,
+    deliveryMethod,
+    fcnNumber,
+    documents,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Application submitted. We will review your documents shortly.',
+    data: application
+  });
+});
+
+// GET my latest application (applicant or driver)
+export const getMyApplication = catchAsync(async (req, res, next) => {
+  const application = await latestApplication(req.user._id);
+  if (!application) return next(new AppError('No driver application found', 404));
+
+  res.status(200).json({
+    status: 'success',
+    data: { ...application.toObject(), missingDocuments: application.missingDocuments() }
+  });
+});
+
+// UPLOAD new or renewed documents to my application (Pending review)
+export const uploadMyDocuments = catchAsync(async (req, res, next) => {
+  const application = await latestApplication(req.user._id);
+  if (!application || application.status === APPLICATION_STATUSES.Rejected) {
+    return next(new AppError('Submit a new driver application first', 400));
+  }
+
+  const documents = await uploadDriverDocuments(req.user._id, req.files, req.body.expiresAt);
+  dropUnreviewedDocuments(application, documents.map((doc) => doc.type));
+  application.documents.push(...documents);
+  await application.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Documents uploaded. They will be reviewed shortly.',
+    data: application
+  });
+});
+
+/**
+ * GET review queue, oldest first.
+ * ?status=Pending (default) for new applications, ?documentStatus=Pending for renewals.
+ */
+export const getDriverApplications = catchAsync(async (req, res) => {
+  const filter = {};
+  if (req.query.documentStatus) {
+    filter['documents.status'] = req.query.documentStatus;
+  } else {
+    filter.status = req.query.status || APPLICATION_STATUSES.Pending;
+  }
+
+  const applications = await DriverApplication.find(filter)
+    .populate('userId', 'firstName lastName phone driverStatus suspensionReason')
+    .sort({ updatedAt: 1 })
+    .lean();
+
+  res.status(200).json({
+    status: 'success',
+    results: applications.length,
+    data: applications.map(withDocumentLinks)
+  });
+});
+
+// GET one application
+export const getDriverApplication = catchAsync(async (req, res) => {
+  const application = await loadApplication(req.params.id);
+  await application.populate('userId', 'firstName lastName phone role driverStatus suspensionReason');
+
+  res.status(200).json({
+    status: 'success',
+    data: { ...withDocumentLinks(application.toObject()), missingDocuments: application.missingDocuments() }
+  });
+});
+
+// REVIEW one document: { status: 'Approved' | 'Rejected', rejectionReason }
+export const reviewDriverDocument = catchAsync(async (req, res, next) => {
+  const { status, rejectionReason } = req.body;
+  if (!REVIEW_DECISIONS.includes(status)) {
+    return next(new AppError(`status must be one of ${REVIEW_DECISIONS.join(', ')}`, 400));
+  }
+  if (status === DOCUMENT_STATUSES.Rejected && !rejectionReason) {
+    return next(new AppError('rejectionReason is required when rejecting a document', 400));
+  }
+
+  const application = await loadApplication(req.params.id);
+  const doc = application.documents.id(req.params.documentId);
+  if (!doc) return next(new AppError('Document not found', 404));
+  if (doc.status !== DOCUMENT_STATUSES.Pending) {
+    return next(new AppError(`Document is already ${doc.status.toLowerCase()}`, 400));
+  }
+
+  if (status === DOCUMENT_STATUSES.Approved) {
+    if (doc.expiresAt && doc.expiresAt <= new Date()) {
+      return next(new AppError('Document has already expired', 400));
+    }
+    application.approveDocument(doc, req.user);
+  } else {
+    doc.status = DOCUMENT_STATUSES.Rejected;
+    doc.rejectionReason = rejectionReason;
+    doc.reviewedBy = req.user._id;
+    doc.reviewedAt = new Date();
+  }
+  await application.save();
+
+  const reinstated = await reinstateIfCompliant(application);
+  sendToUser(application.userId.toString(), 'driverDocumentReviewed', {
+    applicationId: application._id,
+    documentId: doc._id,
+    type: doc.type,
+    status: doc.status,
+    rejectionReason: doc.rejectionReason,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      ...withDocumentLinks(application.toObject()),
+      missingDocuments: application.missingDocuments(),
+      reinstated
+    }
+  });
+});
+
+// APPROVE an application: the applicant becomes a delivery person
+export const approveDriverApplication = catchAsync(async (req, res, next) => {
+  const application = await loadApplication(req.params.id);
+  if (application.status !== APPLICATION_STATUSES.Pending) {
+    return next(new AppError(`Application is already ${application.status.toLowerCase()}`, 400));
+  }
+  const missing = application.missingDocuments();
+  if (missing.length) {
+    return next(new AppError(`Approve these documents first: ${missing.join(', ')}`, 400));
+  }
+
+  const user = await User.findById(application.userId);
+  if (!user) return next(new AppError('Applicant not found', 404));
+  if (['Manager', 'Admin'].includes(user.role)) {
+    return next(new AppError(`A ${user.role} account cannot become a delivery person`, 400));
+  }
+
+  // updateOne: saving the whole user would re-run unrelated validators (passwordConfirm)
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        role: 'Delivery_Person',
+        deliveryMethod: application.deliveryMethod,
+        fcnNumber: application.fcnNumber,
+        driverStatus: DRIVER_STATUSES.Active,
+        availability: DRIVER_AVAILABILITY.Offline,
+      },
+    }
+  );
+
+  application.status = APPLICATION_STATUSES.Approved;
+  application.rejectionReason = undefined;
+  application.reviewedBy = req.user._id;
+  application.reviewedAt = new Date();
+  await application.save();
+
+  sendToUser(user._id.toString(), 'driverApplicationReviewed', {
+    applicationId: application._id,
+    status: application.status,
+    message: 'Welcome aboard! Sign in again to start delivering.',
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: `${user.firstName || 'Applicant'} is now a delivery person`,
+    data: application
+  });
+});
+
+// REJECT an application: { reason }
+export const rejectDriverApplication = catchAsync(async (req, res, next) => {
+  const { reason } = req.body;
+  if (!reason) return next(new AppError('A reason is required to reject an application', 400));
+
+  const application = await loadApplication(req.params.id);
+  if (application.status !== APPLICATION_STATUSES.Pending) {
+    return next(new AppError(`Application is already ${application.status.toLowerCase()}`, 400));
+  }
+
+  application.status = APPLICATION_STATUSES.Rejected;
+  application.rejectionReason = reason;
+  application.reviewedBy = req.user._id;
+  application.reviewedAt = new Date();
+  await application.save();
+
+  sendToUser(application.userId.toString(), 'driverApplicationReviewed', {
+    applicationId: application._id,
+    status: application.status,
+    reason,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: application
+  });
+});
@@ -0,0 +1,174 @@
+import mongoose from 'mongoose';
+import DriverShift, { DRIVER_AVAILABILITY } from '../models/DriverShift.js';
+import User from '../models/userModel.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+import { changeAvailability, getOpenShift } from '../utils/driverAvailability.js';
+
+const DEFAULT_REPORT_DAYS = 7;
+const HOUR_MS = 60 * 60 * 1000;
+
+const toHours = (ms) => Number((ms / HOUR_MS).toFixed(2));
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw new AppError(`${name} must be a valid date`, 400);
+  return date;
+};
+
+// GET my availability and open shift (driver)
+export const getMyAvailability = catchAsync(async (req, res) => {
+  const shift = await getOpenShift(req.user._id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      availability: req.user.availability || DRIVER_AVAILABILITY.Offline,
+      availabilityChangedAt: req.user.availabilityChangedAt || null,
+      shift
+    }
+  });
+});
+
+// PATCH my availability: { availability: 'Online' | 'OnBreak' | 'Offline' } (driver)
+export const updateMyAvailability = catchAsync(async (req, res) => {
+  const result = await changeAvailability(req.user._id, req.body.availability);
+
+  res.status(200).json({
+    status: 'success',
+    data: { ...result, shift: await getOpenShift(req.user._id) }
+  });
+});
+
+// GET drivers and their current availability (?availability=Online&vehicle=Motor)
+export const getDriverAvailability = catchAsync(async (req, res, next) => {
+  const filter = { role: 'Delivery_Person' };
+  const { availability, vehicle } = req.query;
+
+  if (availability) {
+    if (!Object.values(DRIVER_AVAILABILITY).includes(availability)) {
+      return next(new AppError(`availability must be one of ${Object.values(DRIVER_AVAILABILITY).join(', ')}`, 400));
+    }
+    // Drivers created before availability existed count as Offline
+    filter.availability = availability === DRIVER_AVAILABILITY.Offline ? { $in: [availability, null] } : availability;
+  }
+  if (vehicle) filter.deliveryMethod = vehicle;
+
+  const drivers = await User.find(filter)
+    .select('firstName lastName phone deliveryMethod availability availabilityChangedAt')
+    .sort({ availabilityChangedAt: -1 })
+    .lean();
+
+  res.status(200).json({
+    status: 'success',
+    results: drivers.length,
+    data: drivers.map((driver) => ({
+      ...driver,
+      availability: driver.availability || DRIVER_AVAILABILITY.Offline
+    }))
+  });
+});
+
+/**
+ * GET online hours and acceptance rates per driver (?from&to&deliveryId).
+ * Defaults to the last 7 days. Hours are clipped to the period; offer and order
+ * counts belong to the shifts that overlap it.
+ */
+export const getShiftReport = catchAsync(async (req, res, next) => {
+  const to = req.query.to ? parseDate(req.query.to, 'to') : new Date();
+  const from = req.query.from
+    ? parseDate(req.query.from, 'from')
+    : new Date(to.getTime() - DEFAULT_REPORT_DAYS * 24 * HOUR_MS);
+  if (from >= to) return next(new AppError('from must be before to', 400));
+
+  const filter = {
+    startedAt: { $lt: to },
+    $or: [{ endedAt: null }, { endedAt: { $gt: from } }]
+  };
+  if (req.query.deliveryId) {
+    if (!mongoose.isValidObjectId(req.query.deliveryId)) {
+      return next(new AppError('Invalid deliveryId', 400));
+    }
+    filter.deliveryId = req.query.deliveryId;
+  }
+
+  const shifts = await DriverShift.find(filter)
+    .populate('deliveryId', 'firstName lastName phone deliveryMethod')
+    .sort({ startedAt: 1 });
+
+  const drivers = new Map();
+  shifts.forEach((shift) => {
+    if (!shift.deliveryId) return; // driver deleted
+    const key = shift.deliveryId._id.toString();
+    if (!drivers.has(key)) {
+      drivers.set(key, {
+        driver: shift.deliveryId,
+        shifts: 0,
+        onlineMs: 0,
+        breakMs: 0,
+        offersReceived: 0,
+        offersAccepted: 0,
+        offersDeclined: 0,
+        offersExpired: 0,
+        ordersAccepted: 0,
+        ordersDelivered: 0,
+        lateDeliveries: 0,
+        reassignments: 0
+      });
+    }
+    const row = drivers.get(key);
+    const { onlineMs, breakMs } = shift.onlineMsBetween(from, to);
+    row.shifts += 1;
+    row.onlineMs += onlineMs;
+    row.breakMs += breakMs;
+    Object.keys(shift.stats.toObject()).forEach((stat) => {
+      row[stat] += shift.stats[stat] || 0;
+    });
+  });
+
+  const report = [...drivers.values()]
+    .map(({ onlineMs, breakMs, ...row }) => ({
+      ...row,
+      onlineHours: toHours(onlineMs),
+      breakHours: toHours(breakMs),
+      // Nearest-driver offers only; broadcast orders are first come, first served
+      acceptanceRate: row.offersReceived
+        ? Number((row.offersAccepted / row.offersReceived).toFixed(2))
+        : null
+    }))
+    .sort((a, b) => b.onlineHours - a.onlineHours);
+
+  res.status(200).json({
+    status: 'success',
+    results: report.length,
+    data: { from, to, drivers: report }
+  });
+});
+
+// GET shift log (?deliveryId&from&to), newest first
+export const getShifts = catchAsync(async (req, res, next) => {
+  const filter = {};
+  if (req.query.deliveryId) {
+    if (!mongoose.isValidObjectId(req.query.deliveryId)) {
+      return next(new AppError('Invalid deliveryId', 400));
+    }
+    filter.deliveryId = req.query.deliveryId;
+  }
+  if (req.query.from || req.query.to) {
+    filter.startedAt = {};
+    if (req.query.from) filter.startedAt.$gte = parseDate(req.query.from, 'from');
+    if (req.query.to) filter.startedAt.$lt = parseDate(req.query.to, 'to');
+  }
+
+  const shifts = await DriverShift.find(filter)
+    .populate('deliveryId', 'firstName lastName phone')
+    .sort({ startedAt: -1 })
+    .limit(500)
+    .lean();
+
+  res.status(200).json({
+    status: 'success',
+    results: shifts.length,
+    data: shifts
+  });
+});
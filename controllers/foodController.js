@@ -75,8 +75,24 @@ const uploadFromBuffer = (fileBuffer, folder = 'food_images', publicId) => {
   });
 };
 
+// Option groups may arrive as a JSON string when the form is multipart (image upload)
+const parseOptionGroups = (raw) => {
+  if (raw === undefined) return undefined;
+  let groups = raw;
+  if (typeof raw === 'string') {
+    try {
+      groups = JSON.parse(raw);
+    } catch {
+      throw new AppError('optionGroups is not valid JSON', 400);
+    }
+  }
+  if (!Array.isArray(groups)) throw new AppError('optionGroups must be an array', 400);
+  return groups;
+};
+
 export const createFood = catchAsync(async (req, res, next) => {
   const { foodName, price, ingredients, instructions, cookingTimeMinutes, menuId } = req.body;
+  const optionGroups = parseOptionGroups(req.body.optionGroups);
 
   // Validate required fields
   if (!foodName) return next(new AppError('Food name is required', 400));
@@ -120,7 +136,8 @@ export const createFood = catchAsync(async (req, res, next) => {
     cookingTimeMinutes,
     imageCover,
     menuId,
-    restaurantId: menu.restaurantId
+    restaurantId: menu.restaurantId,
+    optionGroups
   });
 
   res.status(201).json({
@@ -131,6 +148,7 @@ export const createFood = catchAsync(async (req, res, next) => {
 export const updateFood = catchAsync(async (req, res, next) => {
   const { id } = req.params;
   const { foodName, price, ingredients, instructions, cookingTimeMinutes, status } = req.body;
+  const optionGroups = parseOptionGroups(req.body.optionGroups);
 
   // 1️⃣ Find existing food
   const food = await Food.findById(id);
@@ -176,6 +194,8 @@ export const updateFood = catchAsync(async (req, res, next) => {
   food.instructions = normalizedInstructions;
   if (cookingTimeMinutes !== undefined) food.cookingTimeMinutes = cookingTimeMinutes;
   food.imageCover = imageCover;
+  // Replaces the whole list; past orders keep their own snapshot
+  if (optionGroups !== undefined) food.optionGroups = optionGroups;
 
   await food.save();
 
@@ -197,13 +217,14 @@ export const getAllFoods = catchAsync(async (req, res) => {
   })
   .populate({
     path: 'restaurantId',
-    match: { active: true, isOpenNow: true }, // ✅ only populate active/open restaurants
-    select: 'name isDeliveryAvailable active',
+    match: { active: true }, // ✅ only populate active restaurants
+    // isOpenNow: the old flag, still used by restaurants without opening hours
+    select: 'name isDeliveryAvailable active openingHours scheduleExceptions timezone isOpenNow',
   });
 
-// Remove foods where either menu or restaurant didn't match
+// Remove foods where either menu or restaurant didn't match, or the restaurant is closed now
 const filteredFoods = foods.filter(
-  food => food.menuId && food.restaurantId
+  food => food.menuId && food.restaurantId?.isOpenNow
 );
 
 res.status(200).json({
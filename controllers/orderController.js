@@ -3,67 +3,77 @@ import Order, {
   ORDER_TYPES, 
   DELIVERY_VEHICLES, 
   ORDER_STATUSES,
+  CANCELLATION_SOURCES,
+  PAYMENT_METHODS,
+  OFFLINE_PAYMENT_METHODS,
+  PAYMENT_METHOD_ORDER_TYPES,
+  ETA_BASES,
+  DELIVERY_PROOF_METHODS,
+  buildStatusHistoryEntry,
+  parseScheduledFor,
 } from "../models/Order.js";
-import { TRANSACTION_STATUSES } from "../models/Transaction.js";
+import { TRANSACTION_STATUSES, TRANSACTION_FAILURE_REASONS } from "../models/Transaction.js";
 import Restaurant from '../models/restaurantModel.js';
 import User from '../models/userModel.js';
-import axios from 'axios';
 import { getIO } from '../utils/socket.js';
 import { computeDeliveryFee } from '../utils/computeDeliveryFee.js';
-import Balance, { REQUESTER_TYPES, TRANSACTION_TYPES } from "../models/Balance.js";
+import { signDeliveryQuote } from '../utils/deliveryQuote.js';
+import Balance, {
+  REQUESTER_TYPES,
+  TRANSACTION_TYPES,
+  WALLET_TX_REF_TAG,
+  splitDeposit,
+} from "../models/Balance.js";
 import { ref, remove } from 'firebase/database';
 import { database,  set } from "../firebase.js";
-import { notifyCustomer ,notifyRestaurantManager,notifyDeliveryGroup} from '../socketServer.js';
+import { notifyCustomer, sendToUser} from '../socketServer.js';
+import { isDueForKitchen, releaseToKitchen } from '../utils/scheduledOrderReleaser.js';
+import { getDefaultTimeZone } from '../utils/openingHours.js';
+import { dispatchCookedOrder, settleOffer } from '../utils/driverDispatcher.js';
+import { endBreadcrumbTrail } from '../utils/locationBreadcrumbs.js';
+import { estimateAtPlacement, refreshOrderEta, endEtaTracking } from '../utils/deliveryEta.js';
+import LocationBreadcrumb from '../models/LocationBreadcrumb.js';
 import AfroMessageService from '../utils/AfroMessageService.js';
+import { uploadImageToCloudinary } from '../utils/cloudinary.js';
+import { getDistance } from 'geolib';
 import { activeDeliveryOrders } from '../socketServer.js';
+import { getActiveBatch, getBatchRefusal, joinBatch, buildBatchView } from '../utils/deliveryBatching.js';
+import { getAcceptRefusal, syncBusyState, countShiftEvent, SHIFT_EVENTS } from '../utils/driverAvailability.js';
+import { startPickupSla, startDeliverySla, recordDeliveryOutcome } from '../utils/deliverySla.js';
+import AppError from '../utils/appError.js';
+import Promotion, { PROMOTION_FUNDERS } from '../models/Promotion.js';
+import WebhookEvent, { WEBHOOK_EVENT_STATUSES } from '../models/WebhookEvent.js';
+import {
+  getPaymentProvider,
+  getProviderForCurrency,
+  getOrderCurrency,
+} from '../utils/payments/index.js';
 // Initialize AfroMessage service
 const afroMessageService = new AfroMessageService();
 
-export const initializeChapaPayment = async ({ amount, currency, orderId, user }) => {
-  try {
-    const numericAmount = Number(amount);
-    if (isNaN(numericAmount) || numericAmount <= 0) {
-      throw new Error("Invalid amount provided to Chapa");
-    }
-    // Generate unique transaction reference
-    const txRef = `CHAPA-${orderId}-${Date.now()}`;
-    
-    const callbackUrl = `${process.env.SERVER_URL}/api/v1/orders/chapa-webhook`;
+export const initializeOrderPayment = async ({ amount, currency, orderId, user }) => {
+  const numericAmount = Number(amount);
+  if (isNaN(numericAmount) || numericAmount <= 0) {
+    throw new Error("Invalid amount provided to payment provider");
+  }
 
-    // Initialize payment request
-    const chapaResponse = await axios.post(
-      "https://api.chapa.co/v1/transaction/initialize",
-      {
-        amount:1,
-        currency,
-        first_name: user.firstName|| "Customer",
-      
-        phone_number: user.phone,
-        tx_ref: txRef,
-        callback_url: callbackUrl,
-        customization: {
-          title: "Gebeta Pay", // ✅ only 10 chars
-          description: `Order ${txRef}`, // ✅ ~20–30 chars max
-        },
-        meta: {
-          hide_receipt: true,
-        },
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.CHAPA_SECRET_KEY}`,
-          "Content-Type": "application/json",
-        },
-      }
-    );
-    // ✅ Return the Chapa checkout URL and tx_ref
-    return {
-      checkout_url: chapaResponse.data.data.checkout_url,
-      tx_ref: txRef,
-    };
+  const provider = getProviderForCurrency(currency);
+  // Generate unique transaction reference: "<PREFIX>-<orderId>-<timestamp>"
+  const txRef = `${provider.txRefPrefix}-${orderId}-${Date.now()}`;
+
+  try {
+    const { checkoutUrl } = await provider.initialize({
+      amount: numericAmount,
+      currency,
+      txRef,
+      user,
+      description: `Order ${txRef}`,
+    });
+    // ✅ Return the checkout URL and tx_ref
+    return { checkout_url: checkoutUrl, tx_ref: txRef, provider: provider.name };
   } catch (error) {
-    console.error("❌ Error initializing Chapa payment:", error.response?.data || error.message);
-    throw new Error("Failed to initialize Chapa payment");
+    console.error(`❌ Error initializing ${provider.name} payment:`, error.response?.data || error.message);
+    throw new Error("Failed to initialize payment");
   }
 };
 
@@ -82,9 +92,32 @@ export const placeOrder = async (req, res, next) => {
       destinationLocation,
       tip,
       description,
-      callculatedDeliveryFee,
+      deliveryQuoteToken,
+      paymentMethod = PAYMENT_METHODS.Online,
+      promoCode,
+      scheduledFor,
     } = req.body;
 
+    if (!PAYMENT_METHOD_ORDER_TYPES[paymentMethod]?.includes(typeOfOrder)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: `${paymentMethod} payment is not available for ${typeOfOrder} orders`,
+      });
+    }
+    const isOffline = OFFLINE_PAYMENT_METHODS.includes(paymentMethod);
+
+    // Part of the bill the customer wants to pay from their wallet
+    const walletAmount = Number(Number(req.body.walletAmount || 0).toFixed(2));
+    if (isNaN(walletAmount) || walletAmount < 0) {
+      return res.status(400).json({ status: 'fail', message: 'Invalid wallet amount' });
+    }
+    if (walletAmount > 0 && isOffline) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Wallet payments can only be combined with online payment',
+      });
+    }
+
     const user = await User.findById(req.user._id);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
@@ -103,6 +136,8 @@ export const placeOrder = async (req, res, next) => {
       isFromSponsore = true;
     }
 
+    const currency = getOrderCurrency();
+
     // Validate and compute order
     const computeorder = await Order.validateAndComputeOrder({
       orderItems,
@@ -111,58 +146,168 @@ export const placeOrder = async (req, res, next) => {
       destinationLocation,
       tip,
       description,
-      calculatedDeliveryFee: Number(callculatedDeliveryFee.toFixed(2)), // fixed typo & precision
+      deliveryQuoteToken,
+      promoCode,
+      userId: user._id,
+      scheduledFor,
     });
 
-    // Create order in DB
-    const order = await Order.create({
-      userId:user._id,
-      userPhone:user.phone,
-      fromSponsore: isFromSponsore,     
-      sponsoredPhone:sponsoredPhone,
-      orderItems: computeorder.orderItems,
-      foodTotal: computeorder.foodTotal,
-      vatTotal: computeorder.vatTotal,
-      deliveryFee: computeorder.deliveryFee,
-      tip: computeorder.tip,
-      totalPrice: computeorder.totalPrice,
-      deliveryVehicle: computeorder.deliveryVehicle,
-      typeOfOrder: computeorder.typeOfOrder,
-      description: computeorder.description,
-
-      restaurantId: computeorder.restaurantId,
-      restaurantName: computeorder.restaurantName,
-      destinationLocation: computeorder.destinationLocation,
-      restaurantLocation: computeorder.restaurantLocation,
-      distanceKm: computeorder.distanceKm,
-      serviceFee:computeorder.serviceFee,
-      transaction: {
-        amount: computeorder.totalPrice,
-        status: TRANSACTION_STATUSES.PENDING,
-        currency: 'ETB',
-      },
-    });
+    const totalPrice = Number(computeorder.totalPrice.toString());
+    if (walletAmount > totalPrice) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Wallet amount is more than the order total',
+      });
+    }
+    // Early answer for the common case; the debit itself is checked again in the transaction
+    if (walletAmount > 0) {
+      const walletBalance = Number(await Balance.calculateTotal(user._id));
+      if (walletBalance < walletAmount) {
+        return res.status(400).json({
+          status: 'fail',
+          message: 'Insufficient wallet balance',
+          walletBalance,
+        });
+      }
+    }
+    const paidFromWallet = walletAmount > 0 && walletAmount === totalPrice;
+    const providerAmount = Number((totalPrice - walletAmount).toFixed(2));
 
-    // console.log(order);
-    // Validate user phone (should already exist, but safe check)
+    // Validate user phone (should already exist, but safe check) – before any money moves
     if (!userPhone) {
       return res.status(400).json({
         message: 'User phone number is required',
       });
     }
 
-    // Initialize Chapa payment
-    const paymentInit = await initializeChapaPayment({
-      amount: computeorder.totalPrice,
-      currency: 'ETB',
+    // Kitchen time + route time, kept as the promise to compare the real delivery against
+    const { estimatedDeliveryAt, eta } = await estimateAtPlacement(computeorder);
+
+    // Create the order and take the wallet part in one DB transaction
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    let order;
+    try {
+      [order] = await Order.create([{
+        userId:user._id,
+        userPhone:user.phone,
+        fromSponsore: isFromSponsore,     
+        sponsoredPhone:sponsoredPhone,
+        orderItems: computeorder.orderItems,
+        foodTotal: computeorder.foodTotal,
+        vatTotal: computeorder.vatTotal,
+        deliveryFee: computeorder.deliveryFee,
+        tip: computeorder.tip,
+        discountTotal: computeorder.discountTotal,
+        promotion: computeorder.promotion,
+        totalPrice: computeorder.totalPrice,
+        deliveryVehicle: computeorder.deliveryVehicle,
+        typeOfOrder: computeorder.typeOfOrder,
+        description: computeorder.description,
+
+        restaurantId: computeorder.restaurantId,
+        restaurantName: computeorder.restaurantName,
+        destinationLocation: computeorder.destinationLocation,
+        restaurantLocation: computeorder.restaurantLocation,
+        distanceKm: computeorder.distanceKm,
+        deliverySurge: computeorder.deliverySurge,
+        serviceFee:computeorder.serviceFee,
+        paymentMethod,
+        scheduledFor: computeorder.scheduledFor,
+        estimatedDeliveryAt,
+        eta,
+        // Cash, counter and wallet-paid orders are confirmed straight away, so they get their code now
+        userVerificationCode: isOffline || paidFromWallet ? generateVerificationCode() : undefined,
+        transaction: {
+          amount: computeorder.totalPrice,
+          status: paidFromWallet ? TRANSACTION_STATUSES.PAID : TRANSACTION_STATUSES.PENDING,
+          currency,
+          walletAmount,
+          provider: isOffline ? "offline" : paidFromWallet ? "wallet" : getProviderForCurrency(currency).name,
+        },
+      }], { session });
+
+      if (computeorder.promotion) {
+        const claimed = await Promotion.claimUse(computeorder.promotion.promotionId, {
+          session,
+          userId: user._id,
+          orderId: order._id,
+        });
+        if (!claimed) throw new AppError('Promo code usage limit reached', 409);
+      }
+
+      if (walletAmount > 0) {
+        const payment = await Balance.debitWallet(user._id, {
+          amount: walletAmount,
+          orderId: order._id,
+          currency,
+          note: `Wallet payment for order ${order._id}`,
+          session,
+        });
+        if (!payment) throw new AppError('Insufficient wallet balance', 400);
+      }
+
+      await session.commitTransaction();
+    } catch (err) {
+      await session.abortTransaction();
+      // Another checkout debited the wallet at the same time
+      const walletConflict =
+        err.hasErrorLabel?.('TransientTransactionError') || (err.code === 11000 && err.keyPattern?.customerId);
+      if (walletAmount > 0 && walletConflict) {
+        throw new AppError('Another wallet payment is in progress. Please try again.', 409);
+      }
+      throw err;
+    } finally {
+      session.endSession();
+    }
+
+    // Nothing to charge up front: confirm now, money changes hands later (or already did)
+    if (isOffline || paidFromWallet) {
+      await announceConfirmedOrder(order);
+      return res.status(201).json({
+        status: 'success',
+        data: {
+          payment: null,
+          paymentMethod,
+          walletAmount,
+          amountDue: isOffline ? totalPrice : 0,
+          scheduledFor: order.scheduledFor,
+          estimatedDeliveryAt: order.estimatedDeliveryAt,
+          deliveryFee: Number(order.deliveryFee.toString()),
+          orderId: order._id,
+        },
+      });
+    }
+
+    // Initialize payment with the provider configured for this currency
+    const paymentInit = await initializeOrderPayment({
+      amount: providerAmount,
+      currency,
       orderId: order._id,
       user:user // pass correct user for callback
     });
 
+    // Keep the tx_ref so abandoned checkouts can be re-verified later
+    await Order.updateOne(
+      { _id: order._id },
+      {
+        $set: {
+          "transaction.chapaPayment": {
+            txRef: paymentInit.tx_ref,
+            checkoutUrl: paymentInit.checkout_url,
+          },
+        },
+      }
+    );
+
     return res.status(201).json({
       status: 'success',
       data: {
         payment: paymentInit,
+        walletAmount,
+        scheduledFor: order.scheduledFor,
+        estimatedDeliveryAt: order.estimatedDeliveryAt,
+        deliveryFee: Number(order.deliveryFee.toString()),
         orderId: order._id,
       },
     });
@@ -171,65 +316,78 @@ export const placeOrder = async (req, res, next) => {
     next(error);
   }
 };
-export const chapaWebhook = async (req, res) => {
-  try {
-    // 1️⃣ Chapa sends tx_ref and status as query params or JSON body
-    const { trx_ref, status } = req.query;
-   
-    if (status !== "success") {
-      return res.status(400).json({ message: "Payment not successful" });
-    }
-
-    // 2️⃣ Verify with Chapa API
-    const chapaSecretKey = process.env.CHAPA_SECRET_KEY;
-    const verifyUrl = `https://api.chapa.co/v1/transaction/verify/${trx_ref}`;
-    const verifyRes = await axios.get(verifyUrl, {
-      headers: { Authorization: `Bearer ${chapaSecretKey}` },
-    });
+// Ask the provider for the real state of a transaction (never trust the callback alone)
+export const verifyOrderPayment = (providerName, txRef) =>
+  getPaymentProvider(providerName).verify(txRef);
 
-    const verifyData = verifyRes.data;
-    
-    if (verifyData.status !== "success" || verifyData.data.status !== "success") {
-      return res.status(400).json({ message: "Chapa verification failed" });
-    }
+export const refundOrderPayment = async ({ providerName, txRef, amount, reason, reference }) => {
+  const provider = getPaymentProvider(providerName);
+  try {
+    return await provider.refund({ txRef, amount, reason, reference });
+  } catch (error) {
+    console.error(`❌ Error refunding ${provider.name} payment:`, error.response?.data || error.message);
+    throw new Error("Failed to refund payment");
+  }
+};
 
-    
-    // 3️⃣ Extract middle orderId from "CHAPA-<orderId>-<timestamp>"
-    const parts = trx_ref.split("-");
-    const orderId = parts[1];
-    if (!orderId) {
-      return res.status(400).json({ message: "Invalid trx_ref format" });
-    }
-   
-    // 4️⃣ Find the order (bypass paid filter)
-    const order = await Order.findById(orderId, null, { bypassPaidFilter: true });
-    if (!order) {
-      return res.status(404).json({ message: "Order not found" });
-    }
-    const userVerification=generateVerificationCode();
+// Gateway details kept on the order for reconciliation
+const paymentDetails = ({ txRef, checkoutUrl, payment }) => ({
+  txRef,
+  checkoutUrl,
+  chapaRefId: payment.reference,
+  chapaAmount: payment.amount,
+  charpaCurrency: payment.currency,
+  chapaMethod: payment.method || "Unknown",
+  chapaType: payment.type || "API",
+  chapaVerifiedAt: new Date(),
+  chapaResponse: payment.raw,
+});
+
+// Mark an order as paid, text the customer their code and wake up the kitchen.
+// Returns null when the order was already settled (webhook replay, sweeper race).
+export const finalizeOrderPayment = async ({ order: pendingOrder, txRef, payment }) => {
+  const userVerification = generateVerificationCode();
+
+  // Claim the order atomically so the SMS and manager alert fire only once
+  const order = await Order.findOneAndUpdate(
+    { _id: pendingOrder._id, "transaction.status": TRANSACTION_STATUSES.PENDING },
+    {
+      $set: {
+        "transaction.status": TRANSACTION_STATUSES.PAID,
+        "transaction.amount": pendingOrder.totalPrice,
+        userVerificationCode: userVerification,
+        "transaction.chapaPayment": paymentDetails({
+          txRef,
+          checkoutUrl: pendingOrder.transaction?.chapaPayment?.checkoutUrl,
+          payment,
+        }),
+      },
+    },
+    { new: true }
+  );
+  if (!order) return null;
 
-    
-    // 5️⃣ Update transaction details safely
-    order.transaction.status = "PAID";
-    order.transaction.amount = order.totalPrice;
-    order.userVerificationCode=userVerification;
-    order.transaction.chapaPayment = {
-      txRef: trx_ref,
-      chapaRefId: verifyData.data?.reference ,
-      chapaAmount: verifyData.data.amount,
-      charpaCurrency: verifyData.data.currency,
-      chapaMethod: verifyData.data?.method || "Unknown",
-      chapaType: verifyData.data?.type || "API",
-      chapaVerifiedAt: new Date(),
-      chapaResponse: verifyData.data,
-    };
+  await announceConfirmedOrder(order);
+  return order;
+};
 
-    await order.save();
-   // 6️⃣ Send SMS to customer with order details
-   try {
+// Text the customer their verification code and tell the restaurant a confirmed order is in
+const announceConfirmedOrder = async (order) => {
+  const userVerification = order.userVerificationCode;
+  const amountDue = `${Number(order.totalPrice?.toString() || 0).toFixed(2)} ${order.transaction?.currency || "ETB"}`;
+  const paymentNote = {
+    [PAYMENT_METHODS.Cash]: `\n  Please pay ${amountDue} in cash on delivery.`,
+    [PAYMENT_METHODS.Counter]: `\n  Please pay ${amountDue} at the counter.`,
+  }[order.paymentMethod] || "";
+  const scheduleNote = order.scheduledFor
+    ? `\n  Scheduled for: ${formatScheduledSlot(order.scheduledFor)}`
+    : "";
+
+  // Send SMS to customer with order details
+  try {
     const userMessage = ` Order Confirmed!
   Order Code: ${order.orderCode}
-  Verification Code: ${userVerification}
+  Verification Code: ${userVerification}${scheduleNote}${paymentNote}
   
   Please show this verification code to the delivery personnel upon arrival.
   Thank you for choosing our service!`;
@@ -241,12 +399,10 @@ export const chapaWebhook = async (req, res) => {
   
   Please provide this code to the delivery personnel upon receiving the order.
   Thank you for partnering with us!`;
-  
-  
 
-const recipientPhone = order.fromSponsore ? order.sponsoredPhone : order.userPhone;
-const message = order.fromSponsore ? sponsorMessage : userMessage;
-const smsResult = await afroMessageService.sendMessage(recipientPhone, message);
+    const recipientPhone = order.fromSponsore ? order.sponsoredPhone : order.userPhone;
+    const message = order.fromSponsore ? sponsorMessage : userMessage;
+    const smsResult = await afroMessageService.sendMessage(recipientPhone, message);
     if (smsResult.success) {
       console.log(`📱 SMS successfully sent to ${order.userPhone} for order ${order.orderCode}`);
     } else {
@@ -257,31 +413,257 @@ const smsResult = await afroMessageService.sendMessage(recipientPhone, message);
     console.error('⚠️ SMS sending error:', smsError.message);
     // Continue even if SMS fails
   }
-    // 6️⃣ Notify restaurant manager
-    const restaurant = await Restaurant.findById(order.restaurantId);
-    if (restaurant?.managerId) {
-      await notifyRestaurantManager(restaurant.managerId, {
-        orderId: order._id,
-        totalPrice: order.foodTotal,
-        orderCode: order.orderCode,
-        typeOfOrder: order.typeOfOrder,
-        createdAt: order.createdAt,
-      });
-      console.log(`📢 Notified manager ${restaurant.managerId} about payment`);
-    } else {
-      console.log(`⚠️ Restaurant ${order.restaurantId} has no manager assigned`);
+
+  // Notify restaurant manager; scheduled orders wait for utils/scheduledOrderReleaser.js
+  if (isDueForKitchen(order)) {
+    await releaseToKitchen(order);
+  } else {
+    console.log(`🗓️ Order ${order.orderCode} scheduled for ${order.scheduledFor.toISOString()}, kitchen notified later`);
+  }
+};
+
+// Slot shown to the customer in the local business time zone
+const formatScheduledSlot = (date) =>
+  date.toLocaleString("en-GB", {
+    timeZone: getDefaultTimeZone(),
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+
+// Park a payment we cannot accept as-is; an admin reviews it from /orders/quarantined-payments
+const quarantineOrderPayment = async ({ order, txRef, payment, reason, details }) => {
+  const result = await Order.updateOne(
+    {
+      _id: order._id,
+      "transaction.status": { $in: [TRANSACTION_STATUSES.PENDING, TRANSACTION_STATUSES.FAILED] },
+    },
+    {
+      $set: {
+        "transaction.status": TRANSACTION_STATUSES.QUARANTINED,
+        "transaction.failureReason": reason,
+        "transaction.failureDetails": details,
+        "transaction.chapaPayment": paymentDetails({
+          txRef,
+          checkoutUrl: order.transaction?.chapaPayment?.checkoutUrl,
+          payment,
+        }),
+      },
+    }
+  );
+  if (result.modifiedCount) {
+    console.warn(`🚧 Quarantined payment ${txRef} for order ${order.orderCode}: ${reason}`, details);
+  }
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Check a verified charge against the order before accepting it.
+ * Returns "paid", "quarantined" or "duplicate".
+ */
+export const settleOrderPayment = async ({ order, txRef, payment }) => {
+  const status = order.transaction?.status;
+  if (status === TRANSACTION_STATUSES.PAID || status === TRANSACTION_STATUSES.QUARANTINED) {
+    return "duplicate";
+  }
+
+  // The wallet part of the bill was never sent to the provider
+  const expectedAmount = Number(
+    (Number(order.totalPrice?.toString()) - Number(order.transaction?.walletAmount?.toString() || 0)).toFixed(2)
+  );
+  const paidAmount = Number(payment.amount);
+  const expectedCurrency = order.transaction?.currency || "ETB";
+  const paidCurrency = String(payment.currency || "").toUpperCase();
+
+  let reason = null;
+  if (status !== TRANSACTION_STATUSES.PENDING) {
+    reason = TRANSACTION_FAILURE_REASONS.LATE_PAYMENT;
+  } else if (paidCurrency !== expectedCurrency) {
+    reason = TRANSACTION_FAILURE_REASONS.CURRENCY_MISMATCH;
+  } else if (!(Math.abs(paidAmount - expectedAmount) < 0.01)) {
+    reason = TRANSACTION_FAILURE_REASONS.AMOUNT_MISMATCH;
+  }
+
+  if (reason) {
+    const quarantined = await quarantineOrderPayment({
+      order,
+      txRef,
+      payment,
+      reason,
+      details: { expectedAmount, paidAmount, expectedCurrency, paidCurrency, previousStatus: status },
+    });
+    return quarantined ? "quarantined" : "duplicate";
+  }
+
+  const paidOrder = await finalizeOrderPayment({ order, txRef, payment });
+  return paidOrder ? "paid" : "duplicate";
+};
+
+/**
+ * Handle one provider charge exactly once, whether it arrives via the signed
+ * webhook, the browser callback or a retry. Returns { code, message }.
+ */
+const processPaymentEvent = async ({ provider, txRef, event = "charge.success", payload }) => {
+  const eventKey = `${provider.name}:${event}:${txRef}`;
+
+  // 1️⃣ Record the event first; the unique key turns replays into no-ops
+  try {
+    await WebhookEvent.create({ provider: provider.name, eventKey, event, txRef, payload });
+  } catch (error) {
+    if (error.code === 11000) {
+      return { code: 200, message: "Event already processed" };
+    }
+    throw error;
+  }
+
+  // Outcomes that should allow the provider to retry drop the record again
+  const reject = async (code, message) => {
+    await WebhookEvent.deleteOne({ eventKey });
+    return { code, message };
+  };
+
+  try {
+    // 2️⃣ Verify with the provider API
+    const payment = await provider.verify(txRef);
+    if (!payment.paid) {
+      return reject(400, "Payment verification failed");
     }
 
-    // 7️⃣ Respond to Chapa webhook
-    return res.status(200).json({ message: "Webhook processed successfully" });
+    const markProcessed = (outcome) =>
+      WebhookEvent.updateOne(
+        { eventKey },
+        { $set: { status: WEBHOOK_EVENT_STATUSES.Processed, outcome, processedAt: new Date() } }
+      );
+
+    // 3️⃣ Wallet top-ups: "<PREFIX>-WALLET-<balanceId>-<timestamp>"
+    const [, target, topUpId] = txRef.split("-");
+    if (target === WALLET_TX_REF_TAG) {
+      const outcome = await Balance.settleTopUp(topUpId, { txRef, payment });
+      if (!outcome) {
+        return reject(404, "Top-up not found");
+      }
+      await markProcessed(outcome);
+      return { code: 200, message: `Top-up processed (${outcome})` };
+    }
+
+    // Orders: extract middle orderId from "<PREFIX>-<orderId>-<timestamp>"
+    const orderId = target;
+    if (!orderId || !mongoose.Types.ObjectId.isValid(orderId)) {
+      return reject(400, "Invalid trx_ref format");
+    }
+
+    // 4️⃣ Find the order (bypass paid filter)
+    const order = await Order.findById(orderId, null, { bypassPaidFilter: true })
+      .select("+transaction.chapaPayment");
+    if (!order) {
+      return reject(404, "Order not found");
+    }
+    if ((order.transaction?.provider || "chapa") !== provider.name) {
+      return reject(400, "Order was not charged through this provider");
+    }
+
+    // 5️⃣ Reconcile, then mark paid or quarantine
+    const outcome = await settleOrderPayment({ order, txRef, payment });
+
+    await markProcessed(outcome);
+    return { code: 200, message: `Webhook processed (${outcome})` };
+  } catch (error) {
+    await WebhookEvent.deleteOne({ eventKey });
+    throw error;
+  }
+};
+
+const resolveProvider = (name, res) => {
+  try {
+    return getPaymentProvider(name);
+  } catch {
+    res.status(404).json({ message: "Unknown payment provider" });
+    return null;
+  }
+};
+
+// Browser redirect after checkout – unsigned, so we rely on verify
+export const paymentCallback = async (req, res) => {
+  try {
+    const provider = resolveProvider(req.params.provider || "chapa", res);
+    if (!provider) return;
+
+    const { txRef, success } = provider.parseCallback(req.query);
+    if (!success || !txRef) {
+      return res.status(400).json({ message: "Payment not successful" });
+    }
+
+    const { code, message } = await processPaymentEvent({ provider, txRef, payload: req.query });
+    return res.status(code).json({ message });
   } catch (err) {
     console.error("❌ Webhook error:", err);
     return res.status(500).json({ message: "Server error processing webhook" });
   }
 };
+
+// Signed server-to-server webhook configured in the provider dashboard
+export const paymentWebhook = async (req, res) => {
+  try {
+    const provider = resolveProvider(req.params.provider || "chapa", res);
+    if (!provider) return;
+
+    const { valid, message: invalidReason, txRef, event, success } = provider.parseWebhook(req);
+    if (!valid) {
+      const code = invalidReason === "Missing signature" ? 400 : 401;
+      return res.status(code).json({ message: invalidReason });
+    }
+    if (!txRef) {
+      return res.status(400).json({ message: "Missing tx_ref" });
+    }
+
+    // Only successful charges move an order; acknowledge everything else
+    if (!success) {
+      return res.status(200).json({ message: `Ignored event ${event}` });
+    }
+
+    const { code, message } = await processPaymentEvent({ provider, txRef, event, payload: req.body });
+    return res.status(code).json({ message });
+  } catch (err) {
+    console.error("❌ Webhook error:", err);
+    return res.status(500).json({ message: "Server error processing webhook" });
+  }
+};
+
+export const getQuarantinedPayments = async (req, res, next) => {
+  try {
+    const orders = await Order.find(
+      { "transaction.status": TRANSACTION_STATUSES.QUARANTINED },
+      null,
+      { bypassPaidFilter: true }
+    )
+      .select("+transaction.chapaPayment")
+      .populate("restaurantId", "name")
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      status: "success",
+      results: orders.length,
+      data: orders.map((order) => ({
+        orderId: order._id,
+        orderCode: order.orderCode,
+        restaurant: order.restaurantId?.name,
+        userPhone: order.userPhone,
+        totalPrice: parseFloat(order.totalPrice?.toString() || "0"),
+        reason: order.transaction.failureReason,
+        details: order.transaction.failureDetails,
+        txRef: order.transaction.chapaPayment?.txRef,
+        chapaRefId: order.transaction.chapaPayment?.chapaRefId,
+        updatedAt: order.updatedAt,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 export const updateOrderStatus = async (req, res, next) => {
   try {
-    const { orderId, status } = req.body;
+    const { orderId, status, reason } = req.body;
     if (!orderId || !status) {
       return res.status(400).json({
         error: { message: "Both orderId and status are required." },
@@ -306,28 +688,31 @@ export const updateOrderStatus = async (req, res, next) => {
     }
     const updatedOrder = await Order.findOneAndUpdate(
       { _id: orderId },
-      { $set: { orderStatus: status } },
+      {
+        $set: { orderStatus: status },
+        $push: {
+          statusHistory: buildStatusHistoryEntry({
+            from: existingOrder.orderStatus,
+            status,
+            user: req.user,
+            reason,
+          }),
+        },
+      },
       { new: true, runValidators: true } // return updated doc
     );
 
-    // --- 5️⃣ Notify delivery group when cooked ---
+    // --- 5️⃣ Send to drivers when cooked (broadcast or nearest-driver offers) ---
     if (
       status === ORDER_STATUSES.Cooked &&
       updatedOrder.typeOfOrder === ORDER_TYPES.Delivery
     ) {
-      const deliveryGroup = updatedOrder.deliveryVehicle; // "CAR", "MOTORCYCLE", etc.
-      
+      await dispatchCookedOrder(updatedOrder);
+    }
 
-      notifyDeliveryGroup(deliveryGroup, {
-        orderId: updatedOrder._id,
-        orderCode: updatedOrder.orderCode,
-        restaurantLocation: updatedOrder.restaurantLocation,
-        restaurantName: updatedOrder.restaurantName,
-        deliveryLocation: updatedOrder.destinationLocation,
-        deliveryFee: updatedOrder.deliveryFee,
-        tip: updatedOrder.tip,
-        createdAt: updatedOrder.createdAt,
-      });
+    // New ETA for the customer once the food is ready or on its way
+    if ([ORDER_STATUSES.Cooked, ORDER_STATUSES.Delivering].includes(status)) {
+      refreshOrderEta(updatedOrder, { basis: ETA_BASES[status] });
     }
 
     // --- 6️⃣ Respond success ---
@@ -354,25 +739,16 @@ export const acceptOrder = async (req, res, next) => {
       return res.status(400).json({ error: "Order ID is required." });
     }
 
-    // ✅ Check for existing active order
-    const existingOrder = await Order.findOne({
-      deliveryId: deliveryPersonId,
-      orderStatus: { $nin: [ORDER_STATUSES.Completed, ORDER_STATUSES.Cancelled] },
-    }).session(session);
-
-    if (existingOrder) {
+    const notAllowed = await getAcceptRefusal(deliveryPersonId);
+    if (notAllowed) {
       await session.abortTransaction();
       session.endSession();
-      return res.status(400).json({
-        error:
-          "You already have an active order. Complete or cancel it before accepting a new one.",
-        activeOrder: {
-          orderId: existingOrder._id,
-          status: existingOrder.orderStatus,
-        },
-      });
+      return res.status(403).json({ error: notAllowed });
     }
 
+    // ✅ Orders this driver already carries (a batch, within vehicle capacity)
+    const batch = await getActiveBatch(deliveryPersonId, { session });
+
     // ✅ Find the order and validate
     const order = await Order.findById(orderId)
       .populate("userId", "_id")
@@ -404,15 +780,50 @@ export const acceptOrder = async (req, res, next) => {
       });
     }
 
+    if (order.isOfferedToAnotherDriver(deliveryPersonId)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json({ error: "Order is currently offered to another driver." });
+    }
+
+    const refusal = getBatchRefusal(batch, order);
+    if (refusal) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        error: refusal,
+        activeOrders: batch.map((o) => ({ orderId: o._id, status: o.orderStatus })),
+      });
+    }
+    await joinBatch(batch, order, { session });
+
     // ✅ Assign delivery and generate verification code
     const pickUpCode = generateVerificationCode();
     order.deliveryVerificationCode = pickUpCode;
     order.deliveryId = deliveryPersonId;
+    startPickupSla(order);
+    order.statusHistory.push(
+      buildStatusHistoryEntry({
+        from: order.orderStatus,
+        status: order.orderStatus,
+        user: req.user,
+        reason: "Accepted for delivery",
+      })
+    );
   
     await order.save({ session });
 
     await session.commitTransaction();
     session.endSession(); // ✅ End session after commit
+    settleOffer(order._id);
+    activeDeliveryOrders
+      .add(deliveryPersonId, { orderId: order._id, userId: order.userId._id })
+      .catch((err) => console.error("⚠️ Failed to track active order:", err.message));
+    countShiftEvent(deliveryPersonId, SHIFT_EVENTS.OrderAccepted);
+    if (order.dispatch?.offeredTo?.toString() === deliveryPersonId.toString()) {
+      countShiftEvent(deliveryPersonId, SHIFT_EVENTS.OfferAccepted);
+    }
+    syncBusyState(deliveryPersonId);
 
      try {
       await set(ref(database, `deliveryOrders/${order._id.toString()}`), {
@@ -453,6 +864,9 @@ export const acceptOrder = async (req, res, next) => {
         status: order.orderStatus,
         orderCode: order.orderCode,
         pickUpVerification: pickUpCode,
+        batchId: order.batchId || null,
+        batchSize: batch.length + 1,
+        pickupDueAt: order.deliverySla.pickupDueAt,
       },
     });
   } catch (error) {
@@ -509,13 +923,28 @@ export const pickUpOrder = async (req, res, next) => {
       });
     }
 
+    // Pay-at-counter orders are only handed over once the payment is recorded
+    const isCounterOrder = order.paymentMethod === PAYMENT_METHODS.Counter;
+    if (isCounterOrder && order.transaction?.status !== TRANSACTION_STATUSES.PAID) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        status: "fail",
+        message: "Record the counter payment before handing over this order.",
+      });
+    }
+
     // Step 3: Verify pickup code
     let isVerified = false;
 
     if (order.typeOfOrder === ORDER_TYPES.Delivery) {
       if (order.deliveryVerificationCode === pickupVerificationCode) {
         isVerified = true;
-        order.orderStatus = ORDER_STATUSES.Delivering;
+        order.recordStatusChange(ORDER_STATUSES.Delivering, {
+          user: req.user,
+          reason: "Picked up from restaurant",
+        });
+        startDeliverySla(order);
       }
     } else if (
       order.typeOfOrder === ORDER_TYPES.Takeaway ||
@@ -523,7 +952,10 @@ export const pickUpOrder = async (req, res, next) => {
     ) {
       if (order.userVerificationCode === pickupVerificationCode) {
         isVerified = true;
-        order.orderStatus = ORDER_STATUSES.Completed;
+        order.recordStatusChange(ORDER_STATUSES.Completed, {
+          user: req.user,
+          reason: "Collected at restaurant",
+        });
       }
     }
 
@@ -541,23 +973,61 @@ export const pickUpOrder = async (req, res, next) => {
 
     // Step 5: Register Restaurant Deposit
     // Using new schema fields: originalAmount, netAmount auto-calculated
-
-   
-    await Balance.create(
-      [
-        {
-          requesterType: REQUESTER_TYPES.Restaurant,
-          restaurantId: order.restaurantId,
-          originalAmount: order.foodTotal,
-          foodVat: order.vatTotal,    // original amount
-          type: TRANSACTION_TYPES.Deposit,
-          status: TRANSACTION_STATUSES.APPROVED, // approved instantly
-          note: `Deposit for completed order ${order._id}`,
-        },
-      ],
-      { session }
+    // Restaurant-funded promo codes come out of the restaurant's share, free delivery
+    // included: the driver is still paid the full delivery fee
+    const restaurantDiscount =
+      order.promotion?.fundedBy === PROMOTION_FUNDERS.Restaurant
+        ? Number(order.promotion.foodDiscount?.toString() || 0) +
+          Number(order.promotion.deliveryDiscount?.toString() || 0)
+        : 0;
+    const restaurantDepositAmount = Number(
+      Math.max(Number(order.foodTotal.toString()) - restaurantDiscount, 0).toFixed(2)
     );
 
+    if (isCounterOrder) {
+      // The restaurant already holds the customer's cash: instead of a deposit, record
+      // what it owes us beyond its share (or what we owe it for a discount we funded)
+      const cashHeld = Number(order.totalPrice?.toString() || 0);
+      const { netAmount: restaurantShare } = splitDeposit(REQUESTER_TYPES.Restaurant, restaurantDepositAmount);
+      const owed = Number((cashHeld - restaurantShare).toFixed(2));
+
+      if (owed !== 0) {
+        await Balance.create(
+          [
+            {
+              requesterType: REQUESTER_TYPES.Restaurant,
+              restaurantId: order.restaurantId,
+              orderId: order._id,
+              originalAmount: Math.abs(owed),
+              currency: order.transaction.currency,
+              type: owed > 0 ? TRANSACTION_TYPES.CashCollected : TRANSACTION_TYPES.Reimbursement,
+              status: TRANSACTION_STATUSES.APPROVED,
+              note: owed > 0
+                ? `Platform share of counter order ${order._id}`
+                : `Platform-funded discount on counter order ${order._id}`,
+            },
+          ],
+          { session }
+        );
+      }
+    } else {
+      await Balance.create(
+        [
+          {
+            requesterType: REQUESTER_TYPES.Restaurant,
+            restaurantId: order.restaurantId,
+            orderId: order._id,
+            originalAmount: restaurantDepositAmount,
+            foodVat: order.vatTotal,    // original amount
+            type: TRANSACTION_TYPES.Deposit,
+            status: TRANSACTION_STATUSES.APPROVED, // approved instantly
+            note: `Deposit for completed order ${order._id}`,
+          },
+        ],
+        { session }
+      );
+    }
+
     // Step 6: Calculate new total balance for restaurant
     const totalBalance = await Balance.calculateTotal(order.restaurantId);
 
@@ -565,10 +1035,17 @@ export const pickUpOrder = async (req, res, next) => {
     await session.commitTransaction();
     session.endSession();
 
+    // The driver is at the restaurant: ETA is now just the ride
+    if (order.orderStatus === ORDER_STATUSES.Delivering) {
+      refreshOrderEta(order, { basis: ETA_BASES.Delivering });
+    }
+
     // Step 8: Respond success
     return res.status(200).json({
       status: "success",
-      message: `Order ${order._id} picked up and restaurant credited.`,
+      message: isCounterOrder
+        ? `Order ${order._id} collected and counter payment settled.`
+        : `Order ${order._id} picked up and restaurant credited.`,
       orderStatus: order.orderStatus,
       newBalance: totalBalance,
     });
@@ -585,16 +1062,59 @@ export const pickUpOrder = async (req, res, next) => {
   }
 };
 
+// Contactless drop-off: how close to the destination the driver's GPS fix must be, and how precise
+const contactlessGeofenceMeters = () => parseFloat(process.env.CONTACTLESS_GEOFENCE_METERS || "150");
+const contactlessMaxAccuracyMeters = () => parseFloat(process.env.CONTACTLESS_MAX_ACCURACY_METERS || "100");
+
+// Why a contactless proof cannot be accepted, or null. Returns the distance to the destination too.
+const checkContactlessProof = (order, { latitude, longitude, accuracy }) => {
+  if (order.paymentMethod === PAYMENT_METHODS.Cash) {
+    return { refusal: "Cash orders must be handed over: ask the customer for their verification code." };
+  }
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (latitude == null || longitude == null || !Number.isFinite(lat) || !Number.isFinite(lng) ||
+      Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return { refusal: "A valid latitude and longitude are required for a contactless drop-off." };
+  }
+  const accuracyMeters = accuracy != null && accuracy !== "" ? Number(accuracy) : null;
+  if (accuracyMeters != null && (!Number.isFinite(accuracyMeters) || accuracyMeters < 0)) {
+    return { refusal: "accuracy must be a positive number of meters." };
+  }
+  if (accuracyMeters > contactlessMaxAccuracyMeters()) {
+    return { refusal: `Your GPS fix is too imprecise (±${Math.round(accuracyMeters)} m). Wait for a better signal and try again.` };
+  }
+
+  const [destLng, destLat] = order.destinationLocation?.coordinates || [];
+  if (destLat == null || destLng == null) {
+    return { refusal: "This order has no destination to check the drop-off against." };
+  }
+  const distanceMeters = getDistance({ latitude: lat, longitude: lng }, { latitude: destLat, longitude: destLng });
+  if (distanceMeters > contactlessGeofenceMeters()) {
+    return {
+      refusal: `You are ${distanceMeters} m from the drop-off point; contactless delivery is only allowed within ${contactlessGeofenceMeters()} m.`,
+    };
+  }
+  return { refusal: null, lat, lng, accuracyMeters, distanceMeters };
+};
+
+/**
+ * Complete a delivery. Either with the customer's verification code, or contactless
+ * (contactless=true, or a photo without a code): a photo of the drop-off plus the
+ * driver's GPS fix (latitude, longitude, accuracy) within the destination geofence.
+ */
 export const verifyOrderDelivery = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
-    const { order_id, verification_code } = req.body;
+    const { order_id, verification_code, latitude, longitude, accuracy, note } = req.body;
     const deliveryPersonId = req.user?._id;
+    const contactless =
+      String(req.body.contactless) === "true" || (!verification_code && Boolean(req.file));
 
     // Validate input
-    if (!order_id || !verification_code) {
+    if (!order_id || (!contactless && !verification_code)) {
       await session.abortTransaction();
       session.endSession();
       return res.status(400).json({
@@ -603,6 +1123,15 @@ export const verifyOrderDelivery = async (req, res, next) => {
       });
     }
 
+    if (contactless && !req.file) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        status: "fail",
+        message: "A photo of the drop-off is required for a contactless delivery.",
+      });
+    }
+
     if (!deliveryPersonId) {
       await session.abortTransaction();
       session.endSession();
@@ -630,26 +1159,62 @@ export const verifyOrderDelivery = async (req, res, next) => {
       });
     }
 
-    // Verify user code
-    if (String(order.userVerificationCode) !== String(verification_code)) {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(400).json({
-        status: "fail",
-        message: "Invalid verification code.",
+    if (contactless) {
+      // Verify the driver is at the door, then keep the photo for disputes
+      const proof = checkContactlessProof(order, { latitude, longitude, accuracy });
+      if (proof.refusal) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(400).json({
+          status: "fail",
+          message: proof.refusal,
+        });
+      }
+
+      const photo = await uploadImageToCloudinary(req.file.buffer, {
+        folder: "proof_of_delivery",
+        publicId: order._id.toString(),
+        width: 1280,
+        height: 1280,
+        fit: "inside",
       });
+      order.proofOfDelivery = {
+        method: DELIVERY_PROOF_METHODS.Contactless,
+        photoUrl: photo.url,
+        photoPublicId: photo.public_id,
+        location: { type: "Point", coordinates: [proof.lng, proof.lat] },
+        accuracyMeters: proof.accuracyMeters ?? undefined,
+        distanceMeters: proof.distanceMeters,
+        note: typeof note === "string" ? note.trim().slice(0, 300) || undefined : undefined,
+      };
+    } else {
+      // Verify user code
+      if (String(order.userVerificationCode) !== String(verification_code)) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(400).json({
+          status: "fail",
+          message: "Invalid verification code.",
+        });
+      }
+      order.proofOfDelivery = { method: DELIVERY_PROOF_METHODS.Code };
     }
 
     // Mark order as completed
-    order.orderStatus = ORDER_STATUSES.Completed;
+    order.recordStatusChange(ORDER_STATUSES.Completed, {
+      user: req.user,
+      reason: contactless ? "Delivered contactless" : "Delivered to customer",
+    });
+    order.recordDelivered();
     await order.save({ session });
 
-    // Remove from active delivery order cache
+    // Remove this leg from the active delivery order cache (the rest of the batch stays)
     const delId = deliveryPersonId.toString();
-    if (activeDeliveryOrders.has(delId)) {
-      activeDeliveryOrders.delete(delId);
-      console.log(`🟢 Removed active order for deliveryId ${delId} after completion`);
+    if (await activeDeliveryOrders.remove(delId, order._id)) {
+      console.log(`🟢 Removed active order ${order._id} for deliveryId ${delId} after completion`);
     }
+    endBreadcrumbTrail(order._id);
+    endEtaTracking(order._id);
 
     // DELIVERY FEE EARNING: Create new Balance record
     const deliveryFeeAmount = Number(order.deliveryFee || 0);
@@ -659,6 +1224,7 @@ export const verifyOrderDelivery = async (req, res, next) => {
         {
           requesterType: REQUESTER_TYPES.Delivery,
           deliveryId: deliveryPersonId,
+          orderId: order._id,
 
           // NEW SCHEMA: must use originalAmount
           originalAmount: deliveryFeeAmount,
@@ -671,6 +1237,30 @@ export const verifyOrderDelivery = async (req, res, next) => {
       { session }
     );
 
+    // CASH ON DELIVERY: the driver now holds the customer's money
+    let cashCollected = 0;
+    if (order.paymentMethod === PAYMENT_METHODS.Cash) {
+      cashCollected = Number(order.totalPrice?.toString() || 0);
+      order.transaction.markAsCollected(order.totalPrice, deliveryPersonId);
+      await order.save({ session });
+
+      await Balance.create(
+        [
+          {
+            requesterType: REQUESTER_TYPES.Delivery,
+            deliveryId: deliveryPersonId,
+            orderId: order._id,
+            originalAmount: cashCollected,
+            currency: order.transaction.currency,
+            type: TRANSACTION_TYPES.CashCollected,
+            status: TRANSACTION_STATUSES.APPROVED,
+            note: `Cash collected for order ${order._id}`,
+          },
+        ],
+        { session }
+      );
+    }
+
     // Recalculate delivery person balance
     const totalBalance = await Balance.calculateTotal(deliveryPersonId);
 
@@ -678,6 +1268,20 @@ export const verifyOrderDelivery = async (req, res, next) => {
     // Commit transaction
     await session.commitTransaction();
     session.endSession();
+    countShiftEvent(deliveryPersonId, SHIFT_EVENTS.OrderDelivered);
+    recordDeliveryOutcome(order);
+    syncBusyState(deliveryPersonId);
+
+    if (contactless) {
+      notifyCustomer(order.userId.toString(), {
+        type: "orderDelivered",
+        orderId: order._id.toString(),
+        orderCode: order.orderCode,
+        contactless: true,
+        photoUrl: order.proofOfDelivery.photoUrl,
+        message: `Your order ${order.orderCode} was left at your door. See the photo for where.`,
+      });
+    }
 
     // Final response
     return res.status(200).json({
@@ -687,6 +1291,8 @@ export const verifyOrderDelivery = async (req, res, next) => {
         orderId: order._id,
         deliveryPersonId,
         deliveryEarnings: deliveryFeeAmount,
+        cashCollected,
+        proofOfDelivery: order.proofOfDelivery,
         currentBalance: Number(totalBalance || 0),
         newBalanceRecord: newBalanceRecord[0],
       },
@@ -705,6 +1311,292 @@ export const verifyOrderDelivery = async (req, res, next) => {
   }
 };
 
+// Where a cancelled online order's money goes
+export const REFUND_DESTINATIONS = {
+  Wallet: "wallet", // default: instant, reusable credit
+  Original: "original", // back through the payment provider (the wallet part still goes to the wallet)
+};
+
+// Shared by the customer and restaurant cancellation endpoints
+const cancelOrderWithRefund = async ({
+  order,
+  user,
+  reason,
+  source,
+  refundTo = REFUND_DESTINATIONS.Wallet,
+}) => {
+  const policy = order.getCancellationPolicy(source);
+  if (!policy.allowed) {
+    throw new AppError(policy.message, 400);
+  }
+
+  const totalPrice = Number(order.totalPrice?.toString() || 0);
+  const refundAmount = Number((totalPrice * policy.refundRate).toFixed(2));
+  const isPaid = order.transaction?.status === TRANSACTION_STATUSES.PAID;
+
+  // 1️⃣ Decide where the money goes: online payments are refunded into the customer's wallet,
+  // or, if they asked for it, the provider-paid part back through the provider;
+  // counter cash is handed back by the restaurant
+  const refundReference = `REFUND-${order._id}-${Date.now()}`;
+  const shouldRefund = isPaid && refundAmount > 0;
+  const isOnline = shouldRefund && !OFFLINE_PAYMENT_METHODS.includes(order.paymentMethod);
+  const walletPaid = Number(order.transaction?.walletAmount?.toString() || 0);
+  const providerRefundAmount =
+    isOnline && refundTo === REFUND_DESTINATIONS.Original
+      ? Number(Math.min(refundAmount, Math.max(totalPrice - walletPaid, 0)).toFixed(2))
+      : 0;
+  const walletRefundAmount = isOnline ? Number((refundAmount - providerRefundAmount).toFixed(2)) : 0;
+  const refundToWallet = walletRefundAmount > 0;
+
+  // Give the provider part back first; if the provider refuses, the order stays as it is
+  let providerResponse = null;
+  if (providerRefundAmount > 0) {
+    const txRef = order.transaction.chapaPayment?.txRef;
+    if (!txRef) {
+      throw new AppError("No payment reference found for this order.", 409);
+    }
+    providerResponse = await refundOrderPayment({
+      providerName: order.transaction.provider || "chapa",
+      txRef,
+      amount: providerRefundAmount,
+      reason: reason || `Order ${order.orderCode} cancelled`,
+      reference: refundReference,
+    });
+  }
+
+  // 2️⃣ Cancel the order and reverse any deposits in one DB transaction
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  const previousDeliveryId = order.deliveryId;
+  try {
+    order.recordStatusChange(ORDER_STATUSES.Cancelled, {
+      user,
+      reason: reason || `Cancelled by ${source.toLowerCase()}`,
+    });
+
+    if (shouldRefund) {
+      const refundResponse = isOnline ? {} : { manual: true, paymentMethod: order.paymentMethod };
+      if (providerResponse) {
+        refundResponse.provider = { amount: providerRefundAmount, response: providerResponse };
+      }
+      if (refundToWallet) {
+        const credit = await Balance.creditWallet(order.userId, {
+          amount: walletRefundAmount,
+          orderId: order._id,
+          currency: order.transaction.currency,
+          note: `Refund for cancelled order ${order._id}`,
+          session,
+        });
+        refundResponse.wallet = { amount: walletRefundAmount, balanceId: credit._id };
+      }
+
+      order.transaction.markAsRefunded(refundAmount, {
+        reference: refundReference,
+        reason,
+        response: refundResponse,
+      });
+      await Balance.reverseOrderDeposits(order._id, {
+        session,
+        note: `Reversal for cancelled order ${order._id}`,
+      });
+    }
+
+    if (order.promotion?.promotionId) {
+      await Promotion.releaseUse(order.promotion.promotionId, { session });
+    }
+
+    await order.save({ session });
+    await session.commitTransaction();
+    session.endSession();
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    session.endSession();
+    if (providerResponse) {
+      console.error(`🚨 Refund ${refundReference} sent but order ${order._id} was not updated`);
+    }
+    throw error;
+  }
+
+  // 3️⃣ Release the driver, if one was assigned
+  if (previousDeliveryId) {
+    const delId = previousDeliveryId.toString();
+    await activeDeliveryOrders.remove(delId, order._id);
+    syncBusyState(previousDeliveryId);
+    endBreadcrumbTrail(order._id);
+    endEtaTracking(order._id);
+    sendToUser(delId, "orderCancelled", {
+      orderId: order._id,
+      orderCode: order.orderCode,
+    });
+  }
+
+  return {
+    refundRate: policy.refundRate,
+    refundAmount: shouldRefund ? refundAmount : 0,
+    refundReference: shouldRefund ? refundReference : null,
+    refundedTo: !shouldRefund
+      ? null
+      : isOnline
+        ? { wallet: walletRefundAmount, provider: providerRefundAmount }
+        : order.paymentMethod,
+  };
+};
+
+export const cancelOrderByCustomer = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const { reason, refundTo = REFUND_DESTINATIONS.Wallet } = req.body;
+
+    if (!mongoose.isValidObjectId(orderId)) {
+      return next(new AppError("Invalid order ID format.", 400));
+    }
+    if (!Object.values(REFUND_DESTINATIONS).includes(refundTo)) {
+      return next(
+        new AppError(`refundTo must be one of ${Object.values(REFUND_DESTINATIONS).join(", ")}`, 400)
+      );
+    }
+
+    const order = await Order.findOne({ _id: orderId, userId: req.user._id })
+      .select("+transaction.chapaPayment");
+    if (!order) {
+      return next(new AppError("Order not found.", 404));
+    }
+
+    const refund = await cancelOrderWithRefund({
+      order,
+      user: req.user,
+      reason,
+      source: CANCELLATION_SOURCES.Customer,
+      refundTo,
+    });
+
+    // Let the kitchen know it can stop cooking
+    const restaurant = await Restaurant.findById(order.restaurantId).select("managerId");
+    if (restaurant?.managerId) {
+      sendToUser(restaurant.managerId, "orderCancelled", {
+        orderId: order._id,
+        orderCode: order.orderCode,
+        reason,
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: `Order ${order.orderCode} cancelled.`,
+      data: { orderId: order._id, orderStatus: order.orderStatus, ...refund },
+    });
+  } catch (error) {
+    console.error("❌ Error cancelling order:", error.message);
+    next(error);
+  }
+};
+
+export const cancelOrderByRestaurant = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const { reason } = req.body;
+
+    if (!mongoose.isValidObjectId(orderId)) {
+      return next(new AppError("Invalid order ID format.", 400));
+    }
+    if (!reason?.trim()) {
+      return next(new AppError("A cancellation reason is required.", 400));
+    }
+
+    const order = await Order.findById(orderId).select("+transaction.chapaPayment");
+    if (!order) {
+      return next(new AppError("Order not found.", 404));
+    }
+
+    if (req.user.role === "Manager") {
+      const restaurant = await Restaurant.findById(order.restaurantId).select("managerId");
+      if (restaurant?.managerId?.toString() !== req.user._id.toString()) {
+        return next(new AppError("You can only cancel orders of your own restaurant.", 403));
+      }
+    }
+
+    const refund = await cancelOrderWithRefund({
+      order,
+      user: req.user,
+      reason: reason.trim(),
+      source: CANCELLATION_SOURCES.Restaurant,
+    });
+
+    notifyCustomer(order.userId.toString(), {
+      type: "orderCancelled",
+      orderId: order._id.toString(),
+      message: `Your order ${order.orderCode} was cancelled by the restaurant: ${reason.trim()}`,
+      refundAmount: refund.refundAmount,
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: `Order ${order.orderCode} cancelled.`,
+      data: { orderId: order._id, orderStatus: order.orderStatus, ...refund },
+    });
+  } catch (error) {
+    console.error("❌ Error cancelling order:", error.message);
+    next(error);
+  }
+};
+
+// Restaurant confirms a pay-at-counter order has been paid
+export const recordCounterPayment = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+
+    if (!mongoose.isValidObjectId(orderId)) {
+      return next(new AppError("Invalid order ID format.", 400));
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return next(new AppError("Order not found.", 404));
+    }
+    if (order.paymentMethod !== PAYMENT_METHODS.Counter) {
+      return next(new AppError("Only pay-at-counter orders can be settled here.", 400));
+    }
+    if (order.orderStatus === ORDER_STATUSES.Cancelled) {
+      return next(new AppError("This order has been cancelled.", 400));
+    }
+    if (order.transaction?.status !== TRANSACTION_STATUSES.PENDING) {
+      return next(new AppError("This order is already paid.", 409));
+    }
+
+    if (req.user.role === "Manager") {
+      const restaurant = await Restaurant.findById(order.restaurantId).select("managerId");
+      if (restaurant?.managerId?.toString() !== req.user._id.toString()) {
+        return next(new AppError("You can only settle orders of your own restaurant.", 403));
+      }
+    }
+
+    order.transaction.markAsCollected(order.totalPrice, req.user._id);
+    await order.save();
+
+    res.status(200).json({
+      status: "success",
+      message: `Payment recorded for order ${order.orderCode}.`,
+      data: {
+        orderId: order._id,
+        paymentMethod: order.paymentMethod,
+        amount: parseFloat(order.totalPrice.toString()),
+        collectedAt: order.transaction.collectedAt,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error recording counter payment:", error.message);
+    next(error);
+  }
+};
+
+// "Size: Large", "Extras: Cheese" – what the kitchen has to make
+const formatItemOptions = (item) =>
+  (item.options || []).map(option => ({
+    group: option.groupName,
+    option: option.optionName,
+    priceDelta: Number(option.priceDelta || 0),
+  }));
+
 export const getOrdersByRestaurantId = async (req, res, next) => {
   try {
     const { restaurantId } = req.params;
@@ -714,9 +1606,10 @@ export const getOrdersByRestaurantId = async (req, res, next) => {
     }
 
     // 🔹 Query with conditions: Paid transactions + allowed order statuses
+    // Scheduled orders stay hidden until they are released to the kitchen
     const orders = await Order.find({
       restaurantId: restaurantId,
-      
+      $or: [{ scheduledFor: null }, { releasedToKitchenAt: { $ne: null } }],
     });
 
     if (!orders || orders.length === 0) {
@@ -736,9 +1629,11 @@ export const getOrdersByRestaurantId = async (req, res, next) => {
           foodName: item.name,
           quantity: item.quantity,
           price: Number(item.price),
+          options: formatItemOptions(item),
         })),
         totalFoodPrice: Number(order.foodTotal),
         orderDate: order.createdAt,
+        scheduledFor: order.scheduledFor,
         orderType: order.typeOfOrder,
         orderStatus: order.orderStatus,
         orderId: order._id,
@@ -774,9 +1669,14 @@ export const getMyOrders = async (req, res, next) => {
           foodName: item.name,
           quantity: item.quantity,
           price: Number(item.price),
+          options: formatItemOptions(item),
         })),
         totalFoodPrice: Number(order.foodTotal),
         orderDate: order.createdAt,
+        scheduledFor: order.scheduledFor,
+        estimatedDeliveryAt: order.estimatedDeliveryAt,
+        deliveredAt: order.deliveredAt,
+        proofOfDelivery: order.proofOfDelivery,
         orderType: order.typeOfOrder,
         orderStatus: order.orderStatus,
         orderId: order._id,
@@ -857,6 +1757,7 @@ export const getCookedOrders = async (req, res, next) => {
      
     
       deliveryFee: order.deliveryFee,
+      deliverySurge: order.deliverySurge || null,
       tip: order.tip,
       totalPrice: order.totalPrice,
       DeliveryMethod:order.deliveryVehicle,
@@ -879,12 +1780,24 @@ export const getAvailableCookedOrders = async (req, res, next) => {
       orderStatus: ORDER_STATUSES.Cooked,
       typeOfOrder: ORDER_TYPES.Delivery,
       deliveryId: { $exists: false }, // No delivery assigned yet
-      deliveryVehicle:vehicleType
+      deliveryVehicle:vehicleType,
+      // Hide orders currently offered to another driver (nearest-driver dispatch)
+      $or: [
+        { "dispatch.offeredTo": null },
+        { "dispatch.offeredTo": req.user._id },
+        { "dispatch.offerExpiresAt": { $lte: new Date() } },
+      ],
     })
       .populate("restaurantId", "name")
       .sort({ createdAt: 1 }); // FIFO (oldest first)
 
-    const formattedOrders = availableOrders.map((order) => ({
+    // A driver with a batch only sees orders that fit in it
+    const batch = await getActiveBatch(req.user._id);
+    const acceptableOrders = batch.length
+      ? availableOrders.filter((order) => !getBatchRefusal(batch, order))
+      : availableOrders;
+
+    const formattedOrders = acceptableOrders.map((order) => ({
       orderId: order._id,
       orderCode: order.orderCode,
       restaurantName: order.restaurantId?.name || "",
@@ -892,8 +1805,14 @@ export const getAvailableCookedOrders = async (req, res, next) => {
       deliveryLocation: order.destinationLocation || null,
       phone: order.fromSponsore ? order.sponsoredPhone : order.userPhone,
       deliveryFee: parseFloat(order.deliveryFee?.toString() || "0"),
+      deliverySurge: order.deliverySurge || null,
       tip: parseFloat(order.tip?.toString() || "0"),
       grandTotal: parseFloat(order.totalPrice?.toString() || "0"),
+      paymentMethod: order.paymentMethod,
+      // what the driver has to take from the customer at the door
+      cashToCollect: order.paymentMethod === PAYMENT_METHODS.Cash
+        ? parseFloat(order.totalPrice?.toString() || "0")
+        : 0,
       createdAt: order.createdAt,
       fromSponsore: order.fromSponsore,
     }));
@@ -930,10 +1849,12 @@ export const getAvailableCookedOrdersCount = async (req, res, next) => {
 };
 export const estimateDeliveryFee = async (req, res) => {
   try {
-    const { restaurantId, destination } = req.body;
+    const { restaurantId, destination, scheduledFor } = req.body;
     if (!restaurantId) {
       return res.status(400).json({ message: 'restaurantId is required.' });
     }
+    // Quotes for a scheduled slot are priced for that time
+    const slot = scheduledFor ? parseScheduledFor(scheduledFor) : null;
     const restaurant = await Restaurant.findById(restaurantId);
     if (!restaurant?.location?.coordinates) {
       return res.status(404).json({ message: 'Restaurant location not found.' });
@@ -943,25 +1864,41 @@ export const estimateDeliveryFee = async (req, res) => {
       lat: restaurant.location.coordinates[1], // [1] = latitude
     };
 
-    const carResult = await computeDeliveryFee(
-      { restaurantLocation, destinationLocation: destination,deliveryVehicle: DELIVERY_VEHICLES.Car },
-     
-    );
-    const motorResult = await computeDeliveryFee(
-      { restaurantLocation, destinationLocation: destination, deliveryVehicle: DELIVERY_VEHICLES.Motorcycle },
-      
-    );
-    const bicycleResult = await computeDeliveryFee(
-      { restaurantLocation, destinationLocation: destination,deliveryVehicle: DELIVERY_VEHICLES.Bicycle },
-      
+    // Each vehicle on its own: a zone may not offer all of them
+    const vehicles = Object.values(DELIVERY_VEHICLES);
+    const results = await Promise.allSettled(
+      vehicles.map((deliveryVehicle) =>
+        computeDeliveryFee({
+          restaurantLocation,
+          destinationLocation: destination,
+          deliveryVehicle,
+          at: slot || new Date(),
+        })
+      )
     );
+    if (results.every((r) => r.status === 'rejected')) throw results[0].reason;
+
+    const quotes = {};
+    const unavailable = {};
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        quotes[vehicles[i]] = null;
+        unavailable[vehicles[i]] = result.reason.message;
+        return;
+      }
+      // Send quoteToken back as deliveryQuoteToken when placing the order to keep this fee
+      quotes[vehicles[i]] = {
+        ...result.value,
+        ...signDeliveryQuote(result.value, { restaurantId, destination, scheduledFor: slot }),
+      };
+    });
 
     return res.status(200).json({
       status: 'success',
       data: {
-        [DELIVERY_VEHICLES.Car]: carResult,
-        [DELIVERY_VEHICLES.Motorcycle]: motorResult,
-        [DELIVERY_VEHICLES.Bicycle]: bicycleResult,
+        ...quotes,
+        zone: results.find((r) => r.status === 'fulfilled').value.zone,
+        unavailable,
         vatpercent: process.env.GOV_VAT
       },
     });
@@ -1005,11 +1942,14 @@ export const getOrdersByDeliveryMan = async (req, res, next) => {
       query.orderStatus = status;
     }
 
-    // ✅ Fetch multiple orders
-    const orders = await Order.find(query)
-      .populate("userId", "firstName phone")
-      .populate("restaurantId", "name location")
-      .sort({ updatedAt: -1 });
+    // ✅ Fetch multiple orders, plus the current batch whatever the status filter
+    const [orders, activeBatch] = await Promise.all([
+      Order.find(query)
+        .populate("userId", "firstName phone")
+        .populate("restaurantId", "name location")
+        .sort({ updatedAt: -1 }),
+      getActiveBatch(deliveryPersonId).populate("restaurantId", "name"),
+    ]);
 
     // if (!orders || orders.length === 0) {
     //   return res.status(404).json({
@@ -1028,11 +1968,14 @@ export const getOrdersByDeliveryMan = async (req, res, next) => {
       phone: order.fromSponsore ? order.sponsoredPhone : order.userId?.phone,
       restaurantName: order.restaurantId?.name,
       deliveryFee: parseFloat(order.deliveryFee?.toString() || "0"),
+      deliverySurge: order.deliverySurge || null,
       tip: parseFloat(order.tip?.toString() || "0"),
       description: order.description,
       orderStatus: order.orderStatus,
       orderCode: order.orderCode,
       pickUpVerificationCode: order.deliveryVerificationCode,
+      batchId: order.batchId || null,
+      deliverySla: order.deliverySla || null, // pickup / drop-off deadlines
       updatedAt: order.updatedAt,
       fromSponsore: order.fromSponsore,
     }));
@@ -1041,6 +1984,8 @@ export const getOrdersByDeliveryMan = async (req, res, next) => {
       status: "success",
       count: formattedOrders.length,
       data: formattedOrders,
+      // Stops for the orders being carried now (null when there are none)
+      batch: buildBatchView(activeBatch),
     });
   } catch (error) {
     console.error("Error fetching delivery man orders:", error.message);
@@ -1114,6 +2059,218 @@ export const getOrdersByStatus = async (req, res) => {
     res.status(500).json({ message: "Server error" });
   }
 };
+// Only the parties involved in the order (and admins) may see its history and route
+const canViewOrder = async (order, user) => {
+  const userId = user._id.toString();
+
+  switch (user.role) {
+    case "Admin":
+      return true;
+    case "Customer":
+      return order.userId?.toString() === userId;
+    case "Delivery_Person":
+      return order.deliveryId?.toString() === userId;
+    case "Manager": {
+      const restaurant = await Restaurant.findById(order.restaurantId).select("managerId");
+      return restaurant?.managerId?.toString() === userId;
+    }
+    default:
+      return false;
+  }
+};
+
+export const getOrderTimeline = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+
+    if (!mongoose.isValidObjectId(orderId)) {
+      return next(new AppError("Invalid order ID format.", 400));
+    }
+
+    const order = await Order.findById(orderId)
+      .select("orderCode orderStatus userId restaurantId deliveryId statusHistory createdAt")
+      .populate("statusHistory.changedBy", "firstName lastName role");
+
+    if (!order) {
+      return next(new AppError("Order not found.", 404));
+    }
+
+    if (!(await canViewOrder(order, req.user))) {
+      return next(new AppError("You are not allowed to view this order.", 403));
+    }
+
+    const timeline = order.statusHistory.map((entry) => ({
+      from: entry.from || null,
+      status: entry.status,
+      role: entry.role,
+      changedBy: entry.changedBy
+        ? {
+            id: entry.changedBy._id,
+            name: [entry.changedBy.firstName, entry.changedBy.lastName].filter(Boolean).join(" "),
+          }
+        : null,
+      reason: entry.reason,
+      changedAt: entry.changedAt,
+    }));
+
+    res.status(200).json({
+      status: "success",
+      results: timeline.length,
+      data: {
+        orderId: order._id,
+        orderCode: order.orderCode,
+        currentStatus: order.orderStatus,
+        timeline,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching order timeline:", error);
+    next(error);
+  }
+};
+// Replay the driver's trail for support / disputes: breadcrumb polyline plus actual vs estimated distance
+export const getOrderRoute = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+
+    if (!mongoose.isValidObjectId(orderId)) {
+      return next(new AppError("Invalid order ID format.", 400));
+    }
+
+    const order = await Order.findById(orderId).select(
+      "orderCode orderStatus typeOfOrder userId restaurantId deliveryId distanceKm restaurantLocation destinationLocation statusHistory"
+    );
+    if (!order) {
+      return next(new AppError("Order not found.", 404));
+    }
+    if (order.typeOfOrder !== ORDER_TYPES.Delivery) {
+      return next(new AppError("Only delivery orders have a route.", 400));
+    }
+    if (!(await canViewOrder(order, req.user))) {
+      return next(new AppError("You are not allowed to view this order.", 403));
+    }
+
+    // The restaurant → customer leg starts at pickup
+    const pickedUpAt = order.statusHistory.find(
+      (entry) => entry.status === ORDER_STATUSES.Delivering
+    )?.changedAt;
+    const trail = await LocationBreadcrumb.getTrail(order._id, { since: pickedUpAt });
+
+    const estimatedDistanceKm = order.distanceKm || null;
+    const deliveryLegKm = trail.distanceSinceKm;
+
+    res.status(200).json({
+      status: "success",
+      results: trail.points.length,
+      data: {
+        orderId: order._id,
+        orderCode: order.orderCode,
+        currentStatus: order.orderStatus,
+        deliveryId: order.deliveryId,
+        restaurantLocation: order.restaurantLocation,
+        destinationLocation: order.destinationLocation,
+        route: {
+          type: "LineString",
+          coordinates: trail.points.map((p) => p.location.coordinates),
+        },
+        points: trail.points.map((p) => ({
+          lat: p.location.coordinates[1],
+          lng: p.location.coordinates[0],
+          accuracy: p.accuracy,
+          recordedAt: p.recordedAt,
+        })),
+        distance: {
+          // whole trail, including the way to the restaurant
+          actualKm: trail.distanceKm,
+          // restaurant → customer part, comparable with the estimate
+          deliveryLegKm,
+          estimatedKm: estimatedDistanceKm,
+          differenceKm:
+            estimatedDistanceKm != null && deliveryLegKm != null
+              ? Number((deliveryLegKm - estimatedDistanceKm).toFixed(2))
+              : null,
+        },
+        pickedUpAt: pickedUpAt || null,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching order route:", error);
+    next(error);
+  }
+};
+export const getAbandonedCheckoutStats = async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+
+    // Aggregations skip the pre-find paid filter, so unpaid orders are visible here
+    const match = {
+      paymentMethod: { $nin: OFFLINE_PAYMENT_METHODS },
+      $or: [
+        { "transaction.status": TRANSACTION_STATUSES.PENDING },
+        {
+          "transaction.status": TRANSACTION_STATUSES.FAILED,
+          "transaction.failureReason": TRANSACTION_FAILURE_REASONS.ABANDONED_CHECKOUT,
+        },
+      ],
+    };
+    if (from || to) {
+      match.createdAt = {};
+      if (from) match.createdAt.$gte = new Date(from);
+      if (to) match.createdAt.$lte = new Date(to);
+      if (Object.values(match.createdAt).some((d) => isNaN(d))) {
+        return next(new AppError("from/to must be valid dates.", 400));
+      }
+    }
+
+    const stats = await Order.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: "$restaurantId",
+          restaurantName: { $first: "$restaurantName" },
+          abandoned: {
+            $sum: { $cond: [{ $eq: ["$transaction.status", TRANSACTION_STATUSES.FAILED] }, 1, 0] },
+          },
+          awaitingPayment: {
+            $sum: { $cond: [{ $eq: ["$transaction.status", TRANSACTION_STATUSES.PENDING] }, 1, 0] },
+          },
+          abandonedValue: {
+            $sum: {
+              $cond: [
+                { $eq: ["$transaction.status", TRANSACTION_STATUSES.FAILED] },
+                { $toDouble: "$totalPrice" },
+                0,
+              ],
+            },
+          },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          restaurantId: "$_id",
+          restaurantName: 1,
+          abandoned: 1,
+          awaitingPayment: 1,
+          abandonedValue: { $round: ["$abandonedValue", 2] },
+        },
+      },
+      { $sort: { abandoned: -1 } },
+    ]);
+
+    res.status(200).json({
+      status: "success",
+      results: stats.length,
+      data: {
+        totalAbandoned: stats.reduce((sum, s) => sum + s.abandoned, 0),
+        restaurants: stats,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching abandoned checkout stats:", error);
+    next(error);
+  }
+};
 export const getRestaurantsWithOrderStats = async (req, res) => {
   try {
     // 1. Aggregate orders – one document per restaurant + status + type + sponsor
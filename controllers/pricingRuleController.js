@@ -0,0 +1,101 @@
+import PricingRule from '../models/PricingRule.js';
+import { DELIVERY_VEHICLES } from '../models/Order.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+import { getDemandRatio } from '../utils/deliveryPricing.js';
+
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'multiplier',
+  'days',
+  'startTime',
+  'endTime',
+  'minDemandRatio',
+  'vehicles',
+  'zones',
+  'active',
+];
+
+const pickEditable = (body) =>
+  Object.fromEntries(Object.entries(body).filter(([key]) => EDITABLE_FIELDS.includes(key)));
+
+const loadRule = async (id) => {
+  const rule = await PricingRule.findById(id);
+  if (!rule) throw new AppError('Pricing rule not found', 404);
+  return rule;
+};
+
+// CREATE a pricing rule
+export const createPricingRule = catchAsync(async (req, res) => {
+  const rule = await PricingRule.create({ ...pickEditable(req.body), createdBy: req.user._id });
+
+  res.status(201).json({
+    status: 'success',
+    data: rule
+  });
+});
+
+// GET pricing rules
+export const getPricingRules = catchAsync(async (req, res) => {
+  const filter = {};
+  if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+
+  const rules = await PricingRule.find(filter).populate('zones', 'name').sort({ name: 1 }).lean();
+
+  res.status(200).json({
+    status: 'success',
+    results: rules.length,
+    data: rules
+  });
+});
+
+// GET one pricing rule
+export const getPricingRule = catchAsync(async (req, res) => {
+  const rule = await loadRule(req.params.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: rule
+  });
+});
+
+// UPDATE a pricing rule
+export const updatePricingRule = catchAsync(async (req, res) => {
+  const rule = await loadRule(req.params.id);
+
+  rule.set(pickEditable(req.body));
+  await rule.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: rule
+  });
+});
+
+// DELETE a pricing rule (placed orders keep their surge details)
+export const deletePricingRule = catchAsync(async (req, res) => {
+  const rule = await loadRule(req.params.id);
+  await rule.deleteOne();
+
+  res.status(200).json({
+    status: 'success',
+    message: `Pricing rule ${rule.name} deleted`,
+    data: null
+  });
+});
+
+// Current waiting-orders-per-free-driver ratio for a vehicle type (?vehicle=Motor)
+export const getDeliveryDemand = catchAsync(async (req, res, next) => {
+  const { vehicle } = req.query;
+  if (!Object.values(DELIVERY_VEHICLES).includes(vehicle)) {
+    return next(new AppError(`vehicle must be one of ${Object.values(DELIVERY_VEHICLES).join(', ')}`, 400));
+  }
+
+  const demand = await getDemandRatio(vehicle);
+
+  res.status(200).json({
+    status: 'success',
+    data: { vehicle, ...demand, at: new Date(demand.at) }
+  });
+});
@@ -0,0 +1,140 @@
+import Promotion, { PROMOTION_FUNDERS } from '../models/Promotion.js';
+import Restaurant from '../models/restaurantModel.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+
+const EDITABLE_FIELDS = [
+  'code',
+  'description',
+  'type',
+  'value',
+  'maxDiscount',
+  'fundedBy',
+  'firstOrderOnly',
+  'restaurants',
+  'minBasket',
+  'startsAt',
+  'endsAt',
+  'usageLimit',
+  'perUserLimit',
+  'active',
+];
+
+const pickEditable = (body) =>
+  Object.fromEntries(Object.entries(body).filter(([key]) => EDITABLE_FIELDS.includes(key)));
+
+// Managers only run restaurant-funded promos on their own restaurant
+const getManagerRestaurant = async (user) => {
+  const restaurant = await Restaurant.findOne({ managerId: user._id }).select('_id');
+  if (!restaurant) throw new AppError('No restaurant found for this manager', 404);
+  return restaurant;
+};
+
+const scopeForManager = async (data, user) => {
+  if (user.role !== 'Manager') return data;
+  const restaurant = await getManagerRestaurant(user);
+  return { ...data, restaurants: [restaurant._id], fundedBy: PROMOTION_FUNDERS.Restaurant };
+};
+
+const loadEditablePromotion = async (id, user) => {
+  const promotion = await Promotion.findById(id);
+  if (!promotion) throw new AppError('Promotion not found', 404);
+
+  if (user.role === 'Manager') {
+    const restaurant = await getManagerRestaurant(user);
+    const ownsIt =
+      promotion.restaurants.length === 1 &&
+      promotion.restaurants[0].toString() === restaurant._id.toString();
+    if (!ownsIt) throw new AppError('You can only manage your own restaurant promotions', 403);
+  }
+  return promotion;
+};
+
+// CREATE a promotion
+export const createPromotion = catchAsync(async (req, res) => {
+  const data = await scopeForManager(pickEditable(req.body), req.user);
+
+  const promotion = await Promotion.create({ ...data, createdBy: req.user._id });
+
+  res.status(201).json({
+    status: 'success',
+    data: promotion
+  });
+});
+
+// GET promotions (managers see their restaurant's only)
+export const getPromotions = catchAsync(async (req, res) => {
+  const filter = {};
+  if (req.user.role === 'Manager') {
+    const restaurant = await getManagerRestaurant(req.user);
+    filter.restaurants = restaurant._id;
+  }
+  if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+
+  const promotions = await Promotion.find(filter).sort({ createdAt: -1 }).lean();
+
+  res.status(200).json({
+    status: 'success',
+    results: promotions.length,
+    data: promotions
+  });
+});
+
+// UPDATE a promotion
+export const updatePromotion = catchAsync(async (req, res) => {
+  const promotion = await loadEditablePromotion(req.params.id, req.user);
+
+  const updates = await scopeForManager(pickEditable(req.body), req.user);
+  promotion.set(updates);
+  await promotion.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: promotion
+  });
+});
+
+// DEACTIVATE a promotion (orders keep their copy of the code)
+export const deactivatePromotion = catchAsync(async (req, res) => {
+  const promotion = await loadEditablePromotion(req.params.id, req.user);
+
+  promotion.active = false;
+  await promotion.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: `Promotion ${promotion.code} deactivated`,
+    data: null
+  });
+});
+
+// PREVIEW a promo code against a basket before placing the order
+export const validatePromoCode = catchAsync(async (req, res, next) => {
+  const { code, restaurantId, foodTotal, deliveryFee = 0, typeOfOrder } = req.body;
+
+  if (!code || !restaurantId || foodTotal === undefined) {
+    return next(new AppError('code, restaurantId and foodTotal are required', 400));
+  }
+
+  const promotion = await Promotion.findApplicable({
+    code,
+    userId: req.user._id,
+    restaurantId,
+    foodTotal: Number(foodTotal),
+    typeOfOrder,
+  });
+  const discount = promotion.computeDiscount({
+    foodTotal: Number(foodTotal),
+    deliveryFee: Number(deliveryFee),
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      code: promotion.code,
+      type: promotion.type,
+      description: promotion.description,
+      ...discount
+    }
+  });
+});
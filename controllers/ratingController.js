@@ -1,4 +1,9 @@
+import mongoose from 'mongoose';
 import Rating from '../models/Rating.js';
+import DriverRating, { DRIVER_RATING_TAGS, DRIVER_SCORE_PRIOR } from '../models/DriverRating.js';
+import Order, { ORDER_TYPES } from '../models/Order.js';
+import User from '../models/userModel.js';
+import AppError from '../utils/appError.js';
 import catchAsync from '../utils/catchAsync.js';
 
 export const createRating = catchAsync(async (req, res) => {
@@ -25,4 +30,91 @@ export const createRating = catchAsync(async (req, res) => {
     success: true,
     data: newRating
   });
-});
\ No newline at end of file
+});
+// Customers can rate the driver for this long after delivery
+const driverRatingWindowDays = () => parseFloat(process.env.DRIVER_RATING_WINDOW_DAYS || '7');
+
+// RATE the driver of a delivered order: { orderId, rating, tags: ['late' | 'rude' | 'great'], comment }
+export const rateDriver = catchAsync(async (req, res, next) => {
+  const { orderId, rating, tags = [], comment } = req.body;
+
+  if (!mongoose.isValidObjectId(orderId)) return next(new AppError('A valid orderId is required', 400));
+  if (!Array.isArray(tags) || tags.some((tag) => !Object.values(DRIVER_RATING_TAGS).includes(tag))) {
+    return next(new AppError(`tags must be a list of ${Object.values(DRIVER_RATING_TAGS).join(', ')}`, 400));
+  }
+
+  const order = await Order.findById(orderId).select('userId deliveryId typeOfOrder orderStatus deliveredAt orderCode');
+  if (!order || order.userId.toString() !== req.user._id.toString()) {
+    return next(new AppError('Order not found', 404));
+  }
+  // deliveredAt is set by verifyOrderDelivery, once the customer's code was checked
+  if (order.typeOfOrder !== ORDER_TYPES.Delivery || !order.deliveryId || !order.deliveredAt) {
+    return next(new AppError('You can rate the driver once your order has been delivered', 400));
+  }
+  if (Date.now() - order.deliveredAt.getTime() > driverRatingWindowDays() * 24 * 60 * 60 * 1000) {
+    return next(new AppError(`Drivers can only be rated within ${driverRatingWindowDays()} days of delivery`, 400));
+  }
+  if (await DriverRating.exists({ order: order._id })) {
+    return next(new AppError('This delivery has already been rated', 400));
+  }
+
+  const driverRating = await DriverRating.create({
+    order: order._id,
+    deliveryPerson: order.deliveryId,
+    user: req.user._id,
+    rating,
+    tags: [...new Set(tags)],
+    comment
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: driverRating
+  });
+});
+
+// GET driver scores, lowest first (?vehicle=Motor) — admin
+export const getDriverScores = catchAsync(async (req, res) => {
+  const filter = { role: 'Delivery_Person' };
+  if (req.query.vehicle) filter.deliveryMethod = req.query.vehicle;
+
+  const drivers = await User.find(filter)
+    .select('firstName lastName phone deliveryMethod driverStatus driverRating')
+    .sort({ 'driverRating.score': 1 })
+    .lean();
+
+  res.status(200).json({
+    status: 'success',
+    results: drivers.length,
+    data: drivers.map((driver) => ({
+      ...driver,
+      driverRating: driver.driverRating?.count
+        ? driver.driverRating
+        : { average: null, count: 0, score: DRIVER_SCORE_PRIOR, tags: {} }
+    }))
+  });
+});
+
+// GET one driver's ratings, newest first — admin
+export const getDriverRatings = catchAsync(async (req, res, next) => {
+  const { deliveryId } = req.params;
+  if (!mongoose.isValidObjectId(deliveryId)) return next(new AppError('Invalid delivery person ID', 400));
+
+  const driver = await User.findOne({ _id: deliveryId, role: 'Delivery_Person' })
+    .select('firstName lastName phone deliveryMethod driverRating')
+    .lean();
+  if (!driver) return next(new AppError('Delivery person not found', 404));
+
+  const ratings = await DriverRating.find({ deliveryPerson: deliveryId })
+    .populate('user', 'firstName lastName')
+    .populate('order', 'orderCode deliveredAt')
+    .sort({ createdAt: -1 })
+    .limit(200)
+    .lean();
+
+  res.status(200).json({
+    status: 'success',
+    results: ratings.length,
+    data: { driver, ratings }
+  });
+});
@@ -31,15 +31,17 @@ export const getRestaurantsWithDistanceFromCoords = catchAsync(async (req, res,
   const radiusInMeters = parseFloat(radius) * 1000; // Convert kilometers to meters for MongoDB
 
   // Find restaurants within the specified radius using MongoDB geospatial query
-  const restaurants = await Restaurant.find({
+  const nearby = await Restaurant.find({
     active: true,
-     isOpenNow: true,
+    ...Restaurant.openNowCandidates(),
     location: {
       $geoWithin: {
         $centerSphere: [userCoords, radiusInMeters / 6378137] // Earth's radius in meters
       }
     }
   });
+  // isOpenNow is computed from the opening hours, so it is filtered here
+  const restaurants = nearby.filter((restaurant) => restaurant.isOpenNow);
 
   // Map over restaurants and calculate distance using geolib
   const results = restaurants.map((restaurant) => {
@@ -70,13 +72,13 @@ export const getRestaurantsWithDistanceFromCoords = catchAsync(async (req, res,
 // Get all restaurants with filtering, sorting, pagination & search
 export const getAllRestaurants = catchAsync(async (req, res, next) => {
   // Build the query
-  const query = Restaurant.find( {isOpenNow: true}).populate({
+  const query = Restaurant.find(Restaurant.openNowCandidates()).populate({
     path: 'managerId',
     select: 'firstName lastName phone',
   });
 
-  // Execute the query
-  const restaurants = await query;
+  // Execute the query, keep the ones open right now
+  const restaurants = (await query).filter((restaurant) => restaurant.isOpenNow);
 
   // If no restaurants found
   if (!restaurants || restaurants.length === 0) {
@@ -99,6 +101,7 @@ export const getAllRestaurants = catchAsync(async (req, res, next) => {
     ratingQuantity: restaurant.ratingQuantity,
     isDeliveryAvailable: restaurant.isDeliveryAvailable,
     isOpenNow: restaurant.isOpenNow,
+    nextOpensAt: restaurant.nextOpensAt,
     license:restaurant.license,
     manager: restaurant.managerId
       ? {
@@ -140,6 +143,7 @@ export const getAllRestaurantsForAdmin = catchAsync(async (req, res, next) => {
     license:restaurant.license,
     isDeliveryAvailable: restaurant.isDeliveryAvailable,
     isOpenNow: restaurant.isOpenNow,
+    nextOpensAt: restaurant.nextOpensAt,
     isActive:restaurant.active,
     manager: restaurant.managerId
       ? {
@@ -267,13 +271,32 @@ export const getRestaurantWithMenu = catchAsync(async (req, res, next) => {
     }
   });
 });
+// Schedule fields arrive as JSON strings when the update is sent as multipart (image upload)
+const parseJsonField = (body, field) => {
+  if (typeof body[field] !== 'string') return;
+  try {
+    body[field] = JSON.parse(body[field]);
+  } catch {
+    throw new AppError(`${field} is not valid JSON`, 400);
+  }
+};
+
 export const createRestaurant = catchAsync(async (req, res, next) => {
-  const { name, license, managerPhone, isDeliveryAvailable } = req.body;
+  parseJsonField(req.body, 'openingHours');
+  parseJsonField(req.body, 'scheduleExceptions');
+  const { name, license, managerPhone, isDeliveryAvailable, openingHours, scheduleExceptions, timezone } =
+    req.body;
 
   // 1️⃣ Validate required fields
   if (!name || !license || !managerPhone) {
     return next(new AppError('Name, license, and Manager Phone are required.', 400));
   }
+  // Without a schedule the restaurant would never show as open to customers
+  if (!Array.isArray(openingHours) || !openingHours.length) {
+    return next(
+      new AppError('openingHours are required, e.g. [{ "day": 1, "opens": "08:00", "closes": "22:00" }]', 400)
+    );
+  }
 
   // 2️⃣ Validate manager user
   const managerUser = await User.findOne({ phone: managerPhone });
@@ -297,7 +320,10 @@ export const createRestaurant = catchAsync(async (req, res, next) => {
     name,
     license,
     managerId: managerUser._id,
-    isDeliveryAvailable
+    isDeliveryAvailable,
+    openingHours,
+    scheduleExceptions,
+    timezone
   });
 
 console.log(managerUser)
@@ -332,6 +358,7 @@ console.log(managerUser)
     ratingQuantity: newRestaurant.ratingQuantity,
     isDeliveryAvailable: newRestaurant.isDeliveryAvailable,
     isOpenNow: newRestaurant.isOpenNow,
+    nextOpensAt: newRestaurant.nextOpensAt,
     manager: newRestaurant.managerId,
     reviews: newRestaurant.reviews || []
   };
@@ -391,12 +418,16 @@ export const updateRestaurant = catchAsync(async (req, res, next) => {
     }
   }
   // 3️⃣ Filter allowed top-level fields
+  parseJsonField(req.body, 'openingHours');
+  parseJsonField(req.body, 'scheduleExceptions');
   const filteredBody = filterObj(
     req.body,
     'description',
     'imageCover',
     'isDeliveryAvailable',
-    'isOpenNow'
+    'openingHours',
+    'scheduleExceptions',
+    'timezone'
   );
 
   // 4️⃣ Handle address field inside location only
@@ -577,6 +608,7 @@ export const getRestaurantsByManagerId = catchAsync(async (req, res, next) => {
     ratingQuantity: restaurant.ratingQuantity,
     isDeliveryAvailable: restaurant.isDeliveryAvailable,
     isOpenNow: restaurant.isOpenNow,
+    nextOpensAt: restaurant.nextOpensAt,
     manager: restaurant.managerId,
     ...(req.query.includeReviews === 'true' && { reviews: restaurant.reviews })
   }));
@@ -4,13 +4,41 @@ import { TRANSACTION_STATUSES } from "./Transaction.js";
 export const REQUESTER_TYPES = {
   Delivery: "Delivery",
   Restaurant: "Restaurant",
+  Customer: "Customer", // wallet
 };
 
 export const TRANSACTION_TYPES = {
   Deposit: "Deposit",
   Withdraw: "Withdraw",
+  Reversal: "Reversal", // claws back a deposit (e.g. refunded order)
+  CashCollected: "CashCollected", // driver (or restaurant, for counter orders) kept cash that is partly ours
+  CashRemitted: "CashRemitted", // driver handed collected cash back to us
+  TopUp: "TopUp", // customer loaded their wallet through a payment provider
+  Payment: "Payment", // customer paid (part of) an order from their wallet
+  Refund: "Refund", // cancelled order money returned to the wallet
+  Reimbursement: "Reimbursement", // we pay back a discount we funded on a counter order
 };
 
+// Types that add to a balance; everything else is subtracted
+export const CREDIT_TYPES = [
+  TRANSACTION_TYPES.Deposit,
+  TRANSACTION_TYPES.CashRemitted,
+  TRANSACTION_TYPES.TopUp,
+  TRANSACTION_TYPES.Refund,
+  TRANSACTION_TYPES.Reimbursement,
+];
+
+// Statuses that count towards a balance (same set in both aggregations)
+const SETTLED_STATUSES = [
+  TRANSACTION_STATUSES.APPROVED,
+  TRANSACTION_STATUSES.PROCESSING,
+  TRANSACTION_STATUSES.SUCCESS,
+];
+
+// Wallet top-ups use "<PREFIX>-WALLET-<balanceId>-<timestamp>" so the payment
+// webhook can tell them apart from "<PREFIX>-<orderId>-<timestamp>" orders
+export const WALLET_TX_REF_TAG = "WALLET";
+
 const balanceSchema = new mongoose.Schema(
   {
     requesterType: {
@@ -37,6 +65,22 @@ const balanceSchema = new mongoose.Schema(
       index: true,
     },
 
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required() {
+        return this.requesterType === REQUESTER_TYPES.Customer;
+      },
+      index: true,
+    },
+
+    // Order that produced this entry (deposits and their reversals)
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      index: true,
+    },
+
     // ALWAYS store money in 3 fields:
     // 1️⃣ originalAmount (user entered)
     // 2️⃣ fee (system deducted)
@@ -85,6 +129,20 @@ const balanceSchema = new mongoose.Schema(
       default: TRANSACTION_STATUSES.PENDING,
     },
 
+    // Provider that moved the money for withdrawals and top-ups (see utils/payments)
+    provider: {
+      type: String,
+      trim: true,
+    },
+
+    // Provider reference of a wallet top-up
+    txRef: {
+      type: String,
+      trim: true,
+      sparse: true,
+      index: true,
+    },
+
     chapaResponse: {
       type: Object,
       default: null,
@@ -105,39 +163,31 @@ const balanceSchema = new mongoose.Schema(
  * 🔹 VIRTUAL: requesterId (auto resolves delivery or restaurant)
  ************************************************************/
 balanceSchema.virtual("requesterId").get(function () {
+  if (this.requesterType === REQUESTER_TYPES.Customer) return this.customerId;
   return this.requesterType === REQUESTER_TYPES.Delivery
     ? this.deliveryId
     : this.restaurantId;
 });
 
 /************************************************************
- * 🔹 PRE-SAVE: Auto-calculate fee & netAmount on Deposits ONLY
+ * 🔹 Platform fee & net amount of a Deposit
+ * Also used for counter orders, where the restaurant already holds the cash
  ************************************************************/
-balanceSchema.pre("validate", function (next) {
-  // For non-new documents or non-Deposit transactions, netAmount equals originalAmount
-  if (!this.isNew || this.type !== TRANSACTION_TYPES.Deposit) {
-    this.netAmount = this.originalAmount;
-    return next();
-  }
-
+export const splitDeposit = (requesterType, originalAmount) => {
   // Fees as decimals (e.g., "0.1" for 10%, "0.08" for 8%)
   const deliveryFee = parseFloat(process.env.DELIVERY_DEPOSIT_FEE || "0.1");
   const restaurantFee = parseFloat(process.env.RESTAURANT_DEPOSIT_FEE || "0.08");
   const govVatRate = parseFloat(process.env.GOV_VAT || "0"); // e.g., "0.05" for 5%
 
-  const original = Number(this.originalAmount); // safer than parseFloat on object
-
-  if (isNaN(original)) {
-    return next(new Error("originalAmount is not a valid number"));
-  }
+  const original = Number(originalAmount); // safer than parseFloat on object
 
   // Determine fee rate based on requesterType
-  const feeRate = this.requesterType === REQUESTER_TYPES.Delivery 
+  const feeRate = requesterType === REQUESTER_TYPES.Delivery 
     ? deliveryFee 
     : restaurantFee;
 
   // VAT only applies to restaurant (not delivery)
-  const vatRate = this.requesterType === REQUESTER_TYPES.Delivery 
+  const vatRate = requesterType === REQUESTER_TYPES.Delivery 
     ? 0 
     : govVatRate;
 
@@ -150,7 +200,24 @@ balanceSchema.pre("validate", function (next) {
   // Add VAT if applicable, then final net amount
   const netAmount = Number((afterFee * (1 + vatRate)).toFixed(2));
 
-  // Assign calculated values
+  return { fee, netAmount };
+};
+
+/************************************************************
+ * 🔹 PRE-SAVE: Auto-calculate fee & netAmount on Deposits ONLY
+ ************************************************************/
+balanceSchema.pre("validate", function (next) {
+  // For non-new documents or non-Deposit transactions, netAmount equals originalAmount
+  if (!this.isNew || this.type !== TRANSACTION_TYPES.Deposit) {
+    this.netAmount = this.originalAmount;
+    return next();
+  }
+
+  if (isNaN(Number(this.originalAmount))) {
+    return next(new Error("originalAmount is not a valid number"));
+  }
+
+  const { fee, netAmount } = splitDeposit(this.requesterType, this.originalAmount);
   this.fee = fee;
   this.netAmount = netAmount;
 
@@ -159,17 +226,19 @@ balanceSchema.pre("validate", function (next) {
 
 /************************************************************
  * 🔹 STATIC: Calculate total usable balance
- * Balance = SUM(Deposits) - SUM(Success Withdrawals)
+ * Balance = SUM(Deposits + Cash remitted) - SUM(Withdrawals + Reversals + Cash collected)
+ * so a driver's outstanding cash is netted against their payouts.
  ************************************************************/
-balanceSchema.statics.calculateTotal = async function (requesterId) {
+balanceSchema.statics.calculateTotal = async function (requesterId, { session } = {}) {
   const result = await this.aggregate([
     {
       $match: {
         $or: [
           { deliveryId: requesterId },
-          { restaurantId: requesterId }
+          { restaurantId: requesterId },
+          { customerId: requesterId }
         ],
-        status: { $in: [TRANSACTION_STATUSES.APPROVED,TRANSACTION_STATUSES.PROCESSING, TRANSACTION_STATUSES.SUCCESS], }
+        status: { $in: SETTLED_STATUSES }
       },
     },
     {
@@ -178,7 +247,7 @@ balanceSchema.statics.calculateTotal = async function (requesterId) {
         total: {
           $sum: {
             $cond: [
-              { $eq: ["$type", TRANSACTION_TYPES.Deposit] },
+              { $in: ["$type", CREDIT_TYPES] },
               "$netAmount",
               { $multiply: ["$netAmount", -1] }
             ]
@@ -186,7 +255,7 @@ balanceSchema.statics.calculateTotal = async function (requesterId) {
         }
       }
     }
-  ]);
+  ]).session(session || null);
 
   return result.length > 0 ? result[0].total : 0;
 };
@@ -200,7 +269,8 @@ balanceSchema.statics.getTransactionsWithRunningBalance = async function (reques
       $match: {
         $or: [
           { deliveryId: requesterId },
-          { restaurantId: requesterId }
+          { restaurantId: requesterId },
+          { customerId: requesterId }
         ]
       }
     },
@@ -210,12 +280,19 @@ balanceSchema.statics.getTransactionsWithRunningBalance = async function (reques
         partitionBy: requesterId,
         sortBy: { createdAt: 1 },
         output: {
+          // pending / failed entries are listed but do not move the balance
           currentBalance: {
             $sum: {
               $cond: [
-                { $eq: ["$type", TRANSACTION_TYPES.Deposit] },
-                "$netAmount",
-                { $multiply: ["$netAmount", -1] }
+                { $not: [{ $in: ["$status", SETTLED_STATUSES] }] },
+                0,
+                {
+                  $cond: [
+                    { $in: ["$type", CREDIT_TYPES] },
+                    "$netAmount",
+                    { $multiply: ["$netAmount", -1] }
+                  ]
+                }
               ]
             },
             window: { documents: ["unbounded", "current"] }
@@ -226,5 +303,180 @@ balanceSchema.statics.getTransactionsWithRunningBalance = async function (reques
   ]);
 };
 
+/************************************************************
+ * 🔹 STATIC: Reverse every deposit made for an order
+ * Creates one Reversal per deposit so the running balance stays auditable.
+ ************************************************************/
+balanceSchema.statics.reverseOrderDeposits = async function (orderId, { session, note } = {}) {
+  const deposits = await this.find({
+    type: TRANSACTION_TYPES.Deposit,
+    status: TRANSACTION_STATUSES.APPROVED,
+    $or: [
+      { orderId },
+      // deposits created before orderId was stored only mention it in the note
+      { orderId: { $exists: false }, note: { $regex: `order ${orderId}$` } },
+    ],
+  }).session(session || null);
+
+  if (!deposits.length) return [];
+
+  const alreadyReversed = await this.find({
+    type: TRANSACTION_TYPES.Reversal,
+    orderId,
+  }).session(session || null);
+  if (alreadyReversed.length) return [];
+
+  return this.create(
+    deposits.map((deposit) => ({
+      requesterType: deposit.requesterType,
+      restaurantId: deposit.restaurantId,
+      deliveryId: deposit.deliveryId,
+      orderId,
+      originalAmount: deposit.netAmount,
+      currency: deposit.currency,
+      type: TRANSACTION_TYPES.Reversal,
+      status: TRANSACTION_STATUSES.APPROVED,
+      note: note || `Reversal of deposit ${deposit._id} for order ${orderId}`,
+    })),
+    { session, ordered: true }
+  );
+};
+
+/************************************************************
+ * 🔹 STATIC: Cash a driver has collected but not yet handed over
+ * Liability = SUM(Cash collected) - SUM(Cash remitted)
+ ************************************************************/
+balanceSchema.statics.calculateCashLiability = async function (deliveryId) {
+  const result = await this.aggregate([
+    {
+      $match: {
+        deliveryId: new mongoose.Types.ObjectId(String(deliveryId)),
+        type: { $in: [TRANSACTION_TYPES.CashCollected, TRANSACTION_TYPES.CashRemitted] },
+        status: TRANSACTION_STATUSES.APPROVED,
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        collected: {
+          $sum: { $cond: [{ $eq: ["$type", TRANSACTION_TYPES.CashCollected] }, "$netAmount", 0] },
+        },
+        remitted: {
+          $sum: { $cond: [{ $eq: ["$type", TRANSACTION_TYPES.CashRemitted] }, "$netAmount", 0] },
+        },
+      },
+    },
+  ]);
+
+  const collected = Number(result[0]?.collected || 0);
+  const remitted = Number(result[0]?.remitted || 0);
+  return {
+    collected,
+    remitted,
+    outstanding: Number((collected - remitted).toFixed(2)),
+  };
+};
+
+/************************************************************
+ * 🔹 STATIC: Settle a verified wallet top-up
+ * Returns "paid", "quarantined", "duplicate" or null (unknown top-up).
+ ************************************************************/
+balanceSchema.statics.settleTopUp = async function (topUpId, { txRef, payment }) {
+  if (!mongoose.isValidObjectId(topUpId)) return null;
+
+  const topUp = await this.findOne({ _id: topUpId, type: TRANSACTION_TYPES.TopUp });
+  if (!topUp) return null;
+  if (topUp.status !== TRANSACTION_STATUSES.PENDING) return "duplicate";
+
+  const expectedAmount = Number(topUp.originalAmount.toString());
+  const matches =
+    String(payment.currency || "").toUpperCase() === topUp.currency &&
+    Math.abs(Number(payment.amount) - expectedAmount) < 0.01;
+
+  // Filter on PENDING so a replayed webhook cannot credit twice
+  const result = await this.updateOne(
+    { _id: topUp._id, status: TRANSACTION_STATUSES.PENDING },
+    {
+      $set: {
+        status: matches ? TRANSACTION_STATUSES.APPROVED : TRANSACTION_STATUSES.QUARANTINED,
+        txRef,
+        chapaResponse: payment.raw,
+      },
+    }
+  );
+  if (!result.modifiedCount) return "duplicate";
+  return matches ? "paid" : "quarantined";
+};
+
+/************************************************************
+ * 🔹 STATIC: Put money back into a customer's wallet
+ ************************************************************/
+balanceSchema.statics.creditWallet = async function (
+  customerId,
+  { amount, orderId, currency, note, session } = {}
+) {
+  const [entry] = await this.create(
+    [
+      {
+        requesterType: REQUESTER_TYPES.Customer,
+        customerId,
+        orderId,
+        originalAmount: Number(Number(amount).toFixed(2)),
+        currency,
+        type: TRANSACTION_TYPES.Refund,
+        status: TRANSACTION_STATUSES.APPROVED,
+        note,
+      },
+    ],
+    { session }
+  );
+  return entry;
+};
+
+/************************************************************
+ * 🔹 STATIC: Pay (part of) an order from a customer's wallet
+ * Must run inside the order's transaction. Every debit first writes the customer's
+ * guard document, so two concurrent debits conflict and one of them is aborted
+ * instead of both passing the balance check. Returns null if the balance is too low.
+ ************************************************************/
+balanceSchema.statics.debitWallet = async function (
+  customerId,
+  { amount, orderId, currency, note, session }
+) {
+  await WalletGuard.updateOne(
+    { customerId },
+    { $inc: { debits: 1 }, $set: { lastDebitAt: new Date() } },
+    { upsert: true, session }
+  );
+
+  const walletBalance = Number(await this.calculateTotal(customerId, { session }));
+  if (walletBalance < amount) return null;
+
+  const [entry] = await this.create(
+    [
+      {
+        requesterType: REQUESTER_TYPES.Customer,
+        customerId,
+        orderId,
+        originalAmount: Number(Number(amount).toFixed(2)),
+        currency,
+        type: TRANSACTION_TYPES.Payment,
+        status: TRANSACTION_STATUSES.APPROVED,
+        note,
+      },
+    ],
+    { session }
+  );
+  return entry;
+};
+
+// One per customer; only written to serialize wallet debits (see debitWallet)
+const walletGuardSchema = new mongoose.Schema({
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, unique: true },
+  debits: { type: Number, default: 0 },
+  lastDebitAt: { type: Date },
+});
+const WalletGuard = mongoose.model("WalletGuard", walletGuardSchema);
+
 const Balance = mongoose.model("Balance", balanceSchema);
 export default Balance;
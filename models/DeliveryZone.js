@@ -0,0 +1,117 @@
+import mongoose from "mongoose";
+import { DELIVERY_VEHICLES } from "./Order.js";
+
+// ===================================================================
+// SUB-SCHEMA: per-vehicle tariff (a vehicle without a tariff is not offered in the zone)
+// ===================================================================
+const tariffSchema = new mongoose.Schema(
+  {
+    vehicle: {
+      type: String,
+      required: true,
+      enum: {
+        values: Object.values(DELIVERY_VEHICLES),
+        message: "Invalid delivery vehicle: {VALUE}",
+      },
+    },
+    baseFare: { type: Number, required: true, min: 0 },
+    perKm: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+// Closed GeoJSON rings with valid [lng, lat] positions (Mongo rejects anything else at insert)
+const isValidRing = (ring) =>
+  Array.isArray(ring) &&
+  ring.length >= 4 &&
+  ring.every(
+    (p) => Array.isArray(p) && p.length >= 2 && Math.abs(p[0]) <= 180 && Math.abs(p[1]) <= 90
+  ) &&
+  ring[0][0] === ring[ring.length - 1][0] &&
+  ring[0][1] === ring[ring.length - 1][1];
+
+const isValidPolygon = (rings) => Array.isArray(rings) && rings.length > 0 && rings.every(isValidRing);
+
+// ===================================================================
+// MAIN SCHEMA
+// ===================================================================
+const deliveryZoneSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Zone name is required"],
+      unique: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: { type: String, trim: true, maxlength: 300 },
+
+    // Service area the destination must fall in
+    area: {
+      type: { type: String, enum: ["Polygon", "MultiPolygon"], required: true },
+      coordinates: {
+        type: Array,
+        required: true,
+        validate: {
+          validator: function (coordinates) {
+            return this.area?.type === "MultiPolygon"
+              ? Array.isArray(coordinates) && coordinates.length > 0 && coordinates.every(isValidPolygon)
+              : isValidPolygon(coordinates);
+          },
+          message: "Zone area must be closed rings of [lng, lat] positions",
+        },
+      },
+    },
+
+    tariffs: {
+      type: [tariffSchema],
+      validate: {
+        validator: (tariffs) =>
+          tariffs.length > 0 && new Set(tariffs.map((t) => t.vehicle)).size === tariffs.length,
+        message: "A zone needs at least one tariff and one tariff per vehicle",
+      },
+    },
+    // Road distance limit from the restaurant (null = no limit)
+    maxDistanceKm: { type: Number, min: 0, default: null },
+    // Overlapping zones: the highest priority wins (e.g. a downtown zone inside a city zone)
+    priority: { type: Number, default: 0 },
+
+    active: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+deliveryZoneSchema.index({ area: "2dsphere" });
+deliveryZoneSchema.index({ active: 1, priority: -1 });
+
+deliveryZoneSchema.virtual("allowedVehicles").get(function () {
+  return (this.tariffs || []).map((t) => t.vehicle);
+});
+
+// ===================================================================
+// STATICS & METHODS
+// ===================================================================
+
+// Active zone covering { lat, lng }, highest priority first; null when outside every zone
+deliveryZoneSchema.statics.findForLocation = function ({ lat, lng }) {
+  return this.findOne({
+    active: true,
+    area: {
+      $geoIntersects: {
+        $geometry: { type: "Point", coordinates: [parseFloat(lng), parseFloat(lat)] },
+      },
+    },
+  }).sort({ priority: -1, createdAt: 1 });
+};
+
+deliveryZoneSchema.methods.getTariff = function (vehicle) {
+  return this.tariffs.find((t) => t.vehicle === vehicle) || null;
+};
+
+const DeliveryZone = mongoose.model("DeliveryZone", deliveryZoneSchema);
+export default DeliveryZone;
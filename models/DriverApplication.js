@@ -0,0 +1,143 @@
+import mongoose from "mongoose";
+import { DELIVERY_VEHICLES } from "./Order.js";
+
+export const DRIVER_DOCUMENT_TYPES = {
+  IdPhoto: "IdPhoto",
+  License: "License",
+  VehicleRegistration: "VehicleRegistration",
+};
+
+// Documents a driver needs per vehicle; bicycles need no licence or registration
+export const REQUIRED_DRIVER_DOCUMENTS = {
+  [DELIVERY_VEHICLES.Car]: Object.values(DRIVER_DOCUMENT_TYPES),
+  [DELIVERY_VEHICLES.Motorcycle]: Object.values(DRIVER_DOCUMENT_TYPES),
+  [DELIVERY_VEHICLES.Bicycle]: [DRIVER_DOCUMENT_TYPES.IdPhoto],
+};
+
+// Documents that are only valid with an expiry date
+export const EXPIRING_DRIVER_DOCUMENTS = [
+  DRIVER_DOCUMENT_TYPES.License,
+  DRIVER_DOCUMENT_TYPES.VehicleRegistration,
+];
+
+// User.driverStatus: only Active drivers take orders. Suspended drivers keep their account;
+// Unverified ones (e.g. created by an admin) have no approved application yet
+export const DRIVER_STATUSES = {
+  Unverified: "Unverified",
+  Active: "Active",
+  Suspended: "Suspended",
+};
+
+export const APPLICATION_STATUSES = {
+  Pending: "Pending",
+  Approved: "Approved",
+  Rejected: "Rejected",
+};
+
+export const DOCUMENT_STATUSES = {
+  Pending: "Pending",
+  Approved: "Approved",
+  Rejected: "Rejected",
+  Expired: "Expired",
+  Replaced: "Replaced", // an approved renewal took its place
+};
+
+const driverDocumentSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      enum: { values: Object.values(DRIVER_DOCUMENT_TYPES), message: "Invalid document type: {VALUE}" },
+    },
+    // Not publicly reachable: admins get a short-lived signed link (utils/cloudinary.js getSignedImageUrl)
+    publicId: { type: String, required: true },
+    // Cloudinary delivery type; documents uploaded before they were made private are "upload"
+    storageType: { type: String, enum: ["upload", "authenticated"], default: "upload" },
+    expiresAt: { type: Date, default: null },
+    status: {
+      type: String,
+      enum: Object.values(DOCUMENT_STATUSES),
+      default: DOCUMENT_STATUSES.Pending,
+    },
+    rejectionReason: { type: String, trim: true, maxlength: 300 },
+    uploadedAt: { type: Date, default: Date.now },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedAt: { type: Date },
+    expiryWarnedAt: { type: Date, default: null },
+  },
+  {
+    // Older documents still carry their permanent public URL: never send it out
+    toJSON: { transform: (doc, ret) => { delete ret.url; return ret; } },
+    toObject: { transform: (doc, ret) => { delete ret.url; return ret; } },
+  }
+);
+
+/**
+ * A user's request to deliver for us, and once approved, the driver's document file.
+ * A renewed document is added next to the current one and only replaces it once approved.
+ */
+const driverApplicationSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    deliveryMethod: {
+      type: String,
+      required: [true, "Delivery method is required"],
+      enum: { values: Object.values(DELIVERY_VEHICLES), message: "{VALUE} is not a valid delivery method" },
+    },
+    fcnNumber: { type: String, required: [true, "FCN Number is required"], trim: true },
+    documents: { type: [driverDocumentSchema], default: [] },
+
+    status: {
+      type: String,
+      enum: Object.values(APPLICATION_STATUSES),
+      default: APPLICATION_STATUSES.Pending,
+    },
+    rejectionReason: { type: String, trim: true, maxlength: 300 },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+driverApplicationSchema.index({ status: 1, createdAt: 1 });
+driverApplicationSchema.index({ "documents.status": 1, "documents.expiresAt": 1 });
+
+// Approved, unexpired document of a type, or null
+driverApplicationSchema.methods.getValidDocument = function (type, now = new Date()) {
+  return (
+    this.documents.find(
+      (d) =>
+        d.type === type &&
+        d.status === DOCUMENT_STATUSES.Approved &&
+        (!d.expiresAt || d.expiresAt > now)
+    ) || null
+  );
+};
+
+// Required document types without a valid document
+driverApplicationSchema.methods.missingDocuments = function (now = new Date()) {
+  return (REQUIRED_DRIVER_DOCUMENTS[this.deliveryMethod] || []).filter(
+    (type) => !this.getValidDocument(type, now)
+  );
+};
+
+// Approve one document; older approved / expired ones of the same type are replaced
+driverApplicationSchema.methods.approveDocument = function (doc, reviewer) {
+  this.documents.forEach((other) => {
+    if (
+      other !== doc &&
+      other.type === doc.type &&
+      [DOCUMENT_STATUSES.Approved, DOCUMENT_STATUSES.Expired].includes(other.status)
+    ) {
+      other.status = DOCUMENT_STATUSES.Replaced;
+    }
+  });
+  doc.status = DOCUMENT_STATUSES.Approved;
+  doc.rejectionReason = undefined;
+  doc.reviewedBy = reviewer._id;
+  doc.reviewedAt = new Date();
+  return this;
+};
+
+const DriverApplication = mongoose.model("DriverApplication", driverApplicationSchema);
+export default DriverApplication;
@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+import AppError from '../utils/appError.js';
+
+export const DRIVER_RATING_TAGS = {
+  Late: 'late',
+  Rude: 'rude',
+  Great: 'great',
+};
+
+// Drivers start from this average, worth this many ratings, so one early 1★ or 5★ does not decide their score
+export const DRIVER_SCORE_PRIOR = 4.5;
+const DRIVER_SCORE_PRIOR_WEIGHT = 5;
+
+/**
+ * A customer's rating of the driver who delivered their order (one per order).
+ * @module models/DriverRating
+ */
+const driverRatingSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: [true, 'Rating must belong to an order']
+    },
+    deliveryPerson: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Rating must belong to a delivery person'],
+      index: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Rating must be submitted by a user']
+    },
+    rating: {
+      type: Number,
+      min: [1, 'Rating must be at least 1'],
+      max: [5, 'Rating must not exceed 5'],
+      required: [true, 'Rating is required'],
+      validate: {
+        validator: Number.isInteger,
+        message: 'Rating must be an integer between 1 and 5'
+      }
+    },
+    tags: {
+      type: [{ type: String, enum: { values: Object.values(DRIVER_RATING_TAGS), message: 'Invalid tag: {VALUE}' } }],
+      default: []
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Comment must not exceed 500 characters']
+    }
+  },
+  { timestamps: true }
+);
+
+driverRatingSchema.index({ order: 1 }, { unique: true });
+driverRatingSchema.index({ deliveryPerson: 1, createdAt: -1 });
+
+/**
+ * Recompute a driver's aggregated rating on the user:
+ * average, count, tag counts and score (average pulled towards DRIVER_SCORE_PRIOR).
+ */
+driverRatingSchema.statics.updateDriverScore = async function (deliveryPerson) {
+  const [stats] = await this.aggregate([
+    { $match: { deliveryPerson: new mongoose.Types.ObjectId(String(deliveryPerson)) } },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        total: { $sum: '$rating' },
+        tags: { $push: '$tags' }
+      }
+    }
+  ]);
+
+  const count = stats?.count || 0;
+  const total = stats?.total || 0;
+  const tagCounts = Object.fromEntries(Object.values(DRIVER_RATING_TAGS).map((tag) => [tag, 0]));
+  (stats?.tags || []).flat().forEach((tag) => {
+    tagCounts[tag] += 1;
+  });
+
+  const round = (value) => Math.round(value * 100) / 100;
+  await mongoose.model('User').updateOne(
+    { _id: deliveryPerson },
+    {
+      $set: {
+        driverRating: {
+          average: count ? round(total / count) : null,
+          count,
+          score: round(
+            (DRIVER_SCORE_PRIOR * DRIVER_SCORE_PRIOR_WEIGHT + total) / (DRIVER_SCORE_PRIOR_WEIGHT + count)
+          ),
+          tags: tagCounts
+        }
+      }
+    }
+  );
+};
+
+driverRatingSchema.post('save', async function () {
+  await this.constructor.updateDriverScore(this.deliveryPerson);
+});
+
+driverRatingSchema.post('save', function (error, doc, next) {
+  if (error.name === 'MongoServerError' && error.code === 11000) {
+    next(new AppError('This delivery has already been rated', 400));
+  } else {
+    next(error);
+  }
+});
+
+const DriverRating = mongoose.model('DriverRating', driverRatingSchema);
+
+export default DriverRating;
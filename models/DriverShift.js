@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+
+// Driver availability (utils/driverAvailability.js). Busy is set by the server while
+// the driver carries orders; drivers switch between the other three themselves.
+export const DRIVER_AVAILABILITY = {
+  Offline: "Offline",
+  Online: "Online",
+  OnBreak: "OnBreak",
+  Busy: "Busy",
+};
+
+export const SHIFT_END_REASONS = {
+  WentOffline: "WentOffline",
+  // A new shift was started while an old one was still open (app killed, lost state)
+  Superseded: "Superseded",
+};
+
+const breakSchema = new mongoose.Schema(
+  {
+    startedAt: { type: Date, required: true },
+    endedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+// Counted while the shift is open; acceptance rate = offersAccepted / offersReceived
+const shiftStatsSchema = new mongoose.Schema(
+  {
+    offersReceived: { type: Number, default: 0 },
+    offersAccepted: { type: Number, default: 0 },
+    offersDeclined: { type: Number, default: 0 },
+    offersExpired: { type: Number, default: 0 },
+    ordersAccepted: { type: Number, default: 0 },
+    ordersDelivered: { type: Number, default: 0 },
+    lateDeliveries: { type: Number, default: 0 }, // delivered after the drop-off deadline
+    reassignments: { type: Number, default: 0 }, // taken off an order for a missed pickup
+  },
+  { _id: false }
+);
+
+/**
+ * One go-online → go-offline period of a driver.
+ * Online time = endedAt (or now) - startedAt - breaks.
+ */
+const driverShiftSchema = new mongoose.Schema(
+  {
+    deliveryId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    deliveryVehicle: { type: String },
+    startedAt: { type: Date, required: true, default: Date.now },
+    endedAt: { type: Date, default: null },
+    endReason: { type: String, enum: Object.values(SHIFT_END_REASONS) },
+    breaks: { type: [breakSchema], default: [] },
+    stats: { type: shiftStatsSchema, default: () => ({}) },
+  },
+  { timestamps: true }
+);
+
+driverShiftSchema.index({ deliveryId: 1, endedAt: 1 });
+driverShiftSchema.index({ startedAt: -1 });
+
+// Milliseconds online (breaks excluded) that fall within [from, to]
+driverShiftSchema.methods.onlineMsBetween = function (from, to = new Date()) {
+  const overlap = (start, end) =>
+    Math.max(Math.min((end || to).getTime(), to.getTime()) - Math.max(start.getTime(), from.getTime()), 0);
+
+  const total = overlap(this.startedAt, this.endedAt);
+  const onBreak = this.breaks.reduce((sum, b) => sum + overlap(b.startedAt, b.endedAt), 0);
+  return { onlineMs: Math.max(total - onBreak, 0), breakMs: onBreak };
+};
+
+const DriverShift = mongoose.model("DriverShift", driverShiftSchema);
+export default DriverShift;
@@ -1,5 +1,40 @@
 import mongoose from 'mongoose';
 
+// One choice inside a group, e.g. "Large" (+30) or "Extra cheese" (+15)
+const foodOptionSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  priceDelta: { type: Number, default: 0 },
+  available: { type: Boolean, default: true }
+});
+
+// A set of choices, e.g. "Size" (pick exactly 1) or "Extras" (pick up to 3)
+const optionGroupSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  required: { type: Boolean, default: false },
+  minSelections: { type: Number, default: 0, min: 0 },
+  maxSelections: { type: Number, default: 1, min: 1 },
+  options: {
+    type: [foodOptionSchema],
+    validate: {
+      validator: v => v.length > 0,
+      message: 'An option group needs at least one option'
+    }
+  }
+});
+
+optionGroupSchema.pre('validate', function (next) {
+  // A required group always needs at least one pick
+  if (this.required && this.minSelections < 1) this.minSelections = 1;
+
+  if (this.minSelections > this.maxSelections) {
+    return next(new Error(`"${this.name}": minSelections cannot exceed maxSelections`));
+  }
+  if (this.minSelections > this.options.length) {
+    return next(new Error(`"${this.name}": not enough options for minSelections`));
+  }
+  next();
+});
+
 const foodSchema = new mongoose.Schema({
   foodName: { type: String, required: true, trim: true },
   price: { type: Number, required: true },
@@ -25,7 +60,64 @@ const foodSchema = new mongoose.Schema({
     type: String,
     enum: ['Available', 'Unavailable'],
     default: 'Available'
-  }
+  },
+  optionGroups: { type: [optionGroupSchema], default: [] }
 }, { timestamps: true });
 
+/**
+ * Validate a customer's picks against a food's option groups and price them.
+ * Works on lean documents too (used by Order.validateAndComputeOrder).
+ *
+ * @param {Object} food
+ * @param {Array<{groupId: string, optionIds: string[]}>} selections
+ * @returns {{ selectedOptions: Array, priceDelta: number }}
+ * @throws {Error} with a message the customer can act on
+ */
+export const resolveFoodOptions = (food, selections = []) => {
+  const groups = food.optionGroups || [];
+  const picksByGroup = new Map();
+
+  for (const selection of selections) {
+    const group = groups.find(g => g._id.toString() === String(selection.groupId));
+    if (!group) throw new Error(`Unknown option group for ${food.foodName}`);
+
+    const optionIds = [...new Set((selection.optionIds || []).map(String))];
+    picksByGroup.set(group._id.toString(), optionIds);
+  }
+
+  const selectedOptions = [];
+  let priceDelta = 0;
+
+  for (const group of groups) {
+    const optionIds = picksByGroup.get(group._id.toString()) || [];
+    const min = group.required ? Math.max(group.minSelections, 1) : group.minSelections;
+
+    if (optionIds.length < min) {
+      throw new Error(`Choose at least ${min} for "${group.name}" on ${food.foodName}`);
+    }
+    if (optionIds.length > group.maxSelections) {
+      throw new Error(`Choose at most ${group.maxSelections} for "${group.name}" on ${food.foodName}`);
+    }
+
+    for (const optionId of optionIds) {
+      const option = group.options.find(o => o._id.toString() === optionId);
+      if (!option) throw new Error(`Unknown option in "${group.name}" on ${food.foodName}`);
+      if (option.available === false) {
+        throw new Error(`"${option.name}" is not available for ${food.foodName}`);
+      }
+
+      priceDelta += option.priceDelta || 0;
+      selectedOptions.push({
+        groupId: group._id,
+        groupName: group.name,
+        optionId: option._id,
+        optionName: option.name,
+        priceDelta: option.priceDelta || 0
+      });
+    }
+  }
+
+  return { selectedOptions, priceDelta };
+};
+
 export default mongoose.model('Food', foodSchema);
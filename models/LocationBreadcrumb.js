@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+import { getPathLength } from "geolib";
+
+// Trips older than this are not replayed any more; let Mongo drop them
+const BREADCRUMB_TTL_DAYS = 60;
+
+/**
+ * One GPS point a driver reported while working on an order.
+ * Points are downsampled before they get here (utils/locationBreadcrumbs.js).
+ */
+const locationBreadcrumbSchema = new mongoose.Schema(
+  {
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+    deliveryId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    location: {
+      type: { type: String, enum: ["Point"], default: "Point" },
+      coordinates: { type: [Number], required: true }, // [lng, lat]
+    },
+    accuracy: { type: Number, min: 0 },
+    recordedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+locationBreadcrumbSchema.index({ orderId: 1, recordedAt: 1 });
+locationBreadcrumbSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: BREADCRUMB_TTL_DAYS * 24 * 3600 }
+);
+
+/**
+ * The driver's trail for an order in time order, with the distance it covers.
+ * `since` limits the distance to the part of the trip after that moment (e.g. pickup).
+ */
+locationBreadcrumbSchema.statics.getTrail = async function (orderId, { since } = {}) {
+  const points = await this.find({ orderId })
+    .sort({ recordedAt: 1 })
+    .select("location.coordinates accuracy recordedAt")
+    .lean();
+
+  const toLatLng = (p) => ({ latitude: p.location.coordinates[1], longitude: p.location.coordinates[0] });
+  const distanceKm = (list) => Number((getPathLength(list.map(toLatLng)) / 1000).toFixed(2));
+
+  return {
+    points,
+    distanceKm: points.length > 1 ? distanceKm(points) : 0,
+    distanceSinceKm:
+      since && points.length > 1
+        ? distanceKm(points.filter((p) => p.recordedAt >= since))
+        : null,
+  };
+};
+
+const LocationBreadcrumb = mongoose.model("LocationBreadcrumb", locationBreadcrumbSchema);
+export default LocationBreadcrumb;
@@ -1,8 +1,10 @@
 import mongoose from "mongoose";
-import Food from "./Food.js";
+import Food, { resolveFoodOptions } from "./Food.js";
 import Restaurant from "../models/restaurantModel.js";
 
 import transactionSchema from "./Transaction.js"; // Your provided schema
+import Promotion from "./Promotion.js";
+import { verifyDeliveryQuote } from "../utils/deliveryQuote.js";
 import crypto from "crypto";
 // ===================================================================
 // CONSTANTS
@@ -28,9 +30,66 @@ export const DELIVERY_VEHICLES = {
   Bicycle: "Bicycle",
 };
 
+// Who can appear as the actor of a status change
+export const STATUS_ACTOR_ROLES = {
+  Customer: "Customer",
+  Manager: "Manager",
+  Delivery: "Delivery_Person",
+  Admin: "Admin",
+  System: "System",
+};
+
+// How the customer pays; only Online goes through a payment provider
+export const PAYMENT_METHODS = {
+  Online: "Online",
+  Cash: "Cash", // cash on delivery, collected by the driver
+  Counter: "Counter", // paid at the restaurant
+};
+
+export const OFFLINE_PAYMENT_METHODS = [PAYMENT_METHODS.Cash, PAYMENT_METHODS.Counter];
+
+// Which order types each payment method can be used with
+export const PAYMENT_METHOD_ORDER_TYPES = {
+  [PAYMENT_METHODS.Online]: [ORDER_TYPES.Delivery, ORDER_TYPES.Takeaway, ORDER_TYPES.DineIn],
+  [PAYMENT_METHODS.Cash]: [ORDER_TYPES.Delivery],
+  [PAYMENT_METHODS.Counter]: [ORDER_TYPES.Takeaway, ORDER_TYPES.DineIn],
+};
+
+// How a cooked delivery order reaches drivers
+export const DISPATCH_MODES = {
+  Broadcast: "Broadcast", // every free driver of the vehicle type, first to accept wins
+  Nearest: "Nearest", // offered to one driver at a time, nearest first
+};
+
+// What the current delivery ETA was last computed from (utils/deliveryEta.js)
+export const ETA_BASES = {
+  Placement: "Placement",
+  Cooked: "Cooked",
+  Delivering: "Delivering",
+  DriverLocation: "DriverLocation",
+};
+
+// How the driver proved a delivery in verifyOrderDelivery
+export const DELIVERY_PROOF_METHODS = {
+  Code: "Code", // the customer's verification code
+  Contactless: "Contactless", // photo + GPS fix near the destination
+};
+
+// Who asked for a cancellation (drives the refund policy)
+export const CANCELLATION_SOURCES = {
+  Customer: "Customer",
+  Restaurant: "Restaurant",
+};
 
 const MAX_ORDER_ITEMS = 5;
 
+// Scheduled orders: how soon and how far ahead a slot can be booked.
+// Read lazily, dotenv runs after the imports in server.js
+const scheduleMinLeadMinutes = () =>
+  parseFloat(process.env.SCHEDULED_ORDER_MIN_LEAD_MINUTES || "30");
+const scheduleMaxDaysAhead = () =>
+  parseFloat(process.env.SCHEDULED_ORDER_MAX_DAYS_AHEAD || "7");
+
 // ===================================================================
 // STATUS TRANSITION FLOW
 // ===================================================================
@@ -70,6 +129,18 @@ const geoLocationSchema = new mongoose.Schema(
 // ===================================================================
 // 2. ORDER ITEM SUB-SCHEMA
 // ===================================================================
+// What the customer picked, copied from the food so menu edits don't change the ticket
+const orderItemOptionSchema = new mongoose.Schema(
+  {
+    groupId: { type: mongoose.Schema.Types.ObjectId },
+    groupName: { type: String, trim: true },
+    optionId: { type: mongoose.Schema.Types.ObjectId },
+    optionName: { type: String, trim: true },
+    priceDelta: { type: mongoose.Schema.Types.Decimal128, default: 0 },
+  },
+  { _id: false }
+);
+
 const orderItemSchema = new mongoose.Schema(
   {
     foodId: {
@@ -80,7 +151,10 @@ const orderItemSchema = new mongoose.Schema(
     },
     name: { type: String, required: true, trim: true, maxlength: 200 },
     quantity: { type: Number, required: true, min: 1, max: 1000 },
+    basePrice: { type: mongoose.Schema.Types.Decimal128, min: 0 },
+    // Unit price including selected options
     price: { type: mongoose.Schema.Types.Decimal128, required: true, min: 0 },
+    options: { type: [orderItemOptionSchema], default: [] },
     foodImage: {
       type: String,
       trim: true,
@@ -90,6 +164,115 @@ const orderItemSchema = new mongoose.Schema(
   { _id: true }
 );
 
+// ===================================================================
+// 3. STATUS HISTORY SUB-SCHEMA (append-only)
+// ===================================================================
+const statusHistorySchema = new mongoose.Schema(
+  {
+    from: { type: String, enum: Object.values(ORDER_STATUSES) },
+    status: { type: String, enum: Object.values(ORDER_STATUSES), required: true },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    role: {
+      type: String,
+      enum: Object.values(STATUS_ACTOR_ROLES),
+      default: STATUS_ACTOR_ROLES.System,
+    },
+    reason: { type: String, trim: true, maxlength: 500 },
+    changedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Promo code applied at checkout (copied so later edits don't rewrite history)
+const orderPromotionSchema = new mongoose.Schema(
+  {
+    promotionId: { type: mongoose.Schema.Types.ObjectId, ref: "Promotion" },
+    code: { type: String, trim: true, uppercase: true },
+    type: { type: String },
+    fundedBy: { type: String },
+    foodDiscount: { type: mongoose.Schema.Types.Decimal128, default: 0 },
+    deliveryDiscount: { type: mongoose.Schema.Types.Decimal128, default: 0 },
+  },
+  { _id: false }
+);
+
+// Driver offers for the nearest-driver dispatch (utils/driverDispatcher.js)
+const dispatchSchema = new mongoose.Schema(
+  {
+    mode: { type: String, enum: Object.values(DISPATCH_MODES) },
+    offeredTo: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    offerExpiresAt: { type: Date },
+    attempts: { type: Number, default: 0, min: 0 },
+    // Drivers who declined or let the offer expire
+    declinedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    fellBackAt: { type: Date },
+    // Last time an offer was declined or expired; the next one is due right after
+    releasedAt: { type: Date },
+  },
+  { _id: false }
+);
+
+// Surge / time-of-day pricing applied to the delivery fee (utils/deliveryPricing.js)
+const deliverySurgeSchema = new mongoose.Schema(
+  {
+    multiplier: { type: Number, default: 1, min: 0 },
+    reasons: [{ type: String, trim: true }],
+    demandRatio: { type: Number, min: 0 },
+  },
+  { _id: false }
+);
+
+// Delivery ETA: the promise made at checkout next to the live estimate and the outcome
+const etaSchema = new mongoose.Schema(
+  {
+    predictedAt: { type: Date }, // first estimate, shown at checkout, never changed
+    prepMinutes: { type: Number, min: 0 },
+    routeSeconds: { type: Number, min: 0 }, // travel time used by the latest estimate
+    basis: { type: String, enum: Object.values(ETA_BASES) },
+    updatedAt: { type: Date },
+    delayMinutes: { type: Number }, // actual minus predicted, negative = early
+  },
+  { _id: false }
+);
+
+// Driver deadlines for the current assignment (utils/deliverySla.js)
+const deliverySlaSchema = new mongoose.Schema(
+  {
+    acceptedAt: { type: Date },
+    pickupDueAt: { type: Date },
+    pickupWarnedAt: { type: Date, default: null },
+    pickedUpAt: { type: Date },
+    deliveryDueAt: { type: Date },
+    deliveryWarnedAt: { type: Date, default: null },
+    lateByMinutes: { type: Number, min: 0 }, // set on delivery when past deliveryDueAt
+  },
+  { _id: false }
+);
+
+// Kept for disputes: how the driver proved the delivery, and where they were
+const proofOfDeliverySchema = new mongoose.Schema(
+  {
+    method: { type: String, enum: Object.values(DELIVERY_PROOF_METHODS), required: true },
+    photoUrl: { type: String },
+    photoPublicId: { type: String },
+    location: { type: geoLocationSchema, default: undefined }, // driver's GPS fix
+    accuracyMeters: { type: Number, min: 0 },
+    distanceMeters: { type: Number, min: 0 }, // from the fix to destinationLocation
+    note: { type: String, trim: true, maxlength: 300 },
+    recordedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// A driver taken off the order by the SLA watchdog
+const reassignmentSchema = new mongoose.Schema(
+  {
+    deliveryId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    reason: { type: String, trim: true },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
 
 // ===================================================================
 // 4. MAIN ORDER SCHEMA
@@ -144,6 +327,8 @@ const orderSchema = new mongoose.Schema(
     totalPrice: { type: mongoose.Schema.Types.Decimal128, required: true, min: 0 },
     serviceFee: { type: mongoose.Schema.Types.Decimal128, required: true, min: 0 },
     vatTotal: { type: mongoose.Schema.Types.Decimal128, required: true, min: 0 },
+    discountTotal: { type: mongoose.Schema.Types.Decimal128, default: 0, min: 0 },
+    promotion: { type: orderPromotionSchema, default: undefined },
     // ORDER TYPE & DELIVERY
     typeOfOrder: {
       type: String,
@@ -155,6 +340,8 @@ const orderSchema = new mongoose.Schema(
       required: function () { return this.typeOfOrder === ORDER_TYPES.Delivery; },
     },
     distanceKm: { type: Number, default: 0, min: 0 },
+    // Why the delivery fee is above the zone tariff, shown to drivers
+    deliverySurge: { type: deliverySurgeSchema, default: undefined },
     deliveryVehicle: {
       type: String,
       enum: Object.values(DELIVERY_VEHICLES),
@@ -175,12 +362,39 @@ const orderSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
- 
+    statusHistory: { type: [statusHistorySchema], default: [] },
+
+    // SCHEDULING (null = as soon as possible)
+    scheduledFor: { type: Date, default: null },
+    // When the kitchen was told about the order; scheduled orders wait for their lead time
+    releasedToKitchenAt: { type: Date, default: null },
+
+    // ETA (delivery orders); estimatedDeliveryAt is the live estimate pushed to the customer
+    estimatedDeliveryAt: { type: Date, default: null },
+    eta: { type: etaSchema, default: undefined },
+    deliveredAt: { type: Date, default: null },
+    proofOfDelivery: { type: proofOfDeliverySchema, default: undefined },
 
     orderCode: { type: String, unique: true, sparse: true, trim: true, uppercase: true },
     userVerificationCode: { type: String, trim: true }, 
     deliveryVerificationCode: { type: String, trim: true },
     deliveryId: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // Assigned delivery person
+    // Orders carried together share the first order's id (utils/deliveryBatching.js)
+    batchId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    dispatch: { type: dispatchSchema, default: undefined },
+    deliverySla: { type: deliverySlaSchema, default: undefined },
+    reassignments: { type: [reassignmentSchema], default: undefined },
+    paymentMethod: {
+      type: String,
+      enum: Object.values(PAYMENT_METHODS),
+      default: PAYMENT_METHODS.Online,
+      validate: {
+        validator: function (v) {
+          return PAYMENT_METHOD_ORDER_TYPES[v]?.includes(this.typeOfOrder);
+        },
+        message: (props) => `${props.value} payment is not available for this order type`,
+      },
+    },
     // TRANSACTION (from your model)
     transaction: {
       type: transactionSchema,
@@ -203,18 +417,42 @@ const orderSchema = new mongoose.Schema(
 orderSchema.index({ userId: 1, createdAt: -1 });
 orderSchema.index({ restaurantId: 1, createdAt: -1 });
 orderSchema.index({ orderStatus: 1, updatedAt: -1 });
+orderSchema.index({ releasedToKitchenAt: 1, scheduledFor: 1 });
+orderSchema.index({ deliveryId: 1, orderStatus: 1 });
+orderSchema.index({ orderStatus: 1, "deliverySla.pickupDueAt": 1 });
 
 // ===================================================================
 // PRE-SAVE HOOKS
 // ===================================================================
 orderSchema.pre("save", async function (next) {
   if (!this.orderCode) this.orderCode = await generateOrderCode();
-    if (this.isModified("orderStatus")) {
-      console.log("Chck it venus");
+
+  // Every status change must leave a trace, even if the caller forgot to
+  // go through recordStatusChange()
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      status: this.orderStatus,
+      changedBy: this.userId,
+      role: STATUS_ACTOR_ROLES.Customer,
+      reason: "Order placed",
+    });
+  } else if (this.isModified("orderStatus") && !this.$locals.statusChangeRecorded) {
+    this.statusHistory.push({ status: this.orderStatus, role: STATUS_ACTOR_ROLES.System });
   }
+  this.$locals.statusChangeRecorded = false;
   next();
 });
 
+// Build a history entry for update queries that bypass document middleware
+export const buildStatusHistoryEntry = ({ from, status, user, reason }) => ({
+  from,
+  status,
+  changedBy: user?._id,
+  role: user?.role || STATUS_ACTOR_ROLES.System,
+  reason,
+  changedAt: new Date(),
+});
+
 export async function generateOrderCode() {
   // 📅 Generate short year-month tag (e.g. "25A" for Jan 2025)
   const now = new Date();
@@ -232,6 +470,22 @@ export async function generateOrderCode() {
   return code;
 }
 
+// Check a requested delivery / pickup slot against the booking window
+export const parseScheduledFor = (value, now = new Date()) => {
+  const slot = new Date(value);
+  if (isNaN(slot.getTime())) throw new Error("Invalid scheduledFor time");
+
+  const minLead = scheduleMinLeadMinutes();
+  if (slot.getTime() < now.getTime() + minLead * 60 * 1000) {
+    throw new Error(`Scheduled orders must be at least ${minLead} minutes ahead`);
+  }
+  const maxDays = scheduleMaxDaysAhead();
+  if (slot.getTime() > now.getTime() + maxDays * 24 * 60 * 60 * 1000) {
+    throw new Error(`Orders can be scheduled at most ${maxDays} days ahead`);
+  }
+  return slot;
+};
+
 orderSchema.statics.validateAndComputeOrder = async function ({
   orderItems,
   typeOfOrder,
@@ -239,7 +493,10 @@ orderSchema.statics.validateAndComputeOrder = async function ({
   destinationLocation,
   tip = 0,
   description,
- calculatedDeliveryFee
+  deliveryQuoteToken, // from estimateDeliveryFee; without a valid one the fee is recomputed
+  promoCode,
+  userId,
+  scheduledFor,
 }) {
   // --- Basic validation ---
   if (!orderItems?.length) throw new Error("At least one item required");
@@ -271,6 +528,8 @@ const foodMap = new Map(foods.map(f => [f._id.toString(), f]));
 
 let restaurantId = null;
 let foodTotal = 0;
+// Dishes cook in parallel: the slowest one sets the preparation time
+let prepMinutes = 0;
 const normalizedItems = [];
 
 for (const item of orderItems) {
@@ -283,6 +542,7 @@ for (const item of orderItems) {
   if (!food.menuId) throw new Error('Food is missing menuId');
 
   const restId = food.restaurantId.toString();
+  prepMinutes = Math.max(prepMinutes, food.cookingTimeMinutes || 0);
 
   // First item → set the reference restaurant
   if (!restaurantId) {
@@ -292,14 +552,24 @@ for (const item of orderItems) {
   }
   // ----------------------------------------------
 
-  const price = parseFloat(food.price.toString());
+  // Size / extras / spice level picks
+  const { selectedOptions, priceDelta } = resolveFoodOptions(food, item.options);
+
+  const basePrice = parseFloat(food.price.toString());
+  const price = basePrice + priceDelta;
+  if (price < 0) throw new Error(`Invalid price for ${food.foodName}`);
   foodTotal += price * item.quantity;
 
   normalizedItems.push({
     foodId: food._id,
     name: food.foodName,
     quantity: item.quantity,
+    basePrice: mongoose.Types.Decimal128.fromString(basePrice.toFixed(2)),
     price: mongoose.Types.Decimal128.fromString(price.toFixed(2)),
+    options: selectedOptions.map(o => ({
+      ...o,
+      priceDelta: mongoose.Types.Decimal128.fromString(o.priceDelta.toFixed(2)),
+    })),
     restaurantId: restaurantId,
   });
 }
@@ -308,7 +578,20 @@ for (const item of orderItems) {
   const restaurant = await Restaurant.findById(restaurantId);
   if (!restaurant) throw new Error("Restaurant not found");
 
+  // --- Opening hours (for the slot, or right now for ASAP orders) ---
+  const slot = scheduledFor ? parseScheduledFor(scheduledFor) : null;
+  if (!restaurant.isAvailableAt(slot || new Date(), typeOfOrder)) {
+    if (slot) throw new Error(`${restaurant.name} does not take ${typeOfOrder} orders for that time`);
+    const { nextOpensAt } = restaurant;
+    throw new Error(
+      `${restaurant.name} is not taking ${typeOfOrder} orders right now` +
+        (nextOpensAt ? `, next opens at ${nextOpensAt.toISOString()}` : "")
+    );
+  }
+
 let deliveryFee = 0;
+let distanceKm = 0;
+let deliverySurge;
 let serviceFee = 0;
 
 
@@ -320,10 +603,34 @@ let totalPrice = foodTotal + parsedTip + vatTotal;
 
 switch (typeOfOrder) {
 
-  case ORDER_TYPES.Delivery:
-    deliveryFee = calculatedDeliveryFee ; 
+  case ORDER_TYPES.Delivery: {
+    // The fee is never taken from the client: either the signed quote the customer
+    // was shown, or a fresh one (delivery zone of the address, tariff, surge)
+    let quote = verifyDeliveryQuote(deliveryQuoteToken, {
+      restaurantId,
+      destination: destinationLocation,
+      deliveryVehicle,
+      scheduledFor: slot,
+    });
+    if (!quote) {
+      // Loaded on use: the pricing code reaches the socket layer, which imports this model.
+      const { computeDeliveryFee } = await import("../utils/computeDeliveryFee.js");
+      quote = await computeDeliveryFee({
+        restaurantLocation: {
+          lng: restaurant.location.coordinates[0],
+          lat: restaurant.location.coordinates[1],
+        },
+        destinationLocation,
+        deliveryVehicle,
+        at: slot || new Date(),
+      });
+    }
+    deliveryFee = quote.deliveryFee;
+    distanceKm = quote.distanceKm;
+    deliverySurge = quote.surge;
     totalPrice += deliveryFee;
     break;
+  }
 
   case ORDER_TYPES.DineIn:
     serviceFee = parseFloat(process.env.DINEIN_SERVICE_FEE)  ;
@@ -339,6 +646,29 @@ switch (typeOfOrder) {
     break;
 }
 
+// --- Promo code ---
+let discount = { foodDiscount: 0, deliveryDiscount: 0, discountTotal: 0 };
+let promotion;
+if (promoCode) {
+  const promo = await Promotion.findApplicable({
+    code: promoCode,
+    userId,
+    restaurantId,
+    foodTotal,
+    typeOfOrder,
+  });
+  discount = promo.computeDiscount({ foodTotal, deliveryFee });
+  totalPrice -= discount.discountTotal;
+  promotion = {
+    promotionId: promo._id,
+    code: promo.code,
+    type: promo.type,
+    fundedBy: promo.fundedBy,
+    foodDiscount: mongoose.Types.Decimal128.fromString(discount.foodDiscount.toFixed(2)),
+    deliveryDiscount: mongoose.Types.Decimal128.fromString(discount.deliveryDiscount.toFixed(2)),
+  };
+}
+
 console.log("Service Fee:", serviceFee);
 console.log("Delivery Fee:", deliveryFee);
 console.log("Total Price:", totalPrice);
@@ -353,6 +683,8 @@ console.log("Total Price:", totalPrice);
     deliveryFee: mongoose.Types.Decimal128.fromString(deliveryFee.toFixed(2)),
     serviceFee:mongoose.Types.Decimal128.fromString(serviceFee.toFixed(2)),
     tip: mongoose.Types.Decimal128.fromString(parsedTip.toFixed(2)),
+    discountTotal: mongoose.Types.Decimal128.fromString(discount.discountTotal.toFixed(2)),
+    promotion,
     totalPrice: mongoose.Types.Decimal128.fromString(totalPrice.toFixed(2)),
     restaurantId,
     restaurantName: restaurant.name,
@@ -367,8 +699,12 @@ console.log("Total Price:", totalPrice);
     } : null,
     
     deliveryVehicle: typeOfOrder === ORDER_TYPES.Delivery ? deliveryVehicle : null,
+    distanceKm,
     typeOfOrder,
     description,  
+    scheduledFor: slot,
+    deliverySurge,
+    prepMinutes: prepMinutes || null, // null = no cooking time on any dish
   };
 };
 
@@ -402,10 +738,20 @@ orderSchema.statics.findNearby = function (coordinates, maxDistanceKm = 5) {
 
 // ===================================================================
 // PRE-FIND HOOK (only paid by default)
+// Refunded orders were paid too, they stay visible as Cancelled.
+// Cash and counter orders are real orders before anyone has paid.
 // ===================================================================
 orderSchema.pre(["find", "findOne"], function (next) {
   if (!this.getOptions().bypassPaidFilter) {
-    this.where({ "transaction.status": "PAID" });
+    // and() rather than where(): callers may already filter with $or
+    this.and([
+      {
+        $or: [
+          { "transaction.status": { $in: ["PAID", "REFUNDED"] } },
+          { paymentMethod: { $in: OFFLINE_PAYMENT_METHODS } },
+        ],
+      },
+    ]);
   }
   next();
 });
@@ -415,6 +761,64 @@ orderSchema.methods.canTransitionTo = function (status) {
   return ORDER_STATUS_FLOW[this.orderStatus]?.includes(status);
 };
 
+// True while a nearest-driver offer for this order is open to someone else
+orderSchema.methods.isOfferedToAnotherDriver = function (deliveryId, now = new Date()) {
+  const { offeredTo, offerExpiresAt } = this.dispatch || {};
+  if (!offeredTo || !offerExpiresAt || offerExpiresAt <= now) return false;
+  return offeredTo.toString() !== deliveryId.toString();
+};
+
+/**
+ * Move the order to a new status and append who did it to statusHistory.
+ * The caller is still responsible for saving the document.
+ */
+orderSchema.methods.recordStatusChange = function (status, { user, reason } = {}) {
+  this.statusHistory.push(
+    buildStatusHistoryEntry({ from: this.orderStatus, status, user, reason })
+  );
+  this.orderStatus = status;
+  this.$locals.statusChangeRecorded = true;
+  return this;
+};
+
+// Store when the order reached the customer and how far off the checkout ETA was
+orderSchema.methods.recordDelivered = function (at = new Date()) {
+  this.deliveredAt = at;
+  if (this.eta?.predictedAt) {
+    this.eta.delayMinutes = Math.round((at - this.eta.predictedAt) / 60000);
+  }
+  if (this.deliverySla?.deliveryDueAt && at > this.deliverySla.deliveryDueAt) {
+    this.deliverySla.lateByMinutes = Math.ceil((at - this.deliverySla.deliveryDueAt) / 60000);
+  }
+  return this;
+};
+
+/**
+ * Refund policy for cancelling this order in its current state.
+ * Customers: full refund while Pending, partial while Preparing/Cooked,
+ * nothing once Delivering. Restaurant-side cancellations are always refunded in full.
+ */
+orderSchema.methods.getCancellationPolicy = function (source) {
+  if (!this.canTransitionTo(ORDER_STATUSES.Cancelled)) {
+    return { allowed: false, refundRate: 0, message: `Order cannot be cancelled once ${this.orderStatus}` };
+  }
+
+  if (source === CANCELLATION_SOURCES.Restaurant) {
+    return { allowed: true, refundRate: 1 };
+  }
+
+  const partialRate = parseFloat(process.env.PARTIAL_REFUND_RATE || "0.5");
+  switch (this.orderStatus) {
+    case ORDER_STATUSES.Pending:
+      return { allowed: true, refundRate: 1 };
+    case ORDER_STATUSES.Preparing:
+    case ORDER_STATUSES.Cooked:
+      return { allowed: true, refundRate: partialRate };
+    default:
+      return { allowed: true, refundRate: 0 };
+  }
+};
+
 orderSchema.methods.getSummary = function () {
   return {
     orderCode: this.orderCode,
@@ -443,7 +847,10 @@ orderSchema.methods.getDetails = function () {
     pricing: {
       foodTotal: this.foodTotal.toString(),
       deliveryFee: this.deliveryFee.toString(),
+      deliverySurge: this.deliverySurge,
       tip: this.tip.toString(),
+      discount: this.discountTotal?.toString() || "0",
+      promoCode: this.promotion?.code,
       total: this.totalPrice.toString(),
     },
     delivery: {
@@ -452,6 +859,10 @@ orderSchema.methods.getDetails = function () {
       distance: this.distanceKm,
       location: this.destinationLocation,
       estimatedAt: this.estimatedDeliveryAt,
+      predictedAt: this.eta?.predictedAt,
+      deliveredAt: this.deliveredAt,
+      proof: this.proofOfDelivery,
+      scheduledFor: this.scheduledFor,
     },
     payment: this.transaction?.getSummary?.() || this.transaction,
     rating: this.rating,
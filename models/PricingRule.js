@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+import { DELIVERY_VEHICLES } from "./Order.js";
+import { TIME_PATTERN } from "../utils/openingHours.js";
+
+/**
+ * Delivery fee multiplier (utils/deliveryPricing.js).
+ * Schedule rules match on days and/or a time window in the business time zone;
+ * demand rules (minDemandRatio set) match when there are at least that many
+ * waiting cooked orders per free driver. Empty lists mean "all".
+ */
+const pricingRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Rule name is required"],
+      unique: true,
+      trim: true,
+      maxlength: 100,
+    },
+    // Shown to customers and drivers as the reason for a higher fee
+    description: { type: String, trim: true, maxlength: 300 },
+
+    multiplier: {
+      type: Number,
+      required: [true, "Multiplier is required"],
+      min: [0.5, "Multiplier cannot be below 0.5"],
+      max: [5, "Multiplier cannot exceed 5"],
+    },
+
+    // SCHEDULE (day 0 = Sunday; a window whose end is not after its start runs past midnight)
+    days: {
+      type: [{ type: Number, min: 0, max: 6 }],
+      default: [],
+    },
+    startTime: { type: String, match: [TIME_PATTERN, "startTime must be HH:MM"] },
+    endTime: { type: String, match: [TIME_PATTERN, "endTime must be HH:MM"] },
+
+    // DEMAND
+    minDemandRatio: { type: Number, min: 0, default: null },
+
+    // SCOPE
+    vehicles: [{ type: String, enum: Object.values(DELIVERY_VEHICLES) }],
+    zones: [{ type: mongoose.Schema.Types.ObjectId, ref: "DeliveryZone" }],
+
+    active: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+pricingRuleSchema.index({ active: 1 });
+
+pricingRuleSchema.pre("validate", function (next) {
+  if (!this.startTime !== !this.endTime) {
+    this.invalidate("endTime", "startTime and endTime go together");
+  }
+  next();
+});
+
+const PricingRule = mongoose.model("PricingRule", pricingRuleSchema);
+export default PricingRule;
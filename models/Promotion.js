@@ -0,0 +1,225 @@
+import mongoose from "mongoose";
+import AppError from "../utils/appError.js";
+import { TRANSACTION_STATUSES } from "./Transaction.js";
+
+// ===================================================================
+// CONSTANTS
+// ===================================================================
+export const PROMOTION_TYPES = {
+  Percentage: "Percentage", // value = percent off the food total
+  FixedAmount: "FixedAmount", // value = amount off the food total
+  FreeDelivery: "FreeDelivery", // delivery fee waived
+};
+
+// Who absorbs the discount: restaurant-funded promos reduce its deposit
+export const PROMOTION_FUNDERS = {
+  Restaurant: "Restaurant",
+  Platform: "Platform",
+};
+
+const promotionSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Promo code is required"],
+      unique: true,
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z0-9_-]{3,20}$/, "Promo code must be 3–20 letters, digits, - or _"],
+    },
+    description: { type: String, trim: true, maxlength: 300 },
+
+    type: {
+      type: String,
+      enum: Object.values(PROMOTION_TYPES),
+      required: [true, "Promotion type is required"],
+    },
+    value: {
+      type: Number,
+      min: [0, "Value cannot be negative"],
+      required() {
+        return this.type !== PROMOTION_TYPES.FreeDelivery;
+      },
+      validate: {
+        validator: function (v) {
+          return this.type !== PROMOTION_TYPES.Percentage || v <= 100;
+        },
+        message: "Percentage cannot exceed 100",
+      },
+    },
+    // Cap for percentage discounts
+    maxDiscount: { type: Number, min: 0 },
+    fundedBy: {
+      type: String,
+      enum: Object.values(PROMOTION_FUNDERS),
+      default: PROMOTION_FUNDERS.Restaurant,
+    },
+
+    // ELIGIBILITY
+    firstOrderOnly: { type: Boolean, default: false },
+    // Empty = every restaurant
+    restaurants: [{ type: mongoose.Schema.Types.ObjectId, ref: "Restaurant" }],
+    minBasket: { type: Number, default: 0, min: 0 }, // on the food total
+    startsAt: { type: Date, default: Date.now },
+    endsAt: { type: Date },
+
+    // LIMITS (null = unlimited)
+    usageLimit: { type: Number, min: 1, default: null },
+    perUserLimit: { type: Number, min: 1, default: 1 },
+    usedCount: { type: Number, default: 0, min: 0 },
+
+    active: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+promotionSchema.index({ active: 1, endsAt: 1 });
+
+// A customer's orders that count as a use: paid (or refunded) online, or cash / counter.
+// Cancelled orders and unpaid online checkouts don't, so a failed payment keeps the code usable.
+const countedOrdersFilter = (userId, { excludeOrderId, ...filter } = {}) => ({
+  userId,
+  ...filter,
+  ...(excludeOrderId && { _id: { $ne: excludeOrderId } }),
+  orderStatus: { $ne: "Cancelled" },
+  $or: [
+    { "transaction.status": { $in: [TRANSACTION_STATUSES.PAID, TRANSACTION_STATUSES.REFUNDED] } },
+    { paymentMethod: { $in: ["Cash", "Counter"] } },
+  ],
+});
+
+// Per-customer limits (perUserLimit, firstOrderOnly); throws a 400 AppError
+const checkUserLimits = async (promotion, userId, { session, excludeOrderId } = {}) => {
+  // One query at a time: operations of a transaction's session must not run in parallel
+  const Order = mongoose.model("Order");
+  const userUses = await Order.countDocuments(
+    countedOrdersFilter(userId, { excludeOrderId, "promotion.promotionId": promotion._id })
+  ).session(session || null);
+  if (userUses >= promotion.perUserLimit) {
+    throw new AppError("You have already used this promo code", 400);
+  }
+
+  if (promotion.firstOrderOnly) {
+    const previousOrders = await Order.countDocuments(
+      countedOrdersFilter(userId, { excludeOrderId })
+    ).session(session || null);
+    if (previousOrders > 0) {
+      throw new AppError("Promo code is only valid on your first order", 400);
+    }
+  }
+};
+
+// ===================================================================
+// STATICS
+// ===================================================================
+
+/**
+ * Load a promo code and check it against the basket.
+ * Throws a 400 AppError whose message can be shown to the customer.
+ */
+promotionSchema.statics.findApplicable = async function ({
+  code,
+  userId,
+  restaurantId,
+  foodTotal,
+  typeOfOrder,
+}) {
+  const promotion = await this.findOne({ code: String(code).trim().toUpperCase(), active: true });
+  if (!promotion) throw new AppError("Invalid promo code", 400);
+
+  const now = new Date();
+  if (promotion.startsAt && promotion.startsAt > now) throw new AppError("Promo code is not active yet", 400);
+  if (promotion.endsAt && promotion.endsAt < now) throw new AppError("Promo code has expired", 400);
+
+  if (promotion.usageLimit != null && promotion.usedCount >= promotion.usageLimit) {
+    throw new AppError("Promo code usage limit reached", 400);
+  }
+
+  if (
+    promotion.restaurants.length &&
+    !promotion.restaurants.some((id) => id.toString() === String(restaurantId))
+  ) {
+    throw new AppError("Promo code is not valid for this restaurant", 400);
+  }
+
+  if (foodTotal < promotion.minBasket) {
+    throw new AppError(`Promo code requires a minimum basket of ${promotion.minBasket.toFixed(2)}`, 400);
+  }
+
+  if (promotion.type === PROMOTION_TYPES.FreeDelivery && typeOfOrder !== "Delivery") {
+    throw new AppError("Free delivery codes only apply to delivery orders", 400);
+  }
+
+  if (userId) await checkUserLimits(promotion, userId);
+
+  return promotion;
+};
+
+/**
+ * Take one use atomically; false when the global limit was hit meanwhile.
+ * With userId (inside the order's transaction), the per-customer limits are checked
+ * again after the write: concurrent claims of the same code write the same promotion
+ * and conflict, so a customer cannot slip two orders past perUserLimit.
+ * The order being placed is left out of the count via orderId.
+ */
+promotionSchema.statics.claimUse = async function (promotionId, { session, userId, orderId } = {}) {
+  const promotion = await this.findOneAndUpdate(
+    {
+      _id: promotionId,
+      active: true,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ["$usedCount", "$usageLimit"] } }],
+    },
+    { $inc: { usedCount: 1 } },
+    { session, new: true }
+  );
+  if (!promotion) return false;
+
+  if (userId) await checkUserLimits(promotion, userId, { session, excludeOrderId: orderId });
+  return true;
+};
+
+// Give a use back (cancelled / abandoned order)
+promotionSchema.statics.releaseUse = function (promotionId, { session } = {}) {
+  return this.updateOne(
+    { _id: promotionId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+    { session }
+  );
+};
+
+// ===================================================================
+// METHODS
+// ===================================================================
+
+// Split the discount into the food and delivery parts of the bill
+promotionSchema.methods.computeDiscount = function ({ foodTotal, deliveryFee = 0 }) {
+  let foodDiscount = 0;
+  let deliveryDiscount = 0;
+
+  switch (this.type) {
+    case PROMOTION_TYPES.Percentage:
+      foodDiscount = (foodTotal * this.value) / 100;
+      if (this.maxDiscount != null) foodDiscount = Math.min(foodDiscount, this.maxDiscount);
+      break;
+    case PROMOTION_TYPES.FixedAmount:
+      foodDiscount = Math.min(this.value, foodTotal);
+      break;
+    case PROMOTION_TYPES.FreeDelivery:
+      deliveryDiscount = deliveryFee;
+      break;
+    default:
+      break;
+  }
+
+  foodDiscount = Number(foodDiscount.toFixed(2));
+  deliveryDiscount = Number(deliveryDiscount.toFixed(2));
+  return {
+    foodDiscount,
+    deliveryDiscount,
+    discountTotal: Number((foodDiscount + deliveryDiscount).toFixed(2)),
+  };
+};
+
+const Promotion = mongoose.model("Promotion", promotionSchema);
+export default Promotion;
@@ -12,8 +12,19 @@ export const TRANSACTION_STATUSES = {
   PROCESSING: "PROCESSING",
   SUCCESS: "SUCCESS",
   APPROVED: "APPROVED",
+  QUARANTINED: "QUARANTINED", // paid, but not what we expected; needs admin review
 
 };
+// Machine-readable reasons stored on failed transactions
+export const TRANSACTION_FAILURE_REASONS = {
+  ABANDONED_CHECKOUT: "ABANDONED_CHECKOUT",
+  AMOUNT_MISMATCH: "AMOUNT_MISMATCH",
+  CURRENCY_MISMATCH: "CURRENCY_MISMATCH",
+  LATE_PAYMENT: "LATE_PAYMENT", // paid after the checkout was swept
+};
+
+export const SUPPORTED_CURRENCIES = ["ETB", "USD", "BHD"];
+
 // =================================================================== 
 // CHAPA-SPECIFIC CONSTANTS
 // ===================================================================
@@ -55,10 +66,10 @@ const chapaPaymentSchema = new mongoose.Schema(
       min: [0, "Amount cannot be negative"],
     },
 
-    // Currency sent to Chapa (should be ETB)
+    // Currency sent to the provider
     charpaCurrency: {
       type: String,
-      enum: ["ETB", "USD"],
+      enum: SUPPORTED_CURRENCIES,
       default: "ETB",
     },
 
@@ -116,14 +127,46 @@ const transactionSchema = new mongoose.Schema(
     },
     currency: {
       type: String,
-      enum: ["ETB", "USD"],
+      enum: SUPPORTED_CURRENCIES,
       default: "ETB",
       required: true,
     },
+    // Payment provider that owns this charge (see utils/payments)
+    provider: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: "chapa",
+    },
+    // Gateway details; named after Chapa, but filled by every provider
     chapaPayment: {
       type: chapaPaymentSchema,
       select: false,
     },
+
+    // Part of the amount paid from the customer's wallet (rest goes to the provider)
+    walletAmount: {
+      type: mongoose.Schema.Types.Decimal128,
+      default: 0,
+      min: [0, "Wallet amount cannot be negative"],
+    },
+
+    // Cash / counter payments: who took the money and when
+    collectedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    collectedAt: { type: Date },
+
+    failureReason: { type: String, trim: true },
+    failureDetails: { type: mongoose.Schema.Types.Mixed },
+
+    // Refund bookkeeping (full or partial)
+    refundedAmount: {
+      type: mongoose.Schema.Types.Decimal128,
+      min: [0, "Refund amount cannot be negative"],
+    },
+    refundReference: { type: String, trim: true },
+    refundReason: { type: String, trim: true, maxlength: 500 },
+    refundedAt: { type: Date },
+    refundResponse: { type: mongoose.Schema.Types.Mixed },
   },
   
   { 
@@ -152,6 +195,23 @@ transactionSchema.methods.markAsFailed = function (failureReason, failureDetails
   return this;
 };
 
+transactionSchema.methods.markAsCollected = function (amount, collectedBy) {
+  this.status = TRANSACTION_STATUSES.PAID;
+  this.amount = amount;
+  this.collectedBy = collectedBy;
+  this.collectedAt = new Date();
+  return this;
+};
+
+transactionSchema.methods.markAsRefunded = function (amount, { reference, reason, response } = {}) {
+  this.status = TRANSACTION_STATUSES.REFUNDED;
+  this.refundedAmount = mongoose.Types.Decimal128.fromString(Number(amount).toFixed(2));
+  this.refundReference = reference;
+  this.refundReason = reason;
+  this.refundResponse = response;
+  this.refundedAt = new Date();
+  return this;
+};
 
 transactionSchema.statics.createForOrder = function (orderData) {
   return new this({
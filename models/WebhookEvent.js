@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+export const WEBHOOK_EVENT_STATUSES = {
+  Processing: "Processing",
+  Processed: "Processed",
+};
+
+/**
+ * One document per provider event we have handled.
+ * The unique eventKey makes replays a no-op.
+ */
+const webhookEventSchema = new mongoose.Schema(
+  {
+    provider: { type: String, required: true, trim: true },
+    eventKey: { type: String, required: true, unique: true, trim: true },
+    event: { type: String, trim: true },
+    txRef: { type: String, trim: true, index: true },
+    status: {
+      type: String,
+      enum: Object.values(WEBHOOK_EVENT_STATUSES),
+      default: WEBHOOK_EVENT_STATUSES.Processing,
+    },
+    outcome: { type: String, trim: true },
+    payload: { type: mongoose.Schema.Types.Mixed },
+    processedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+// Replays older than 90 days are not expected; let Mongo drop them
+webhookEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 3600 });
+
+const WebhookEvent = mongoose.model("WebhookEvent", webhookEventSchema);
+export default WebhookEvent;
@@ -1,5 +1,62 @@
 import mongoose from 'mongoose';
 import 'mongoose-geojson-schema';
+import {
+  TIME_PATTERN,
+  DATE_PATTERN,
+  getDefaultTimeZone,
+  isValidTimeZone,
+  isOpenAt,
+  getOpeningStatus
+} from '../utils/openingHours.js';
+
+/**
+ * One opening shift, local "HH:mm" times.
+ * A closing time at or before the opening time runs past midnight.
+ */
+const shiftFields = {
+  opens: {
+    type: String,
+    required: [true, 'Opening time is required'],
+    match: [TIME_PATTERN, 'Opening time must be HH:mm']
+  },
+  closes: {
+    type: String,
+    required: [true, 'Closing time is required'],
+    match: [TIME_PATTERN, 'Closing time must be HH:mm']
+  }
+};
+
+const openingShiftSchema = new mongoose.Schema(
+  {
+    day: {
+      type: Number,
+      required: [true, 'Day of week is required'],
+      min: [0, 'Day must be 0 (Sunday) to 6 (Saturday)'],
+      max: [6, 'Day must be 0 (Sunday) to 6 (Saturday)']
+    },
+    ...shiftFields
+  },
+  { _id: false }
+);
+
+/**
+ * Holiday / closure exception for one local date; no shifts = closed all day
+ */
+const scheduleExceptionSchema = new mongoose.Schema(
+  {
+    date: {
+      type: String,
+      required: [true, 'Exception date is required'],
+      match: [DATE_PATTERN, 'Exception date must be YYYY-MM-DD']
+    },
+    shifts: {
+      type: [new mongoose.Schema(shiftFields, { _id: false })],
+      default: []
+    },
+    reason: { type: String, trim: true, maxlength: 200 }
+  },
+  { _id: false }
+);
 
 /**
  * Restaurant Schema for MongoDB using Mongoose
@@ -87,10 +144,23 @@ const restaurantSchema = new mongoose.Schema(
       }
     },
    
-  isOpenNow: {
-    type: Boolean,
-    default: false
-  },
+    // Opening hours; isOpenNow / nextOpensAt are computed from these
+    openingHours: {
+      type: [openingShiftSchema],
+      default: []
+    },
+    scheduleExceptions: {
+      type: [scheduleExceptionSchema],
+      default: []
+    },
+    timezone: {
+      type: String,
+      default: getDefaultTimeZone,
+      validate: {
+        validator: isValidTimeZone,
+        message: 'Invalid IANA time zone'
+      }
+    },
     // Status
     isDeliveryAvailable: {
       type: Boolean,
@@ -186,6 +256,53 @@ restaurantSchema.virtual('shortDescription').get(function () {
     : this.description;
 });
 
+// Restaurants created before opening hours existed have no schedule yet
+const hasSchedule = (restaurant) =>
+  Boolean(restaurant.openingHours?.length || restaurant.scheduleExceptions?.length);
+
+// Their stored isOpenNow flag still decides until a schedule is set.
+// The isOpenNow virtual shadows that field, so it is read from the raw document.
+const legacyOpenFlag = (restaurant) => restaurant._doc?.isOpenNow === true;
+
+/**
+ * Whether the restaurant takes this type of order for a given time slot
+ */
+restaurantSchema.methods.isAvailableAt = function (date, typeOfOrder) {
+  if (this.active === false) return false;
+  if (typeOfOrder === 'Delivery' && !this.isDeliveryAvailable) return false;
+  return hasSchedule(this) ? isOpenAt(this, date) : legacyOpenFlag(this);
+};
+
+/**
+ * Open / closed right now according to the weekly schedule,
+ * or the old stored flag for restaurants without one.
+ */
+restaurantSchema.virtual('isOpenNow').get(function () {
+  return hasSchedule(this) ? isOpenAt(this) : legacyOpenFlag(this);
+});
+
+restaurantSchema.virtual('nextOpensAt').get(function () {
+  return hasSchedule(this) ? getOpeningStatus(this).nextOpensAt : null;
+});
+
+/**
+ * DB prefilter for restaurants that may be open right now; isOpenNow decides in the end.
+ * Keeps restaurants with shifts on a weekday that can be today or yesterday in any time zone
+ * (yesterday for overnight shifts), with schedule exceptions, or without a schedule but
+ * with the old flag set.
+ */
+restaurantSchema.statics.openNowCandidates = function (date = new Date()) {
+  const utcDay = date.getUTCDay();
+  const weekdays = [-2, -1, 0, 1].map((offset) => (utcDay + offset + 7) % 7);
+  return {
+    $or: [
+      { 'openingHours.day': { $in: weekdays } },
+      { 'scheduleExceptions.0': { $exists: true } },
+      { 'openingHours.0': { $exists: false }, isOpenNow: true }
+    ]
+  };
+};
+
 // Static method to update rating metrics
 restaurantSchema.statics.updateRatingMetrics = async function (restaurantId) {
   const ratings = await mongoose.model('Rating').find({ restaurant: restaurantId });
@@ -4,6 +4,8 @@ import bcrypt from 'bcryptjs';
 import { parsePhoneNumberFromString } from 'libphonenumber-js';
 import 'mongoose-geojson-schema';
 import { DELIVERY_VEHICLES } from './Order.js';
+import { DRIVER_AVAILABILITY } from './DriverShift.js';
+import { DRIVER_STATUSES } from './DriverApplication.js';
 
 // =======================
 // Address Subschema
@@ -166,6 +168,33 @@ const userSchema = new mongoose.Schema(
         }
       }
     },
+    // Delivery persons only; changed through utils/driverAvailability.js
+    availability: {
+      type: String,
+      enum: Object.values(DRIVER_AVAILABILITY),
+      default: function () {
+        return this.role === 'Delivery_Person' ? DRIVER_AVAILABILITY.Offline : undefined;
+      }
+    },
+    availabilityChangedAt: Date,
+    // Delivery persons only: Active once their driver application is approved;
+    // utils/driverDocuments.js suspends drivers whose documents expired
+    driverStatus: {
+      type: String,
+      enum: Object.values(DRIVER_STATUSES),
+      default: function () {
+        return this.role === 'Delivery_Person' ? DRIVER_STATUSES.Unverified : undefined;
+      }
+    },
+    suspendedAt: Date,
+    suspensionReason: String,
+    // Delivery persons only; kept up to date by DriverRating.updateDriverScore
+    driverRating: {
+      average: Number,
+      count: { type: Number, default: undefined },
+      score: Number,
+      tags: { type: Map, of: Number }
+    },
 
     isPhoneVerified: {
       type: Boolean,
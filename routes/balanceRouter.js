@@ -6,6 +6,9 @@ import {
   getWithdrawHistory,
   initWithdraw,
   chapaTransferApproval,
+  getCashLiability,
+  recordCashRemittance,
+  topUpWallet,
 } from "../controllers/balanceController.js";
 
 import { protect, restrictTo } from "../controllers/authController.js";
@@ -24,13 +27,13 @@ router.post("/chapa-transfer-approval", chapaTransferApproval);
 router.use(protect);  // All below require authentication
 
 /************************************************************
- * 3️⃣ Delivery + Restaurant Only
+ * 3️⃣ Delivery + Restaurant (+ Customer wallet)
  ************************************************************/
 
-// Get current balance
+// Get current balance (customers also get their wallet statement)
 router.get(
   "/",
-  restrictTo("Delivery_Person", "Manager"),
+  restrictTo("Delivery_Person", "Manager", "Customer"),
   getBalance
 );
 
@@ -51,13 +54,33 @@ router.post(
 // Transaction history
 router.get(
   "/history",
-  restrictTo("Delivery_Person", "Manager"),
+  restrictTo("Delivery_Person", "Manager", "Customer"),
   getTransactionHistory
 );
 
+// Customer wallet top-up through the payment provider
+router.post(
+  "/top-up",
+  restrictTo("Customer"),
+  topUpWallet
+);
+
+// Cash collected on delivery and not yet handed over
+router.get(
+  "/cash-liability",
+  restrictTo("Delivery_Person", "Admin"),
+  getCashLiability
+);
+
 /************************************************************
  * 4️⃣ ADMIN ONLY ROUTES
  ************************************************************/
+router.post(
+  "/cash-remittance",
+  restrictTo("Admin"),
+  recordCashRemittance
+);
+
 router.get(
   "/withdraw-history/:requesterType",
   restrictTo("Admin"),
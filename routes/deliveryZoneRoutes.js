@@ -0,0 +1,29 @@
+import express from 'express';
+import {
+  createDeliveryZone,
+  getDeliveryZones,
+  getDeliveryZone,
+  updateDeliveryZone,
+  deleteDeliveryZone,
+  lookupDeliveryZone
+} from '../controllers/deliveryZoneController.js';
+
+import { protect, restrictTo } from '../controllers/authController.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// Any signed-in user can see where we deliver
+router.get('/', getDeliveryZones);
+router.get('/lookup', lookupDeliveryZone);
+router.get('/:id', getDeliveryZone);
+
+// Admin only
+router.use(restrictTo('Admin'));
+
+router.post('/', createDeliveryZone);
+router.patch('/:id', updateDeliveryZone);
+router.delete('/:id', deleteDeliveryZone);
+
+export default router;
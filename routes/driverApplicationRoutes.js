@@ -0,0 +1,40 @@
+import express from 'express';
+import {
+  applyAsDriver,
+  getMyApplication,
+  uploadMyDocuments,
+  getDriverApplications,
+  getDriverApplication,
+  reviewDriverDocument,
+  approveDriverApplication,
+  rejectDriverApplication
+} from '../controllers/driverApplicationController.js';
+import { DRIVER_DOCUMENT_TYPES } from '../models/DriverApplication.js';
+
+import { protect, restrictTo } from '../controllers/authController.js';
+import upload from '../utils/upload.js';
+
+const router = express.Router();
+
+// One image per document type
+const documentUploads = upload.fields(
+  Object.values(DRIVER_DOCUMENT_TYPES).map((name) => ({ name, maxCount: 1 }))
+);
+
+router.use(protect);
+
+// Applicant / driver (delivery persons created by an admin apply to get verified)
+router.post('/', restrictTo('Customer', 'Delivery_Person'), documentUploads, applyAsDriver);
+router.get('/me', restrictTo('Customer', 'Delivery_Person'), getMyApplication);
+router.patch('/me/documents', restrictTo('Customer', 'Delivery_Person'), documentUploads, uploadMyDocuments);
+
+// Admin only: review queue
+router.use(restrictTo('Admin'));
+
+router.get('/', getDriverApplications);
+router.get('/:id', getDriverApplication);
+router.patch('/:id/documents/:documentId', reviewDriverDocument);
+router.patch('/:id/approve', approveDriverApplication);
+router.patch('/:id/reject', rejectDriverApplication);
+
+export default router;
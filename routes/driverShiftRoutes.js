@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  getMyAvailability,
+  updateMyAvailability,
+  getDriverAvailability,
+  getShiftReport,
+  getShifts
+} from '../controllers/driverShiftController.js';
+
+import { protect, restrictTo } from '../controllers/authController.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// Delivery person: go online / take a break / go offline
+router.get('/me', restrictTo('Delivery_Person'), getMyAvailability);
+router.patch('/me', restrictTo('Delivery_Person'), updateMyAvailability);
+
+// Admin only
+router.use(restrictTo('Admin'));
+
+router.get('/availability', getDriverAvailability);
+router.get('/report', getShiftReport);
+router.get('/', getShifts);
+
+export default router;
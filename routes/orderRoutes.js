@@ -9,7 +9,9 @@ import {
   getAvailableCookedOrders,
   getAvailableCookedOrdersCount,
   getOrdersByRestaurantId,
-  chapaWebhook,
+  paymentCallback,
+  paymentWebhook,
+  getQuarantinedPayments,
   verifyOrderDelivery,
   acceptOrder,
   pickUpOrder,
@@ -17,15 +19,26 @@ import {
   getDeliveryOrderHistory,
   getOrdersByStatus,
   getRestaurantsWithOrderStats,
-  getServiceFee
+  getServiceFee,
+  getOrderTimeline,
+  getOrderRoute,
+  cancelOrderByCustomer,
+  recordCounterPayment,
+  cancelOrderByRestaurant,
+  getAbandonedCheckoutStats
 } from '../controllers/orderController.js';
 import { protect,restrictTo } from '../controllers/authController.js'; // Auth middleware (JWT)
+import upload from '../utils/upload.js';
 
 const router = express.Router();
 
 // Payment webhook - MUST be before dynamic routes
 
-router.get("/chapa-webhook", chapaWebhook);
+// /chapa-webhook predates the provider layer and is still configured at Chapa
+router.get("/chapa-webhook", paymentCallback);
+router.post("/chapa-webhook", paymentWebhook);
+router.get("/payment-callback/:provider", paymentCallback);
+router.post("/payment-webhook/:provider", paymentWebhook);
 
 // Order creation and payment
 router.post('/place-order', protect, placeOrder);
@@ -33,6 +46,8 @@ router.post('/estimate-delivery-fee', protect, estimateDeliveryFee);
 router.get('/getServiceFee',protect, getServiceFee);
 // routes/adminRoutes.js or restaurantRoutes.js
 router.get("/restaurants/order-stats",protect, restrictTo("Admin"), getRestaurantsWithOrderStats);
+router.get("/abandoned-checkouts/stats", protect, restrictTo("Admin"), getAbandonedCheckoutStats);
+router.get("/quarantined-payments", protect, restrictTo("Admin"), getQuarantinedPayments);
 
 // User-specific order retrieval
 router.get('/my-orders', protect, getMyOrders);
@@ -42,7 +57,32 @@ router.get('/get-all-orders/:status',protect,restrictTo("Admin"), getOrdersBySta
 router.post('/accept-for-delivery', protect, acceptOrder);
 // Order status and delivery
 router.patch('/:orderId/status', protect,updateOrderStatus);
-router.post('/verify-delivery', protect, verifyOrderDelivery);
+router.get(
+  '/:orderId/timeline',
+  protect,
+  restrictTo('Customer', 'Manager', 'Delivery_Person', 'Admin'),
+  getOrderTimeline
+);
+router.get(
+  '/:orderId/route',
+  protect,
+  restrictTo('Customer', 'Manager', 'Delivery_Person', 'Admin'),
+  getOrderRoute
+);
+router.post('/verify-delivery', protect, upload.single('photo'), verifyOrderDelivery);
+router.post('/:orderId/cancel', protect, restrictTo('Customer'), cancelOrderByCustomer);
+router.post(
+  '/:orderId/cancel-by-restaurant',
+  protect,
+  restrictTo('Manager', 'Admin'),
+  cancelOrderByRestaurant
+);
+router.post(
+  '/:orderId/counter-payment',
+  protect,
+  restrictTo('Manager', 'Admin'),
+  recordCounterPayment
+);
 router.post('/verify-restaurant-pickup', protect, pickUpOrder);
 
 // Restaurant and cooked orders
@@ -0,0 +1,25 @@
+import express from 'express';
+import {
+  createPricingRule,
+  getPricingRules,
+  getPricingRule,
+  updatePricingRule,
+  deletePricingRule,
+  getDeliveryDemand
+} from '../controllers/pricingRuleController.js';
+
+import { protect, restrictTo } from '../controllers/authController.js';
+
+const router = express.Router();
+
+// Admin only
+router.use(protect, restrictTo('Admin'));
+
+router.get('/demand', getDeliveryDemand);
+router.get('/', getPricingRules);
+router.post('/', createPricingRule);
+router.get('/:id', getPricingRule);
+router.patch('/:id', updatePricingRule);
+router.delete('/:id', deletePricingRule);
+
+export default router;
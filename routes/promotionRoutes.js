@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  createPromotion,
+  getPromotions,
+  updatePromotion,
+  deactivatePromotion,
+  validatePromoCode
+} from '../controllers/promotionController.js';
+
+import { protect, restrictTo } from '../controllers/authController.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// Customers preview a code before checkout
+router.post('/validate', validatePromoCode);
+
+// Admin & Manager only (managers are scoped to their restaurant)
+router.use(restrictTo('Admin', 'Manager'));
+
+router.get('/', getPromotions);
+router.post('/', createPromotion);
+router.patch('/:id', updatePromotion);
+router.delete('/:id', deactivatePromotion);
+
+export default router;
@@ -1,6 +1,9 @@
 import express from 'express';
 import {
- createRating
+ createRating,
+ rateDriver,
+ getDriverScores,
+ getDriverRatings
 } from '../controllers/ratingController.js';
 
 import { protect, restrictTo } from '../controllers/authController.js';
@@ -10,4 +13,9 @@ const router = express.Router({ mergeParams: true }); // support nested routes
 router
   .post('/', protect, createRating);
 
+// Drivers: customers rate the delivery, admins see the scores
+router.post('/drivers', protect, restrictTo('Customer'), rateDriver);
+router.get('/drivers', protect, restrictTo('Admin'), getDriverScores);
+router.get('/drivers/:deliveryId', protect, restrictTo('Admin'), getDriverRatings);
+
 export default router;
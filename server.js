@@ -6,6 +6,24 @@ import mongoose from 'mongoose';
 import dotenv from 'dotenv';
 import app from './app.js';
 import { initializeSocket } from './socketServer.js';
+import { closeSocketState } from './utils/socketState.js';
+import {
+  startAbandonedOrderSweeper,
+  stopAbandonedOrderSweeper,
+} from './utils/abandonedOrderSweeper.js';
+import {
+  startScheduledOrderReleaser,
+  stopScheduledOrderReleaser,
+} from './utils/scheduledOrderReleaser.js';
+import { startOfferWatchdog, stopOfferWatchdog } from './utils/driverDispatcher.js';
+import {
+  startDeliverySlaWatchdog,
+  stopDeliverySlaWatchdog,
+} from './utils/deliverySla.js';
+import {
+  startDriverDocumentChecker,
+  stopDriverDocumentChecker,
+} from './utils/driverDocuments.js';
 
 dotenv.config({ path: './.env' });
 
@@ -29,7 +47,14 @@ if (NODE_ENV === 'production') {
 // --- Mongoose connection ---
 mongoose
   .connect(DB)
-  .then(() => console.log('✅ Database connected successfully!'))
+  .then(() => {
+    console.log('✅ Database connected successfully!');
+    startAbandonedOrderSweeper();
+    startScheduledOrderReleaser();
+    startOfferWatchdog();
+    startDeliverySlaWatchdog();
+    startDriverDocumentChecker();
+  })
   .catch((err) => {
     console.log('❌ Database connection error:', err.message);
     process.exit(1);
@@ -53,8 +78,13 @@ try {
   process.exit(1);
 }
 
-// Initialize Socket.IO
-initializeSocket(server);
+// Initialize Socket.IO (connects Redis first when REDIS_URL is set)
+try {
+  await initializeSocket(server);
+} catch (err) {
+  console.log('❌ Error initializing Socket.IO:', err.message);
+  process.exit(1);
+}
 
 // Start listening
 server.listen(PORT, () => {
@@ -66,6 +96,11 @@ const shutdown = async (signal) => {
   console.log(`\n⚠️  ${signal} received. Shutting down gracefully...`);
   
   try {
+    stopAbandonedOrderSweeper();
+    stopScheduledOrderReleaser();
+    stopOfferWatchdog();
+    stopDeliverySlaWatchdog();
+    stopDriverDocumentChecker();
     server.close(() => {
       console.log('✅ HTTP server closed');
     });
@@ -73,6 +108,8 @@ const shutdown = async (signal) => {
     await mongoose.connection.close(false);
     console.log('✅ Database connection closed');
 
+    await closeSocketState();
+
     setTimeout(() => {
       console.log('👋 Goodbye!');
       process.exit(0);
@@ -1,26 +1,43 @@
 // socketServer.js
 import { Server } from "socket.io";
+import { createAdapter } from "@socket.io/redis-adapter";
 import jwt from "jsonwebtoken";
 import mongoose from "mongoose";
 import User from "./models/userModel.js";
-import Order, { DELIVERY_VEHICLES } from "./models/Order.js";
+import Order, { DELIVERY_VEHICLES, buildStatusHistoryEntry } from "./models/Order.js";
+import { DRIVER_STATUSES } from "./models/DriverApplication.js";
+import { releaseOffer, settleOffer } from "./utils/driverDispatcher.js";
+import { recordBreadcrumb } from "./utils/locationBreadcrumbs.js";
+import { refreshEtaFromDriverLocation } from "./utils/deliveryEta.js";
+import { getActiveBatch, getBatchRefusal, joinBatch } from "./utils/deliveryBatching.js";
+import { startPickupSla } from "./utils/deliverySla.js";
+import {
+  changeAvailability,
+  syncBusyState,
+  getAcceptRefusal,
+  filterOnlineDrivers,
+  countShiftEvent,
+  SHIFT_EVENTS,
+} from "./utils/driverAvailability.js";
+import {
+  initSocketState,
+  activeDeliveryOrders,
+  addUserSocket,
+  removeUserSocket,
+  isUserOnline,
+  countUserSockets,
+  setDriverLocation,
+  getDriverLocations,
+} from "./utils/socketState.js";
 
 const JWT_SECRET = process.env.JWT_SECRET;
 const CLIENT_URL = process.env.CLIENT_URL || "*";
 
 // ================= Global State =================
-// deliveryId -> { orderId, userId }
-export const activeDeliveryOrders = new Map();
-// deliveryId -> Set<socket.id>
-const deliverySockets = new Map();
-// managerId -> Set<socket.id>
-const managerSockets = new Map();
-// adminId -> Set<socket.id>
-const adminSockets = new Map();
-
-// NEW: userId -> Set<socket.id>
-// This is the universal mapping that allows sending to any user regardless of role.
-const userSockets = new Map();
+// Presence, active orders and driver locations live in utils/socketState.js (Redis),
+// so every instance sees them. Each socket joins its user's room and its role's room;
+// with the Redis adapter an emit to a room reaches sockets on every instance.
+export { activeDeliveryOrders };
 
 let io = null;
 let activeOrdersLoaded = false;
@@ -36,6 +53,9 @@ const ROLES = {
 const generateVerificationCode = () =>
   Math.floor(100000 + Math.random() * 900000).toString();
 
+const userRoom = (userId) => `user:${userId}`;
+const roleRoom = (role) => `role:${role}`;
+
 const isValidLocation = (loc) => {
   if (!loc?.latitude || !loc?.longitude) return false;
   const lat = parseFloat(loc.latitude);
@@ -43,6 +63,25 @@ const isValidLocation = (loc) => {
   return !isNaN(lat) && !isNaN(lng) && lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
 };
 
+const rememberDriverLocation = async (deliveryId, loc) => {
+  try {
+    await setDriverLocation(deliveryId, {
+      lat: parseFloat(loc.latitude),
+      lng: parseFloat(loc.longitude),
+      updatedAt: new Date(),
+    });
+
+    // Keep a trail of every order in the batch for trip replay (GET /orders/:orderId/route)
+    // and keep each customer's ETA current
+    for (const active of await activeDeliveryOrders.get(deliveryId)) {
+      await recordBreadcrumb({ orderId: active.orderId, deliveryId, location: loc });
+      refreshEtaFromDriverLocation(active.orderId, loc);
+    }
+  } catch (err) {
+    console.error("Failed to store driver location:", err.message);
+  }
+};
+
 // ================= Load Active Orders on Startup =================
 export const loadActiveDeliveryOrders = async () => {
   if (activeOrdersLoaded) {
@@ -58,24 +97,20 @@ export const loadActiveDeliveryOrders = async () => {
       .populate("userId", "_id")
       .select("_id deliveryId userId");
 
-    activeDeliveryOrders.clear();
+    const batches = new Map();
     orders.forEach((order) => {
       const deliveryId = order.deliveryId.toString();
-      activeDeliveryOrders.set(deliveryId, {
-        orderId: order._id.toString(),
-        userId: order.userId._id.toString(),
-      });
+      if (!batches.has(deliveryId)) batches.set(deliveryId, []);
+      batches.get(deliveryId).push({ orderId: order._id.toString(), userId: order.userId._id.toString() });
     });
+    await activeDeliveryOrders.mergeAll([...batches]);
 
     console.log(`Loaded ${orders.length} active delivery orders.`);
     activeOrdersLoaded = true;
 
     // Ask connected delivery sockets to send a location update (server restart recovery)
     orders.forEach((order) => {
-      const sockets = deliverySockets.get(order.deliveryId.toString());
-      if (sockets) {
-        sockets.forEach((sid) => io.to(sid).emit("requestLocationUpdate", { reason: "serverRestart" }));
-      }
+      io.to(userRoom(order.deliveryId)).emit("requestLocationUpdate", { reason: "serverRestart" });
     });
   } catch (err) {
     console.error("Failed to load active delivery orders:", err);
@@ -84,19 +119,16 @@ export const loadActiveDeliveryOrders = async () => {
 
 // ================= Universal user send helper =================
 /**
- * Send an event to every connected socket of a user (by userId).
- * Returns true if at least one socket was targeted, false otherwise.
+ * Send an event to every connected socket of a user (by userId), on any instance.
+ * Resolves true if the user has at least one socket, false otherwise. Never rejects.
  */
-const sendToUser = (userId, event, payload) => {
+const sendToUser = async (userId, event, payload) => {
   try {
-    const set = userSockets.get(userId.toString());
-    if (!set || set.size === 0) {
+    if (!(await isUserOnline(userId.toString()))) {
       console.log(`sendToUser: user ${userId} has no connected sockets`);
       return false;
     }
-    set.forEach((sid) => {
-      io.to(sid).emit(event, payload);
-    });
+    io.to(userRoom(userId)).emit(event, payload);
     return true;
   } catch (err) {
     console.error("sendToUser error:", err);
@@ -105,12 +137,12 @@ const sendToUser = (userId, event, payload) => {
 };
 
 // ================= Notification Helpers (updated to use sendToUser) =================
-const notifyRestaurantManager = (managerId, orderData) => {
+const notifyRestaurantManager = async (managerId, orderData) => {
   try {
-    const sockets = managerSockets.get(managerId.toString());
-    if (sockets?.size) {
-      sockets.forEach((sid) => io.to(sid).emit("newOrder", orderData));
-      console.log(`Notified manager ${managerId} on ${sockets.size} device(s)`);
+    const devices = await countUserSockets(managerId.toString());
+    if (devices) {
+      io.to(userRoom(managerId)).emit("newOrder", orderData);
+      console.log(`Notified manager ${managerId} on ${devices} device(s)`);
     } else {
       console.log(`notifyRestaurantManager: Manager ${managerId} offline`);
     }
@@ -119,43 +151,74 @@ const notifyRestaurantManager = (managerId, orderData) => {
   }
 };
 
-const notifyDeliveryGroup = (deliveryMethod, message) => {
+// Sockets in a vehicle room on every instance whose driver is Online with no active order
+// (drivers with a batch pick further orders themselves from getAvailableCookedOrders)
+const fetchFreeDriverSockets = async (deliveryMethod) => {
+  const [sockets, activeOrders] = await Promise.all([
+    io.in(deliveryMethod).fetchSockets(),
+    activeDeliveryOrders.entries(),
+  ]);
+  const busy = new Map(activeOrders);
+  const online = await filterOnlineDrivers([
+    ...new Set(sockets.map((socket) => socket.data?.userId).filter(Boolean)),
+  ]);
+
+  return sockets.filter((socket) => {
+    const deliveryId = socket.data?.userId;
+    if (!deliveryId) return false;
+
+    // 🚫 Skip: offline or on a break
+    if (!online.has(deliveryId)) return false;
+
+    // 🚫 Skip: this driver already has an active order
+    if (busy.has(deliveryId)) {
+      const orderIds = busy.get(deliveryId).map((o) => o.orderId).join(", ");
+      console.log(`⛔ Skipped driver ${deliveryId} — already delivering order(s) ${orderIds}`);
+      return false;
+    }
+    return true;
+  });
+};
+
+const notifyDeliveryGroup = async (deliveryMethod, message) => {
   try {
     if (!Object.values(DELIVERY_VEHICLES).includes(deliveryMethod)) return;
- loadActiveDeliveryOrders().catch(console.error);
-    const namespace = io.of("/");
-    const room = namespace.adapter.rooms.get(deliveryMethod);
+    await loadActiveDeliveryOrders();
 
-    if (!room) return console.log(`No delivery persons online for ${deliveryMethod}`);
+    const sockets = await fetchFreeDriverSockets(deliveryMethod);
+    if (!sockets.length) return console.log(`No delivery persons online for ${deliveryMethod}`);
 
-    room.forEach((socketId) => {
-      const socket = namespace.sockets.get(socketId);
-      if (!socket || !socket.user?._id) return;
-
-      const deliveryId = socket.user._id.toString();
-  
-
-      // 🚫 Skip: this driver already has an active order
-      if (activeDeliveryOrders.has(deliveryId)) {
-        console.log(
-          `⛔ Skipped driver ${deliveryId} — already delivering order ${activeDeliveryOrders.get(deliveryId).orderId}`
-        );
-        return;
-      }
-
-      // ✅ Send only to available / free drivers
-      io.to(socketId).emit("deliveryMessage", message);
-    });
+    // ✅ Send only to available / free drivers
+    sockets.forEach((socket) => socket.emit("deliveryMessage", message));
   } catch (err) {
     console.error("Error notifying delivery group:", err);
   }
 };
 
 
-const notifyCustomer = (customerId, message) => {
+/**
+ * Online drivers of a vehicle type without an active order, with their last known location.
+ * Used by the nearest-driver dispatch (utils/driverDispatcher.js).
+ */
+const getFreeDrivers = async (deliveryMethod) => {
+  if (!io) return [];
+  const [sockets, locations] = await Promise.all([
+    fetchFreeDriverSockets(deliveryMethod),
+    getDriverLocations(),
+  ]);
+
+  const drivers = new Map();
+  sockets.forEach(({ data: { userId: deliveryId } }) => {
+    if (drivers.has(deliveryId)) return;
+    drivers.set(deliveryId, { deliveryId, location: locations.get(deliveryId) || null });
+  });
+  return [...drivers.values()];
+};
+
+const notifyCustomer = async (customerId, message) => {
   try {
     // Use sendToUser (direct send), fallback to room emit for backward compatibility
-    const ok = sendToUser(customerId, "customerMessage", message);
+    const ok = await sendToUser(customerId, "customerMessage", message);
     if (!ok) {
       // fallback (if you previously used rooms)
       io.to(`customer:${customerId}`).emit("customerMessage", message);
@@ -165,8 +228,23 @@ const notifyCustomer = (customerId, message) => {
   }
 };
 
+// Add / remove a driver's sockets (on every instance) to / from their vehicle's broadcast room
+const setDriverVehicleRoom = (deliveryId, vehicle, joined) => {
+  if (!io) return;
+  const sockets = io.in(userRoom(deliveryId));
+  if (joined) sockets.socketsJoin(vehicle);
+  else sockets.socketsLeave(vehicle);
+};
+
 // Export selected helpers if other modules need them
-export { notifyRestaurantManager, notifyDeliveryGroup, notifyCustomer, sendToUser };
+export {
+  notifyRestaurantManager,
+  notifyDeliveryGroup,
+  notifyCustomer,
+  sendToUser,
+  getFreeDrivers,
+  setDriverVehicleRoom,
+};
 
 // ================= JWT Authentication Middleware =================
 const authenticateSocket = async (socket, next) => {
@@ -179,6 +257,9 @@ const authenticateSocket = async (socket, next) => {
     if (!user) return next(new Error("User not found"));
 
     socket.user = user;
+    // socket.data is what other instances see through fetchSockets()
+    socket.data.userId = user._id.toString();
+    socket.data.role = user.role;
     next();
   } catch (err) {
     next(new Error("Invalid or expired token"));
@@ -186,11 +267,17 @@ const authenticateSocket = async (socket, next) => {
 };
 
 // ================= Socket Initialization =================
-export const initializeSocket = (httpServer) => {
+export const initializeSocket = async (httpServer) => {
   io = new Server(httpServer, {
     cors: { origin: CLIENT_URL, methods: ["GET", "POST"] },
   });
 
+  // Share rooms (and so every emit) across instances when Redis is configured
+  const adapterClients = await initSocketState();
+  if (adapterClients) {
+    io.adapter(createAdapter(adapterClients.pubClient, adapterClients.subClient));
+  }
+
   io.use(authenticateSocket);
 
   io.on("connection", (socket) => {
@@ -200,22 +287,22 @@ export const initializeSocket = (httpServer) => {
 
       console.log(`User connected: ${socket.id} | Role: ${role} | ID: ${userIdStr}`);
 
-      // Add to universal userSockets map
-      if (!userSockets.has(userIdStr)) userSockets.set(userIdStr, new Set());
-      userSockets.get(userIdStr).add(socket.id);
-      console.log(`userSockets[${userIdStr}] size=${userSockets.get(userIdStr).size}`);
-
-      // Validate role
+      // Validate role (and vehicle) before the socket counts as online
       if (!Object.values(ROLES).includes(role)) {
         socket.emit("errorMessage", "Invalid user role");
-        // cleanup this connection from userSockets
-        const tempSet = userSockets.get(userIdStr);
-        if (tempSet) {
-          tempSet.delete(socket.id);
-          if (tempSet.size === 0) userSockets.delete(userIdStr);
-        }
         return socket.disconnect(true);
       }
+      if (role === ROLES.DELIVERY && !Object.values(DELIVERY_VEHICLES).includes(deliveryMethod)) {
+        socket.emit("errorMessage", "Invalid delivery vehicle");
+        return socket.disconnect(true);
+      }
+
+      // Universal per-user room + shared presence, so any instance can reach this user
+      socket.join([userRoom(userIdStr), roleRoom(role)]);
+      addUserSocket(userIdStr, socket.id)
+        .then(() => countUserSockets(userIdStr))
+        .then((size) => console.log(`userSockets[${userIdStr}] size=${size}`))
+        .catch((err) => console.error("Failed to register socket presence:", err.message));
 
       // ================= Role: Customer =================
       if (role === ROLES.CUSTOMER) {
@@ -227,27 +314,23 @@ export const initializeSocket = (httpServer) => {
 
       // ================= Role: Delivery Person =================
       if (role === ROLES.DELIVERY) {
-        if (!Object.values(DELIVERY_VEHICLES).includes(deliveryMethod)) {
-          socket.emit("errorMessage", "Invalid delivery vehicle");
-          // cleanup userSockets
-          const tempSet = userSockets.get(userIdStr);
-          if (tempSet) {
-            tempSet.delete(socket.id);
-            if (tempSet.size === 0) userSockets.delete(userIdStr);
-          }
-          return socket.disconnect(true);
+        // keep delivery group join for broadcast by vehicle; suspended and unverified
+        // drivers only keep the rest (finishing their current orders, tracking)
+        if (socket.user.driverStatus === DRIVER_STATUSES.Suspended) {
+          socket.emit("errorMessage", "Your account is suspended");
+        } else if (socket.user.driverStatus !== DRIVER_STATUSES.Active) {
+          socket.emit("errorMessage", "Your driver application has not been approved yet");
+        } else {
+          socket.join(deliveryMethod);
         }
 
-        // keep delivery group join for broadcast by vehicle
-        socket.join(deliveryMethod);
-
-        if (!deliverySockets.has(userIdStr)) deliverySockets.set(userIdStr, new Set());
-        deliverySockets.get(userIdStr).add(socket.id);
-
-        // Restore active order if exists
-        if (activeDeliveryOrders.has(userIdStr)) {
-          socket.activeOrder = activeDeliveryOrders.get(userIdStr);
-        }
+        // Restore active orders if any
+        activeDeliveryOrders
+          .get(userIdStr)
+          .then((activeOrders) => {
+            if (activeOrders.length) socket.activeOrders = activeOrders;
+          })
+          .catch((err) => console.error("Failed to restore active order:", err.message));
 
         // locationUpdateForAdmin (unchanged)
         socket.on("locationUpdateForAdmin", async (data) => {
@@ -259,13 +342,13 @@ export const initializeSocket = (httpServer) => {
             if (!isValidLocation(location)) {
               return socket.emit("errorMessage", "Invalid location data");
             }
+            rememberDriverLocation(userIdStr, location);
             if (location.requestType === "adminRequest" && location.requestedBy) {
-              const adminSocketsSet = adminSockets.get(location.requestedBy.toString());
-              if (adminSocketsSet?.size) {
-                adminSocketsSet.forEach((sid) =>
-                  io.to(sid).emit("deliveryLocationUpdate", { location })
-                );
-              }
+              // only the requesting admin's sockets, wherever they are connected
+              const adminSockets = await io.in(userRoom(location.requestedBy)).fetchSockets();
+              adminSockets
+                .filter((s) => s.data?.role === ROLES.ADMIN)
+                .forEach((s) => s.emit("deliveryLocationUpdate", { location }));
             }
           } catch (err) {
             console.error("Error in locationUpdateForAdmin:", err);
@@ -287,6 +370,7 @@ export const initializeSocket = (httpServer) => {
             if (!isValidLocation(location)) {
               return socket.emit("errorMessage", "Invalid location data");
             }
+            rememberDriverLocation(userIdStr, location);
 
             if (!location.customerId || !location.orderId) {
               return socket.emit("errorMessage", "Customer ID and Order ID are required");
@@ -296,14 +380,15 @@ export const initializeSocket = (httpServer) => {
             const orderId = location.orderId.toString();
 
             // Verify this delivery person has this order
-            const assignedOrder = activeDeliveryOrders.get(userIdStr);
-            if (!assignedOrder) {
+            const assignedOrders = await activeDeliveryOrders.get(userIdStr);
+            if (!assignedOrders.length) {
               console.log("❌ Delivery person has NO assigned orders");
               return socket.emit("errorMessage", "No active order assigned");
             }
 
-            if (assignedOrder.orderId !== orderId) {
-              console.log("❌ Order mismatch", { assignedOrder, orderId });
+            const assignedOrder = assignedOrders.find((o) => o.orderId === orderId);
+            if (!assignedOrder) {
+              console.log("❌ Order mismatch", { assignedOrders, orderId });
               return socket.emit("errorMessage", "You are not assigned to this order");
             }
 
@@ -312,7 +397,7 @@ export const initializeSocket = (httpServer) => {
               return socket.emit("errorMessage", "Customer mismatch for this delivery");
             }
 
-            // Send directly to customer using userSockets (no rooms required)
+            // Send directly to the customer's sockets on any instance
             const payload = {
               location: {
                 latitude: location.latitude,
@@ -327,7 +412,7 @@ export const initializeSocket = (httpServer) => {
 
             console.log(`📤 Sending location to user ${customerId}`, payload);
 
-            const delivered = sendToUser(customerId, "deliveryLocationUpdate", payload);
+            const delivered = await sendToUser(customerId, "deliveryLocationUpdate", payload);
 
             if (!delivered) {
               // customer offline — optionally fall back to emitting to customer room (for backward compat)
@@ -342,6 +427,36 @@ export const initializeSocket = (httpServer) => {
           }
         });
 
+        // ================= driverLocationUpdate (free drivers, used to rank dispatch offers) =================
+        socket.on("driverLocationUpdate", (data) => {
+          if (!isValidLocation(data?.location)) {
+            return socket.emit("errorMessage", "Invalid location data");
+          }
+          rememberDriverLocation(userIdStr, data.location);
+        });
+
+        // ================= setAvailability (Online / OnBreak / Offline) =================
+        socket.on("setAvailability", async (data, callback = () => {}) => {
+          try {
+            const result = await changeAvailability(userIdStr, data?.availability);
+            callback({ status: "success", data: result });
+          } catch (error) {
+            callback({ status: "error", message: error.message || "Failed to change availability" });
+          }
+        });
+
+        // ================= declineDeliveryOffer (nearest-driver dispatch) =================
+        socket.on("declineDeliveryOffer", async (data, callback = () => {}) => {
+          try {
+            if (!data?.orderId) throw new Error("Order ID is required");
+            const released = await releaseOffer(data.orderId, userIdStr, "declined");
+            if (!released) throw new Error("No open offer for this order");
+            callback({ status: "success", message: "Offer declined" });
+          } catch (error) {
+            callback({ status: "error", message: error.message || "Failed to decline offer" });
+          }
+        });
+
         // ================= acceptOrder (unchanged logic, but notifyCustomer uses sendToUser) =================
         socket.on("acceptOrder", async (data, callback = () => {}) => {
           const session = await mongoose.startSession();
@@ -354,15 +469,11 @@ export const initializeSocket = (httpServer) => {
             const { orderId } = data;
             const deliveryPersonId = userId;
 
-            // Check for existing active order
-            const existingOrder = await Order.findOne({
-              deliveryId: deliveryPersonId,
-              orderStatus: { $nin: ["Completed", "Cancelled"] },
-            }).session(session);
+            const notAllowed = await getAcceptRefusal(deliveryPersonId);
+            if (notAllowed) throw new Error(notAllowed);
 
-            if (existingOrder) {
-              throw new Error("You already have an active order");
-            }
+            // Orders this driver already carries (a batch, within vehicle capacity)
+            const batch = await getActiveBatch(deliveryPersonId, { session });
 
             const order = await Order.findById(orderId).populate("userId", "_id").session(session);
 
@@ -371,15 +482,37 @@ export const initializeSocket = (httpServer) => {
             if (order.orderStatus !== "Cooked") throw new Error("Order not ready for delivery");
             if (order.typeOfOrder !== "Delivery") throw new Error("Not a delivery order");
             if (order.deliveryVehicle !== deliveryMethod) throw new Error("Vehicle type mismatch");
+            if (order.isOfferedToAnotherDriver(deliveryPersonId)) {
+              throw new Error("Order is currently offered to another driver");
+            }
+
+            const refusal = getBatchRefusal(batch, order);
+            if (refusal) throw new Error(refusal);
+            await joinBatch(batch, order, { session });
 
             const pickUpCode = generateVerificationCode();
             order.deliveryVerificationCode = pickUpCode;
             order.deliveryId = deliveryPersonId;
+            startPickupSla(order);
+            order.statusHistory.push(
+              buildStatusHistoryEntry({
+                from: order.orderStatus,
+                status: order.orderStatus,
+                user: socket.user,
+                reason: "Accepted for delivery",
+              })
+            );
 
             await order.save({ session, validateBeforeSave: false});
             await session.commitTransaction();
 
             console.log(`Order ${order._id} accepted by delivery person ${deliveryPersonId}`);
+            settleOffer(order._id);
+            countShiftEvent(deliveryPersonId, SHIFT_EVENTS.OrderAccepted);
+            if (order.dispatch?.offeredTo?.toString() === userIdStr) {
+              countShiftEvent(deliveryPersonId, SHIFT_EVENTS.OfferAccepted);
+            }
+            syncBusyState(deliveryPersonId);
 
             // Notify customer (direct)
             notifyCustomer(order.userId._id.toString(), {
@@ -389,12 +522,12 @@ export const initializeSocket = (httpServer) => {
               message: `Your order ${order.orderCode} has been picked up for delivery!`,
             });
 
-            // Update in-memory state
-            activeDeliveryOrders.set(userIdStr, {
-              orderId: order._id.toString(),
-              userId: order.userId._id.toString(),
+            // Update shared state
+            await activeDeliveryOrders.add(userIdStr, {
+              orderId: order._id,
+              userId: order.userId._id,
             });
-            socket.activeOrder = activeDeliveryOrders.get(userIdStr);
+            socket.activeOrders = await activeDeliveryOrders.get(userIdStr);
 
             socket.emit("requestLocationUpdate", { reason: "orderAccepted" });
 
@@ -411,6 +544,9 @@ export const initializeSocket = (httpServer) => {
                 description: order.description,
                 orderCode: order.orderCode,
                 pickUpVerification: pickUpCode,
+                batchId: order.batchId || null,
+                batchSize: batch.length + 1,
+                pickupDueAt: order.deliverySla.pickupDueAt,
               },
             });
           } catch (error) {
@@ -428,15 +564,11 @@ export const initializeSocket = (httpServer) => {
 
       // ================= Role: Manager =================
       if (role === ROLES.MANAGER) {
-        if (!managerSockets.has(userIdStr)) managerSockets.set(userIdStr, new Set());
-        managerSockets.get(userIdStr).add(socket.id);
         socket.emit("message", "Welcome Manager!");
       }
 
       // ================= Role: Admin =================
       if (role === ROLES.ADMIN) {
-        if (!adminSockets.has(userIdStr)) adminSockets.set(userIdStr, new Set());
-        adminSockets.get(userIdStr).add(socket.id);
         socket.emit("message", "Welcome Admin!");
       }
 
@@ -446,13 +578,9 @@ export const initializeSocket = (httpServer) => {
           if (role !== ROLES.ADMIN) return;
 
           console.log(`Admin ${userIdStr} requested all delivery locations`);
-          deliverySockets.forEach((sockets) => {
-            sockets.forEach((sid) => {
-              io.to(sid).emit("requestLocationUpdateForAdmin", {
-                reason: "adminRequest",
-                requestedBy: userIdStr,
-              });
-            });
+          io.to(roleRoom(ROLES.DELIVERY)).emit("requestLocationUpdateForAdmin", {
+            reason: "adminRequest",
+            requestedBy: userIdStr,
           });
         } catch (err) {
           console.error("Error in adminRequestAllLocations:", err);
@@ -461,9 +589,9 @@ export const initializeSocket = (httpServer) => {
       });
 
       // ================= Customer: Request Tracking for Their Order =================
-      socket.on("customerRequestDeliveryLocation", (data) => {
+      socket.on("customerRequestDeliveryLocation", async (data) => {
         try {
-          loadActiveDeliveryOrders().catch(console.error);
+          await loadActiveDeliveryOrders();
 
           if (!data || !data.orderId) {
             console.error("Order ID is required for tracking request");
@@ -473,8 +601,8 @@ export const initializeSocket = (httpServer) => {
           const orderId = data.orderId.toString();
           let deliveryId = null;
 
-          for (const [delId, info] of activeDeliveryOrders) {
-            if (info.orderId === orderId && info.userId === userIdStr) {
+          for (const [delId, orders] of await activeDeliveryOrders.entries()) {
+            if (orders.some((info) => info.orderId === orderId && info.userId === userIdStr)) {
               deliveryId = delId;
               break;
             }
@@ -484,17 +612,14 @@ export const initializeSocket = (httpServer) => {
             return socket.emit("errorMessage", "No active delivery found for your order");
           }
 
-          const sockets = deliverySockets.get(deliveryId);
-          if (!sockets || sockets.size === 0) {
+          if (!(await isUserOnline(deliveryId))) {
             return socket.emit("errorMessage", "Delivery person is currently offline");
           }
 
           // Request the delivery person(s) to start periodic tracking for this customer
-          sockets.forEach((sid) => {
-            io.to(sid).emit("startPeriodicTracking", {
-              customerId: userIdStr,
-              orderId,
-            });
+          io.to(userRoom(deliveryId)).emit("startPeriodicTracking", {
+            customerId: userIdStr,
+            orderId,
           });
 
           // notify the customer that tracking started
@@ -512,10 +637,7 @@ export const initializeSocket = (httpServer) => {
             return socket.emit("errorMessage", "Delivery ID is required");
           }
 
-          const sockets = deliverySockets.get(data.deliveryId.toString());
-          if (sockets) {
-            sockets.forEach((sid) => io.to(sid).emit("stopPeriodicTracking"));
-          }
+          io.to(userRoom(data.deliveryId)).emit("stopPeriodicTracking");
         } catch (err) {
           console.error("Error in customerRequestStopTracking:", err);
           socket.emit("errorMessage", "Failed to stop tracking");
@@ -527,30 +649,10 @@ export const initializeSocket = (httpServer) => {
         try {
           console.log(`User disconnected: ${socket.id} | ${role} | ${userIdStr}`);
 
-          // universal cleanup from userSockets
-          const uset = userSockets.get(userIdStr);
-          if (uset) {
-            uset.delete(socket.id);
-            if (uset.size === 0) userSockets.delete(userIdStr);
-          }
-
-          // Clean up delivery sockets
-          if (role === ROLES.DELIVERY) {
-            const set = deliverySockets.get(userIdStr);
-            if (set) {
-              set.delete(socket.id);
-              if (set.size === 0) deliverySockets.delete(userIdStr);
-            }
-          }
-
-          // Clean up manager/admin sockets
-          [managerSockets, adminSockets].forEach((map) => {
-            const set = map.get(userIdStr);
-            if (set) {
-              set.delete(socket.id);
-              if (set.size === 0) map.delete(userIdStr);
-            }
-          });
+          // Rooms are left automatically; only the shared presence needs cleaning up
+          removeUserSocket(userIdStr, socket.id).catch((err) =>
+            console.error("Failed to clear socket presence:", err.message)
+          );
         } catch (err) {
           console.error("Error during disconnect cleanup:", err);
         }
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Balance, {
+  CREDIT_TYPES,
+  REQUESTER_TYPES,
+  TRANSACTION_TYPES,
+  splitDeposit,
+} from '../models/Balance.js';
+
+// Same netting as Balance.calculateTotal
+const net = (entries) =>
+  Number(
+    entries
+      .reduce((sum, e) => sum + (CREDIT_TYPES.includes(e.type) ? e.netAmount : -e.netAmount), 0)
+      .toFixed(2)
+  );
+
+test('splitDeposit takes the delivery fee without VAT', () => {
+  assert.deepEqual(splitDeposit(REQUESTER_TYPES.Delivery, 100), { fee: 10, netAmount: 90 });
+});
+
+test('splitDeposit takes the restaurant fee and adds VAT', (t) => {
+  process.env.GOV_VAT = '0.05';
+  t.after(() => delete process.env.GOV_VAT);
+  assert.deepEqual(splitDeposit(REQUESTER_TYPES.Restaurant, 500), { fee: 40, netAmount: 483 });
+});
+
+test('deposits store the fee and net amount on validate', async () => {
+  const deposit = new Balance({
+    requesterType: REQUESTER_TYPES.Restaurant,
+    restaurantId: '64b7f0c2a1b2c3d4e5f60718',
+    type: TRANSACTION_TYPES.Deposit,
+    originalAmount: 250,
+  });
+  await deposit.validate();
+  assert.equal(Number(deposit.fee), 20);
+  assert.equal(Number(deposit.netAmount), 230);
+});
+
+test('credits add to the balance and everything else is subtracted', () => {
+  assert.ok(CREDIT_TYPES.includes(TRANSACTION_TYPES.Deposit));
+  assert.ok(CREDIT_TYPES.includes(TRANSACTION_TYPES.CashRemitted));
+  assert.ok(CREDIT_TYPES.includes(TRANSACTION_TYPES.Reimbursement));
+  assert.ok(!CREDIT_TYPES.includes(TRANSACTION_TYPES.Withdraw));
+  assert.ok(!CREDIT_TYPES.includes(TRANSACTION_TYPES.Reversal));
+  assert.ok(!CREDIT_TYPES.includes(TRANSACTION_TYPES.CashCollected));
+});
+
+test('a driver owes the cash they kept until they remit it', () => {
+  const entries = [
+    { type: TRANSACTION_TYPES.Deposit, netAmount: splitDeposit(REQUESTER_TYPES.Delivery, 60).netAmount },
+    { type: TRANSACTION_TYPES.CashCollected, netAmount: 300 },
+  ];
+  assert.equal(net(entries), -246);
+  entries.push({ type: TRANSACTION_TYPES.CashRemitted, netAmount: 300 });
+  assert.equal(net(entries), 54);
+});
+
+test('counter orders net the cash the restaurant kept against its share', () => {
+  // 500 paid at the counter, restaurant share 460 before fees
+  const owed = 500 - splitDeposit(REQUESTER_TYPES.Restaurant, 460).netAmount;
+  assert.equal(net([{ type: TRANSACTION_TYPES.CashCollected, netAmount: owed }]), -76.8);
+
+  // a discount we funded leaves the restaurant with less cash than its share
+  const reimbursed = splitDeposit(REQUESTER_TYPES.Restaurant, 460).netAmount - 400;
+  assert.equal(net([{ type: TRANSACTION_TYPES.Reimbursement, netAmount: reimbursed }]), 23.2);
+});
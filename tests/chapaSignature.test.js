@@ -0,0 +1,53 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+  isValidChapaSignature,
+  hasChapaSignature,
+  isValidChapaTransferSignature,
+} from '../utils/chapaSignature.js';
+
+const SECRET = 'test-webhook-secret';
+const hmac = (value) => crypto.createHmac('sha256', SECRET).update(value).digest('hex');
+
+const rawBody = Buffer.from(JSON.stringify({ tx_ref: 'GEB-1', status: 'success', amount: '250.00' }));
+const request = (headers, body = rawBody) => ({ headers, rawBody: body });
+
+beforeEach(() => {
+  process.env.CHAPA_SIGNATURE = SECRET;
+});
+
+test('accepts an HMAC of the raw body in x-chapa-signature', () => {
+  assert.equal(isValidChapaSignature(request({ 'x-chapa-signature': hmac(rawBody) })), true);
+  assert.equal(
+    isValidChapaSignature(request({ 'x-chapa-signature': hmac(rawBody).toUpperCase() })),
+    true
+  );
+});
+
+test('rejects a signature made for a different body', () => {
+  const tampered = Buffer.from(rawBody.toString().replace('250.00', '1.00'));
+  assert.equal(isValidChapaSignature(request({ 'x-chapa-signature': hmac(rawBody) }, tampered)), false);
+});
+
+test('rejects the secret-only chapa-signature on order webhooks', () => {
+  assert.equal(isValidChapaSignature(request({ 'chapa-signature': hmac(SECRET) })), false);
+  assert.equal(hasChapaSignature(request({ 'chapa-signature': hmac(SECRET) })), false);
+});
+
+test('rejects requests without a raw body or a configured secret', () => {
+  assert.equal(isValidChapaSignature(request({ 'x-chapa-signature': hmac(rawBody) }, null)), false);
+  delete process.env.CHAPA_SIGNATURE;
+  assert.equal(isValidChapaSignature(request({ 'x-chapa-signature': hmac(rawBody) })), false);
+});
+
+test('transfer approvals still accept the secret-only chapa-signature', () => {
+  assert.equal(isValidChapaTransferSignature(request({ 'chapa-signature': hmac(SECRET) })), true);
+  assert.equal(isValidChapaTransferSignature(request({ 'chapa-signature': hmac('other') })), false);
+});
+
+test('transfer approvals check x-chapa-signature against the body when present', () => {
+  const headers = { 'x-chapa-signature': 'bad', 'chapa-signature': hmac(SECRET) };
+  assert.equal(isValidChapaTransferSignature(request(headers)), false);
+  assert.equal(isValidChapaTransferSignature(request({ 'x-chapa-signature': hmac(rawBody) })), true);
+});
@@ -0,0 +1,77 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ORDER_STATUSES, DELIVERY_VEHICLES } from '../models/Order.js';
+import { getBatchCapacity, getBatchRefusal, planDropOffs } from '../utils/deliveryBatching.js';
+
+const point = (latitude, longitude) => ({ type: 'Point', coordinates: [longitude, latitude] });
+const order = (orderCode, pickup, dropOff, fields = {}) => ({
+  orderCode,
+  orderStatus: ORDER_STATUSES.Cooked,
+  deliveryVehicle: DELIVERY_VEHICLES.Car,
+  restaurantLocation: point(...pickup),
+  destinationLocation: point(...dropOff),
+  ...fields,
+});
+
+// Around Bole, Addis Ababa
+const PICKUP = [8.9950, 38.7890];
+const NEAR_PICKUP = [8.9960, 38.7900];
+const EAST = [8.9950, 38.8050];
+const FURTHER_EAST = [8.9950, 38.8150];
+const WEST = [8.9950, 38.7500];
+
+afterEach(() => {
+  delete process.env.DELIVERY_BATCH_CAPACITY;
+});
+
+test('drops off the nearest customer first', () => {
+  const far = order('FAR', PICKUP, FURTHER_EAST);
+  const near = order('NEAR', NEAR_PICKUP, EAST);
+  const stops = planDropOffs([far, near]);
+
+  assert.deepEqual(stops.map((s) => s.order.orderCode), ['NEAR', 'FAR']);
+  assert.ok(stops[1].alongMeters > stops[0].alongMeters);
+  assert.ok(stops[1].directMeters > 0);
+});
+
+test('an empty batch accepts any order', () => {
+  assert.equal(getBatchRefusal([], order('A', PICKUP, EAST)), null);
+});
+
+test('accepts an order on the way', () => {
+  const batch = [order('A', PICKUP, FURTHER_EAST)];
+  assert.equal(getBatchRefusal(batch, order('B', NEAR_PICKUP, EAST)), null);
+});
+
+test('refuses beyond the vehicle capacity', () => {
+  const batch = [order('A', PICKUP, EAST), order('B', PICKUP, EAST), order('C', PICKUP, EAST)];
+  assert.match(getBatchRefusal(batch, order('D', PICKUP, EAST)), /at most 3 orders/);
+
+  const bicycle = { deliveryVehicle: DELIVERY_VEHICLES.Bicycle };
+  assert.match(
+    getBatchRefusal([order('A', PICKUP, EAST, bicycle)], order('B', PICKUP, EAST, bicycle)),
+    /already have an active order/
+  );
+});
+
+test('DELIVERY_BATCH_CAPACITY overrides the default capacity', () => {
+  process.env.DELIVERY_BATCH_CAPACITY = 'Car:1, Bicycle:2, Motor:x';
+  assert.equal(getBatchCapacity(DELIVERY_VEHICLES.Car), 1);
+  assert.equal(getBatchCapacity(DELIVERY_VEHICLES.Bicycle), 2);
+  assert.equal(getBatchCapacity(DELIVERY_VEHICLES.Motorcycle), 2);
+});
+
+test('refuses once the driver picked up an order', () => {
+  const batch = [order('A', PICKUP, EAST, { orderStatus: ORDER_STATUSES.Delivering })];
+  assert.match(getBatchRefusal(batch, order('B', PICKUP, EAST)), /Deliver the orders you picked up/);
+});
+
+test('refuses pickups far from the others', () => {
+  const batch = [order('A', PICKUP, EAST)];
+  assert.match(getBatchRefusal(batch, order('B', WEST, EAST)), /picked up too far/);
+});
+
+test('refuses drop-offs in the other direction', () => {
+  const batch = [order('A', PICKUP, FURTHER_EAST)];
+  assert.match(getBatchRefusal(batch, order('B', NEAR_PICKUP, WEST)), /not on the way/);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Food, { resolveFoodOptions } from '../models/Food.js';
+
+const food = new Food({
+  foodName: 'Burger',
+  price: 200,
+  optionGroups: [
+    {
+      name: 'Size',
+      required: true,
+      maxSelections: 1,
+      options: [{ name: 'Regular' }, { name: 'Large', priceDelta: 30 }],
+    },
+    {
+      name: 'Extras',
+      maxSelections: 2,
+      options: [
+        { name: 'Cheese', priceDelta: 15 },
+        { name: 'Bacon', priceDelta: 25 },
+        { name: 'Egg', priceDelta: 10, available: false },
+      ],
+    },
+  ],
+});
+const [size, extras] = food.optionGroups;
+const pick = (group, ...names) => ({
+  groupId: String(group._id),
+  optionIds: names.map((name) => String(group.options.find((o) => o.name === name)._id)),
+});
+
+test('prices the selected options', () => {
+  const { selectedOptions, priceDelta } = resolveFoodOptions(food, [
+    pick(size, 'Large'),
+    pick(extras, 'Cheese', 'Bacon'),
+  ]);
+  assert.equal(priceDelta, 70);
+  assert.deepEqual(
+    selectedOptions.map((o) => `${o.groupName}:${o.optionName}`),
+    ['Size:Large', 'Extras:Cheese', 'Extras:Bacon']
+  );
+});
+
+test('works on lean documents and ignores repeated picks', () => {
+  const lean = food.toObject();
+  const { selectedOptions, priceDelta } = resolveFoodOptions(lean, [
+    pick(size, 'Regular'),
+    pick(extras, 'Cheese', 'Cheese'),
+  ]);
+  assert.equal(priceDelta, 15);
+  assert.equal(selectedOptions.length, 2);
+});
+
+test('foods without option groups cost nothing extra', () => {
+  assert.deepEqual(resolveFoodOptions({ foodName: 'Tea' }), { selectedOptions: [], priceDelta: 0 });
+});
+
+test('required groups need a pick', () => {
+  assert.throws(() => resolveFoodOptions(food, []), /Choose at least 1 for "Size" on Burger/);
+});
+
+test('groups cannot take more than maxSelections', () => {
+  assert.throws(
+    () => resolveFoodOptions(food, [pick(size, 'Regular', 'Large')]),
+    /Choose at most 1 for "Size"/
+  );
+});
+
+test('rejects unknown groups, unknown options and unavailable options', () => {
+  assert.throws(
+    () => resolveFoodOptions(food, [{ groupId: '64b7f0c2a1b2c3d4e5f60718', optionIds: [] }]),
+    /Unknown option group/
+  );
+  assert.throws(
+    () => resolveFoodOptions(food, [{ groupId: String(size._id), optionIds: [String(extras.options[0]._id)] }]),
+    /Unknown option in "Size"/
+  );
+  assert.throws(
+    () => resolveFoodOptions(food, [pick(size, 'Regular'), pick(extras, 'Egg')]),
+    /"Egg" is not available/
+  );
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isOpenAt, nextOpeningAt } from '../utils/openingHours.js';
+
+// Addis Ababa is UTC+3 all year; 2026-10-19 is a Monday
+const schedule = {
+  timezone: 'Africa/Addis_Ababa',
+  openingHours: [
+    { day: 1, opens: '08:00', closes: '14:30' },
+    { day: 1, opens: '18:00', closes: '02:00' }, // runs past midnight
+    { day: 3, opens: '09:00', closes: '17:00' },
+  ],
+  scheduleExceptions: [{ date: '2026-10-21', shifts: [] }],
+};
+const local = (isoWithoutZone) => new Date(`${isoWithoutZone}+03:00`);
+
+test('open during a shift in the restaurant time zone', () => {
+  assert.equal(isOpenAt(schedule, local('2026-10-19T08:00')), true);
+  assert.equal(isOpenAt(schedule, local('2026-10-19T14:29')), true);
+  assert.equal(isOpenAt(schedule, local('2026-10-19T14:30')), false);
+  assert.equal(isOpenAt(schedule, local('2026-10-19T07:59')), false);
+});
+
+test('overnight shifts stay open after midnight', () => {
+  assert.equal(isOpenAt(schedule, local('2026-10-19T23:30')), true);
+  assert.equal(isOpenAt(schedule, local('2026-10-20T01:59')), true);
+  assert.equal(isOpenAt(schedule, local('2026-10-20T02:00')), false);
+});
+
+test('exceptions replace the weekly hours', () => {
+  assert.equal(isOpenAt(schedule, local('2026-10-21T12:00')), false);
+  const special = {
+    ...schedule,
+    scheduleExceptions: [{ date: '2026-10-20', shifts: [{ opens: '10:00', closes: '12:00' }] }],
+  };
+  assert.equal(isOpenAt(special, local('2026-10-20T11:00')), true);
+});
+
+test('next opening is later the same day or on a following day', () => {
+  assert.deepEqual(nextOpeningAt(schedule, local('2026-10-19T15:00')), local('2026-10-19T18:00'));
+  // Wednesday is a holiday, so the next shift is the following Monday
+  assert.deepEqual(nextOpeningAt(schedule, local('2026-10-20T03:00')), local('2026-10-26T08:00'));
+});
+
+test('no next opening without any hours', () => {
+  assert.equal(nextOpeningAt({ timezone: 'Africa/Addis_Ababa', openingHours: [] }), null);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Order, { ORDER_STATUSES, CANCELLATION_SOURCES } from '../models/Order.js';
+
+const policyFor = (orderStatus, source = CANCELLATION_SOURCES.Customer) =>
+  new Order({ orderStatus }).getCancellationPolicy(source);
+
+test('customers get a full refund while the order is pending', () => {
+  assert.deepEqual(policyFor(ORDER_STATUSES.Pending), { allowed: true, refundRate: 1 });
+});
+
+test('customers get a partial refund once the kitchen started', () => {
+  assert.deepEqual(policyFor(ORDER_STATUSES.Preparing), { allowed: true, refundRate: 0.5 });
+  assert.deepEqual(policyFor(ORDER_STATUSES.Cooked), { allowed: true, refundRate: 0.5 });
+});
+
+test('PARTIAL_REFUND_RATE overrides the partial rate', (t) => {
+  process.env.PARTIAL_REFUND_RATE = '0.25';
+  t.after(() => delete process.env.PARTIAL_REFUND_RATE);
+  assert.equal(policyFor(ORDER_STATUSES.Preparing).refundRate, 0.25);
+});
+
+test('customers get nothing back while the order is on its way', () => {
+  assert.deepEqual(policyFor(ORDER_STATUSES.Delivering), { allowed: true, refundRate: 0 });
+});
+
+test('restaurant cancellations are always refunded in full', () => {
+  for (const status of [ORDER_STATUSES.Pending, ORDER_STATUSES.Cooked, ORDER_STATUSES.Delivering]) {
+    assert.deepEqual(policyFor(status, CANCELLATION_SOURCES.Restaurant), { allowed: true, refundRate: 1 });
+  }
+});
+
+test('finished orders cannot be cancelled', () => {
+  for (const status of [ORDER_STATUSES.Completed, ORDER_STATUSES.Cancelled]) {
+    const policy = policyFor(status, CANCELLATION_SOURCES.Restaurant);
+    assert.equal(policy.allowed, false);
+    assert.equal(policy.refundRate, 0);
+    assert.match(policy.message, new RegExp(status));
+  }
+});
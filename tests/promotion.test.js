@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Promotion, { PROMOTION_TYPES } from '../models/Promotion.js';
+
+const promo = (fields) => new Promotion({ code: 'TEST10', ...fields });
+
+test('percentage promos take a share of the food total only', () => {
+  const discount = promo({ type: PROMOTION_TYPES.Percentage, value: 15 })
+    .computeDiscount({ foodTotal: 333, deliveryFee: 50 });
+  assert.deepEqual(discount, { foodDiscount: 49.95, deliveryDiscount: 0, discountTotal: 49.95 });
+});
+
+test('percentage promos respect maxDiscount', () => {
+  const discount = promo({ type: PROMOTION_TYPES.Percentage, value: 50, maxDiscount: 100 })
+    .computeDiscount({ foodTotal: 400, deliveryFee: 50 });
+  assert.equal(discount.foodDiscount, 100);
+});
+
+test('fixed amount promos never exceed the food total', () => {
+  const fixed = promo({ type: PROMOTION_TYPES.FixedAmount, value: 80 });
+  assert.equal(fixed.computeDiscount({ foodTotal: 200 }).foodDiscount, 80);
+  assert.equal(fixed.computeDiscount({ foodTotal: 60 }).foodDiscount, 60);
+});
+
+test('free delivery waives the delivery fee', () => {
+  const freeDelivery = promo({ type: PROMOTION_TYPES.FreeDelivery });
+  assert.deepEqual(freeDelivery.computeDiscount({ foodTotal: 200, deliveryFee: 45.5 }), {
+    foodDiscount: 0,
+    deliveryDiscount: 45.5,
+    discountTotal: 45.5,
+  });
+  assert.equal(freeDelivery.computeDiscount({ foodTotal: 200 }).discountTotal, 0);
+});
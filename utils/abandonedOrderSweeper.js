@@ -0,0 +1,171 @@
+// utils/abandonedOrderSweeper.js
+import { setInterval, clearInterval } from 'timers';
+import mongoose from 'mongoose';
+import Order, {
+  ORDER_STATUSES,
+  OFFLINE_PAYMENT_METHODS,
+  buildStatusHistoryEntry,
+} from '../models/Order.js';
+import Balance from '../models/Balance.js';
+import Promotion from '../models/Promotion.js';
+import {
+  TRANSACTION_STATUSES,
+  TRANSACTION_FAILURE_REASONS,
+} from '../models/Transaction.js';
+import {
+  verifyOrderPayment,
+  settleOrderPayment,
+} from '../controllers/orderController.js';
+
+const BATCH_SIZE = 100;
+
+// Read lazily: this module is imported before dotenv runs in server.js
+const ttlMinutes = () => parseFloat(process.env.ABANDONED_ORDER_TTL_MINUTES || '30');
+const intervalMinutes = () =>
+  parseFloat(process.env.ABANDONED_ORDER_SWEEP_INTERVAL_MINUTES || '5');
+
+let timer = null;
+let sweeping = false;
+
+/**
+ * Ask the order's payment provider whether a checkout was actually paid.
+ * Returns the verified payment when paid, null when the provider says it was not,
+ * and throws when the provider could not be reached (the order is retried next sweep).
+ */
+const checkWithProvider = async (order, txRef) => {
+  try {
+    const payment = await verifyOrderPayment(order.transaction?.provider || 'chapa', txRef);
+    return payment.paid ? payment : null;
+  } catch (error) {
+    // Provider answered (e.g. 404 "Invalid transaction") → it was never paid
+    if (error.response) return null;
+    throw error;
+  }
+};
+
+// Cancel the order, give back its promo use and wallet part in one DB transaction,
+// so a failure leaves the order PENDING and the next sweep tries again
+const closeAbandonedOrder = async (order) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    // Filter on PENDING so two instances never close the same order twice
+    const result = await Order.updateOne(
+      { _id: order._id, 'transaction.status': TRANSACTION_STATUSES.PENDING },
+      {
+        $set: {
+          orderStatus: ORDER_STATUSES.Cancelled,
+          'transaction.status': TRANSACTION_STATUSES.FAILED,
+          'transaction.failureReason': TRANSACTION_FAILURE_REASONS.ABANDONED_CHECKOUT,
+        },
+        $push: {
+          statusHistory: buildStatusHistoryEntry({
+            from: order.orderStatus,
+            status: ORDER_STATUSES.Cancelled,
+            reason: `Checkout not completed within ${ttlMinutes()} minutes`,
+          }),
+        },
+      },
+      { session }
+    );
+    if (!result.modifiedCount) {
+      await session.abortTransaction();
+      return false;
+    }
+
+    if (order.promotion?.promotionId) {
+      await Promotion.releaseUse(order.promotion.promotionId, { session });
+    }
+
+    // Give back the part the customer already paid from their wallet
+    const walletAmount = Number(order.transaction?.walletAmount?.toString() || 0);
+    if (walletAmount > 0) {
+      await Balance.creditWallet(order.userId, {
+        amount: walletAmount,
+        orderId: order._id,
+        currency: order.transaction.currency,
+        note: `Wallet payment returned for abandoned order ${order._id}`,
+        session,
+      });
+    }
+
+    await session.commitTransaction();
+    return true;
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Close every PENDING checkout older than the TTL.
+ * Orders the provider reports as paid (missed webhook) are settled instead.
+ */
+export const sweepAbandonedOrders = async () => {
+  if (sweeping) return { skipped: true };
+  sweeping = true;
+
+  const summary = { checked: 0, closed: 0, recovered: 0, errors: 0 };
+  try {
+    const cutoff = new Date(Date.now() - ttlMinutes() * 60 * 1000);
+    const orders = await Order.find(
+      {
+        'transaction.status': TRANSACTION_STATUSES.PENDING,
+        // cash / counter orders stay unpaid until the money is handed over
+        paymentMethod: { $nin: OFFLINE_PAYMENT_METHODS },
+        createdAt: { $lt: cutoff },
+      },
+      null,
+      { bypassPaidFilter: true }
+    )
+      .select('+transaction.chapaPayment')
+      .sort({ createdAt: 1 })
+      .limit(BATCH_SIZE);
+
+    for (const order of orders) {
+      summary.checked += 1;
+      try {
+        const txRef = order.transaction?.chapaPayment?.txRef;
+        const payment = txRef ? await checkWithProvider(order, txRef) : null;
+
+        if (payment) {
+          const outcome = await settleOrderPayment({ order, txRef, payment });
+          if (outcome === 'paid') {
+            summary.recovered += 1;
+            console.log(`💰 Recovered paid order ${order.orderCode} (missed webhook)`);
+          }
+        } else if (await closeAbandonedOrder(order)) {
+          summary.closed += 1;
+        }
+      } catch (error) {
+        summary.errors += 1;
+        console.error(`⚠️ Could not sweep order ${order._id}:`, error.message);
+      }
+    }
+
+    if (summary.checked) {
+      console.log('🧹 Abandoned order sweep:', summary);
+    }
+    return summary;
+  } catch (error) {
+    console.error('❌ Abandoned order sweep failed:', error);
+    return summary;
+  } finally {
+    sweeping = false;
+  }
+};
+
+export const startAbandonedOrderSweeper = () => {
+  if (timer) return;
+  timer = setInterval(sweepAbandonedOrders, intervalMinutes() * 60 * 1000);
+  timer.unref();
+  console.log(`🧹 Abandoned order sweeper running every ${intervalMinutes()} min (TTL ${ttlMinutes()} min)`);
+};
+
+export const stopAbandonedOrderSweeper = () => {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+};
@@ -0,0 +1,48 @@
+// utils/chapaSignature.js
+import crypto from 'crypto';
+
+const safeEqual = (received, expected) => {
+  const a = Buffer.from(String(received).toLowerCase());
+  const b = Buffer.from(expected.toLowerCase());
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Validate a Chapa webhook request by its `x-chapa-signature`,
+ * an HMAC-SHA256 of the raw body.
+ *
+ * @param {import('express').Request} req - needs req.rawBody (see app.js)
+ * @returns {boolean}
+ */
+export const isValidChapaSignature = (req) => {
+  const secret = process.env.CHAPA_SIGNATURE;
+  const payloadSignature = req.headers['x-chapa-signature'];
+  if (!secret || !payloadSignature || !req.rawBody) return false;
+
+  const expected = crypto.createHmac('sha256', secret).update(req.rawBody).digest('hex');
+  return safeEqual(payloadSignature, expected);
+};
+
+export const hasChapaSignature = (req) => Boolean(req.headers['x-chapa-signature']);
+
+/**
+ * Transfer approval webhook (chapaTransferApproval) only: besides `x-chapa-signature`
+ * it still accepts the older `chapa-signature`, an HMAC of the secret itself.
+ * That value is the same for every request, so it must not guard anything else.
+ *
+ * @param {import('express').Request} req
+ * @returns {boolean}
+ */
+export const isValidChapaTransferSignature = (req) => {
+  if (hasChapaSignature(req)) return isValidChapaSignature(req);
+
+  const secret = process.env.CHAPA_SIGNATURE;
+  const secretSignature = req.headers['chapa-signature'];
+  if (!secret || !secretSignature) return false;
+
+  const expected = crypto.createHmac('sha256', secret).update(secret).digest('hex');
+  return safeEqual(secretSignature, expected);
+};
+
+export const hasChapaTransferSignature = (req) =>
+  Boolean(req.headers['x-chapa-signature'] || req.headers['chapa-signature']);
@@ -22,7 +22,7 @@ cloudinary.config({
  * Resize, compress, and upload an image buffer to Cloudinary in WebP format.
  *
  * @param {Buffer} fileBuffer - The image file buffer (from Multer).
- * @param {Object} options - { folder, publicId, width, height, quality }
+ * @param {Object} options - { folder, publicId, width, height, quality, fit, type }
  * @returns {Promise<Object>} Cloudinary upload result.
  */
 export const uploadImageToCloudinary = async (
@@ -33,12 +33,14 @@ export const uploadImageToCloudinary = async (
     width = 800, // standard resize width
     height = 800, // standard resize height
     quality = 80, // compression quality
+    fit = 'cover', // 'inside' keeps the whole image (documents)
+    type = 'upload', // 'authenticated': no public URL, see getSignedImageUrl
   } = {}
 ) => {
   try {
     // 1️⃣ Resize and convert to WebP using Sharp
     const processedBuffer = await sharp(fileBuffer)
-      .resize(width, height, { fit: 'cover' })
+      .resize(width, height, { fit, withoutEnlargement: fit === 'inside' })
       .toFormat('webp', { quality })
       .toBuffer();
 
@@ -50,6 +52,7 @@ export const uploadImageToCloudinary = async (
           public_id: publicId,
           overwrite: true,
           resource_type: 'image',
+          type,
           format: 'webp', // force WebP format
         },
         (error, result) => {
@@ -81,11 +84,12 @@ export const uploadImageToCloudinary = async (
 /**
  * Deletes an image by its publicId from Cloudinary.
  * @param {string} publicId - The Cloudinary public ID.
+ * @param {Object} options - { type } delivery type it was uploaded with
  * @returns {Promise<Object>} Deletion result.
  */
-export const deleteImageFromCloudinary = async (publicId) => {
+export const deleteImageFromCloudinary = async (publicId, { type = 'upload' } = {}) => {
   try {
-    const result = await cloudinary.uploader.destroy(publicId);
+    const result = await cloudinary.uploader.destroy(publicId, { type });
     return result;
   } catch (err) {
     console.error('Error deleting Cloudinary image:', err);
@@ -93,6 +97,26 @@ export const deleteImageFromCloudinary = async (publicId) => {
   }
 };
 
+// ===========================================
+// 🔐 Short-lived link to a non-public image
+// ===========================================
+/**
+ * Signed download URL that stops working after `expiresInSeconds`.
+ * @param {string} publicId - The Cloudinary public ID.
+ * @param {Object} options - { type, format, expiresInSeconds }
+ * @returns {{ url: string, expiresAt: Date }}
+ */
+export const getSignedImageUrl = (
+  publicId,
+  { type = 'authenticated', format = 'webp', expiresInSeconds = 600 } = {}
+) => {
+  const expiresAt = Math.floor(Date.now() / 1000) + expiresInSeconds;
+  return {
+    url: cloudinary.utils.private_download_url(publicId, format, { type, expires_at: expiresAt }),
+    expiresAt: new Date(expiresAt * 1000),
+  };
+};
+
 // ===========================================
 // Export Cloudinary instance
 // ===========================================
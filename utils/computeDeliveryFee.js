@@ -1,24 +1,12 @@
-import axios from 'axios';
 import { DELIVERY_VEHICLES } from '../models/Order.js';
+import DeliveryZone from '../models/DeliveryZone.js';
+import AppError from './appError.js';
+import { getRoute } from './routing/index.js';
+import { getSurge } from './deliveryPricing.js';
 
-
-export const computeDeliveryFee = async ({ 
-  restaurantLocation, 
-  destinationLocation, 
-  deliveryVehicle,
-  
-}) => {
-  // --- Validation ---
-  if (!restaurantLocation?.lat || !restaurantLocation?.lng) {
-    throw new Error('Restaurant coordinates are required');
-  }
-  
-  if (!destinationLocation?.lat || !destinationLocation?.lng) {
-    throw new Error('Destination coordinates are required');
-  }
-
-   // --- Rate Configuration ---
-  const rateConfig = {
+// Tariffs used while no delivery zone has been set up yet (no service-area limit either)
+const getDefaultRate = (deliveryVehicle) =>
+  ({
     [DELIVERY_VEHICLES.Car]: {
       base: parseFloat(process.env.CAR_BASE_FARE || '150'),
       perKm: parseFloat(process.env.CAR_PER_KM || '13'),
@@ -31,46 +19,86 @@ export const computeDeliveryFee = async ({
       base: parseFloat(process.env.BICYCLE_BASE_FARE || '50'),
       perKm: parseFloat(process.env.BICYCLE_PER_KM || '10'),
     },
-  };
+  })[deliveryVehicle];
 
-  const selectedRate = rateConfig[deliveryVehicle];
-  if (!selectedRate) {
-    throw new Error(
-      `Invalid delivery vehicle: ${deliveryVehicle}. Allowed types: ${Object.keys(rateConfig).join(', ')}`
+/**
+ * Delivery zone of the destination and its tariff for the vehicle.
+ * Throws a 400 AppError when the address is outside every zone or the zone
+ * does not offer the vehicle. Before any zone exists, the env tariffs apply everywhere.
+ */
+const resolveDeliveryTariff = async (destinationLocation, deliveryVehicle) => {
+  if (!Object.values(DELIVERY_VEHICLES).includes(deliveryVehicle)) {
+    throw new AppError(
+      `Invalid delivery vehicle: ${deliveryVehicle}. Allowed types: ${Object.values(DELIVERY_VEHICLES).join(', ')}`,
+      400
     );
   }
 
-  // --- Calculate Distance via OSRM ---
-  const origins = `${restaurantLocation.lng},${restaurantLocation.lat}`; // OSRM uses lng,lat
-  const destinations = `${destinationLocation.lng},${destinationLocation.lat}`;
-  const mode = deliveryVehicle === DELIVERY_VEHICLES.Bicycle ? 'bike' : 'driving'; // OSRM modes: driving, bike, foot
-  const osrmUrl = `https://router.project-osrm.org/route/v1/${mode}/${origins};${destinations}?overview=false`;
+  const zone = await DeliveryZone.findForLocation(destinationLocation);
+  if (!zone) {
+    if (await DeliveryZone.exists({ active: true })) {
+      throw new AppError('Sorry, we do not deliver to this address yet', 400);
+    }
+    return { zone: null, rate: getDefaultRate(deliveryVehicle) };
+  }
+
+  const tariff = zone.getTariff(deliveryVehicle);
+  if (!tariff) {
+    throw new AppError(`${deliveryVehicle} delivery is not available in ${zone.name}`, 400);
+  }
+  return { zone, rate: { base: tariff.baseFare, perKm: tariff.perKm } };
+};
+
 
-  let osrmResponse;
-  try {
-    osrmResponse = await axios.get(osrmUrl, { timeout: 5000 });
-  } catch (error) {
-    throw new Error(`Failed to fetch route from OSRM: ${error.message}`);
+export const computeDeliveryFee = async ({ 
+  restaurantLocation, 
+  destinationLocation, 
+  deliveryVehicle,
+  at = new Date(), // when the delivery happens (scheduled orders), for time-of-day pricing
+}) => {
+  // --- Validation ---
+  if (!restaurantLocation?.lat || !restaurantLocation?.lng) {
+    throw new Error('Restaurant coordinates are required');
   }
+  
+  if (!destinationLocation?.lat || !destinationLocation?.lng) {
+    throw new Error('Destination coordinates are required');
+  }
+
+   // --- Rate Configuration (delivery zone of the destination) ---
+  const { zone, rate: selectedRate } = await resolveDeliveryTariff(destinationLocation, deliveryVehicle);
 
-  const distanceInMeters = osrmResponse?.data?.routes?.[0]?.distance;
-  const durationInSeconds = osrmResponse?.data?.routes?.[0]?.duration;
+  // --- Calculate Distance (routing provider, straight-line estimate if it is down) ---
+  const {
+    distanceMeters: distanceInMeters,
+    durationSeconds: durationInSeconds,
+    method: routingMethod,
+  } = await getRoute([restaurantLocation, destinationLocation], deliveryVehicle);
 
- 
   if (!distanceInMeters || distanceInMeters <= 0) {
     throw new Error('Failed to calculate delivery distance');
   }
 
   // --- Calculate Fee ---
   const distanceKm = distanceInMeters / 1000;
+  if (zone?.maxDistanceKm != null && distanceKm > zone.maxDistanceKm) {
+    throw new AppError(
+      `This address is ${distanceKm.toFixed(1)} km away, ${zone.name} delivers up to ${zone.maxDistanceKm} km`,
+      400
+    );
+  }
   const rawFee = selectedRate.base + selectedRate.perKm * distanceKm;
-  const deliveryFee = Math.ceil(rawFee);
+  const surge = await getSurge({ zone, deliveryVehicle, at });
+  const deliveryFee = Math.ceil(rawFee * surge.multiplier);
 
   return {
     deliveryFee,
     distanceKm: parseFloat(distanceKm.toFixed(2)),
     distanceInMeters,
     durationInSeconds,
+    routingMethod, // "osrm" = road route, "haversine" = straight line × road factor
     vehicleType: deliveryVehicle,
+    zone: zone ? { id: zone._id, name: zone.name } : null,
+    surge, // { multiplier, reasons, demandRatio }; multiplier 1 = plain tariff
   };
 };
\ No newline at end of file
@@ -0,0 +1,164 @@
+// utils/deliveryBatching.js
+// Drivers may carry several cooked orders at once when the pickups are close together
+// and every drop-off stays on the way. Each order keeps its own pickup / delivery codes
+// and its own Balance credit; the batch only decides what a driver may accept.
+import { getDistance } from 'geolib';
+import Order, { ORDER_STATUSES, DELIVERY_VEHICLES } from '../models/Order.js';
+
+export const BATCH_STATUSES = [ORDER_STATUSES.Cooked, ORDER_STATUSES.Delivering];
+
+// Orders a vehicle can carry; DELIVERY_BATCH_CAPACITY="Car:3,Motor:2,Bicycle:1" overrides
+const DEFAULT_CAPACITY = {
+  [DELIVERY_VEHICLES.Car]: 3,
+  [DELIVERY_VEHICLES.Motorcycle]: 2,
+  [DELIVERY_VEHICLES.Bicycle]: 1,
+};
+
+// Read lazily: this module is imported before dotenv runs in server.js
+const pickupRadiusMeters = () => parseFloat(process.env.BATCH_PICKUP_RADIUS_METERS || '800');
+// How much longer than a direct ride each customer's drop-off may be (0.5 = 50%)
+const maxDetourRatio = () => parseFloat(process.env.BATCH_MAX_DETOUR_RATIO || '0.5');
+// ...plus this much, so short trips are not ruled out by a few hundred meters
+const detourSlackMeters = () => parseFloat(process.env.BATCH_DETOUR_SLACK_METERS || '1000');
+
+export const getBatchCapacity = (vehicle) => {
+  const capacity = { ...DEFAULT_CAPACITY };
+  (process.env.DELIVERY_BATCH_CAPACITY || '')
+    .split(',')
+    .map((pair) => pair.split(':').map((s) => s.trim()))
+    .filter(([name, size]) => name && !isNaN(parseInt(size, 10)))
+    .forEach(([name, size]) => {
+      capacity[name] = Math.max(parseInt(size, 10), 1);
+    });
+  return capacity[vehicle] || 1;
+};
+
+const toPoint = (location) => ({
+  latitude: location.coordinates[1],
+  longitude: location.coordinates[0],
+});
+
+// Orders a driver is carrying or about to pick up
+export const getActiveBatch = (deliveryId, { session } = {}) =>
+  Order.find({ deliveryId, orderStatus: { $in: BATCH_STATUSES } })
+    .sort({ createdAt: 1 })
+    .session(session || null);
+
+/**
+ * Drop-off order for a batch: start from the pickups' centre, then always the
+ * nearest remaining customer. Each stop carries the distance driven to reach it
+ * (alongMeters) and the distance of a direct ride (directMeters), straight-line.
+ */
+export const planDropOffs = (orders) => {
+  const pickups = orders.map((o) => toPoint(o.restaurantLocation));
+  const start = {
+    latitude: pickups.reduce((sum, p) => sum + p.latitude, 0) / pickups.length,
+    longitude: pickups.reduce((sum, p) => sum + p.longitude, 0) / pickups.length,
+  };
+
+  const remaining = [...orders];
+  const stops = [];
+  let position = start;
+  let alongMeters = 0;
+  while (remaining.length) {
+    let nearest = 0;
+    remaining.forEach((order, i) => {
+      if (
+        getDistance(position, toPoint(order.destinationLocation)) <
+        getDistance(position, toPoint(remaining[nearest].destinationLocation))
+      ) {
+        nearest = i;
+      }
+    });
+    const [order] = remaining.splice(nearest, 1);
+    const drop = toPoint(order.destinationLocation);
+    alongMeters += getDistance(position, drop);
+    stops.push({
+      order,
+      alongMeters,
+      directMeters: getDistance(toPoint(order.restaurantLocation), drop),
+    });
+    position = drop;
+  }
+  return stops;
+};
+
+/**
+ * Whether a driver carrying `batch` may also take `order`.
+ * Returns null when allowed, otherwise the reason to show the driver.
+ */
+export const getBatchRefusal = (batch, order) => {
+  if (!batch.length) return null;
+
+  const capacity = getBatchCapacity(order.deliveryVehicle);
+  if (batch.length >= capacity) {
+    return capacity === 1
+      ? 'You already have an active order. Complete or cancel it before accepting a new one.'
+      : `You can carry at most ${capacity} orders at a time.`;
+  }
+
+  if (batch.some((o) => o.orderStatus !== ORDER_STATUSES.Cooked)) {
+    return 'Deliver the orders you picked up before accepting another one.';
+  }
+
+  const pickup = toPoint(order.restaurantLocation);
+  const tooFar = batch.some(
+    (o) => getDistance(toPoint(o.restaurantLocation), pickup) > pickupRadiusMeters()
+  );
+  if (tooFar) return 'This order is picked up too far from your other orders.';
+
+  const offRoute = planDropOffs([...batch, order]).some(
+    ({ alongMeters, directMeters }) =>
+      alongMeters > directMeters * (1 + maxDetourRatio()) + detourSlackMeters()
+  );
+  if (offRoute) return 'This drop-off is not on the way for your other orders.';
+
+  return null;
+};
+
+// Orders delivered together share the first order's id as batchId
+export const joinBatch = async (batch, order, { session } = {}) => {
+  if (!batch.length) return;
+  const batchId = batch[0].batchId || batch[0]._id;
+  await Order.updateMany(
+    { _id: { $in: batch.map((o) => o._id) }, batchId: null },
+    { $set: { batchId } },
+    { session }
+  );
+  order.batchId = batchId;
+};
+
+// Stops for the driver app: pickups first (grouped by restaurant), then drop-offs in order
+export const buildBatchView = (orders) => {
+  if (!orders.length) return null;
+  const waiting = orders.filter((o) => o.orderStatus === ORDER_STATUSES.Cooked);
+
+  const pickups = new Map();
+  waiting.forEach((o) => {
+    const key = String(o.restaurantId?._id || o.restaurantId);
+    if (!pickups.has(key)) {
+      pickups.set(key, {
+        type: 'pickup',
+        restaurantName: o.restaurantId?.name || '',
+        location: o.restaurantLocation,
+        orderIds: [],
+      });
+    }
+    pickups.get(key).orderIds.push(o._id);
+  });
+
+  const dropOffs = planDropOffs(orders).map(({ order }) => ({
+    type: 'dropoff',
+    orderId: order._id,
+    orderCode: order.orderCode,
+    location: order.destinationLocation,
+    status: order.orderStatus,
+  }));
+
+  return {
+    batchId: orders[0].batchId || (orders.length > 1 ? orders[0]._id : null),
+    size: orders.length,
+    capacity: getBatchCapacity(orders[0].deliveryVehicle),
+    stops: [...pickups.values(), ...dropOffs],
+  };
+};
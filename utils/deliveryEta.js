@@ -0,0 +1,174 @@
+// utils/deliveryEta.js
+// Delivery ETA = time until the food is ready + time for a driver to bring it over.
+// Estimated at checkout, refined on the Cooked/Delivering transitions and from the
+// driver's GPS, and pushed to the customer as a `customerMessage` of type "etaUpdate".
+import Order, { ORDER_STATUSES, ORDER_TYPES, ETA_BASES } from '../models/Order.js';
+import { notifyCustomer } from '../socketServer.js';
+import { getRoute } from './routing/index.js';
+
+// Read lazily: this module is imported before dotenv runs in server.js
+const defaultPrepMinutes = () => parseFloat(process.env.ETA_DEFAULT_PREP_MINUTES || '20');
+// Time for a driver to take the order and reach the restaurant when nobody is assigned yet
+const pickupBufferMinutes = () => parseFloat(process.env.ETA_PICKUP_BUFFER_MINUTES || '10');
+// Driver GPS updates arrive every few seconds; recompute at most this often per order
+const refreshIntervalSeconds = () => parseFloat(process.env.ETA_REFRESH_INTERVAL_SECONDS || '60');
+
+// orderId -> when the driver location last refreshed its ETA
+const lastDriverRefresh = new Map();
+
+// Travel time (seconds) through the given points in order
+const routeSeconds = async (points, vehicle) => (await getRoute(points, vehicle)).durationSeconds;
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60000);
+
+// When the kitchen should be done with the order
+const estimateReadyAt = (order, now) => {
+  const prepMinutes = order.eta?.prepMinutes ?? defaultPrepMinutes();
+  const startedAt =
+    order.statusHistory?.findLast((entry) => entry.status === ORDER_STATUSES.Preparing)?.changedAt ||
+    order.releasedToKitchenAt ||
+    now;
+  const readyAt = addMinutes(startedAt, prepMinutes);
+  return readyAt > now ? readyAt : now;
+};
+
+/**
+ * Estimate when a delivery order reaches the customer.
+ * `driverLocation` ({ latitude, longitude }) is used once a driver has the order.
+ */
+export const computeEta = async (order, { driverLocation, now = new Date() } = {}) => {
+  const vehicle = order.deliveryVehicle;
+  const { restaurantLocation, destinationLocation } = order;
+  let departAt;
+  let seconds;
+
+  switch (order.orderStatus) {
+    case ORDER_STATUSES.Delivering:
+      departAt = now;
+      seconds = await routeSeconds([driverLocation || restaurantLocation, destinationLocation], vehicle);
+      break;
+    case ORDER_STATUSES.Cooked:
+      departAt = now;
+      seconds = driverLocation
+        ? await routeSeconds([driverLocation, restaurantLocation, destinationLocation], vehicle)
+        : pickupBufferMinutes() * 60 + (await routeSeconds([restaurantLocation, destinationLocation], vehicle));
+      break;
+    default:
+      // Not cooked yet: wait for the kitchen, then for a driver
+      departAt = addMinutes(estimateReadyAt(order, now), pickupBufferMinutes());
+      seconds = await routeSeconds([restaurantLocation, destinationLocation], vehicle);
+  }
+
+  let estimatedDeliveryAt = new Date(departAt.getTime() + seconds * 1000);
+  // Scheduled orders are not delivered before their slot
+  if (order.scheduledFor && order.scheduledFor > estimatedDeliveryAt) {
+    estimatedDeliveryAt = order.scheduledFor;
+  }
+  return { estimatedDeliveryAt, routeSeconds: Math.round(seconds) };
+};
+
+/**
+ * First ETA for a new delivery order, stored with the order at checkout.
+ * Returns the fields to create the order with ({} for non-delivery orders or on failure).
+ */
+export const estimateAtPlacement = async (orderData) => {
+  if (orderData.typeOfOrder !== ORDER_TYPES.Delivery) return {};
+  try {
+    const prepMinutes = orderData.prepMinutes ?? defaultPrepMinutes();
+    const { estimatedDeliveryAt, routeSeconds: seconds } = await computeEta({
+      ...orderData,
+      orderStatus: ORDER_STATUSES.Pending,
+      eta: { prepMinutes },
+    });
+    return {
+      estimatedDeliveryAt,
+      eta: {
+        predictedAt: estimatedDeliveryAt,
+        prepMinutes,
+        routeSeconds: seconds,
+        basis: ETA_BASES.Placement,
+        updatedAt: new Date(),
+      },
+    };
+  } catch (error) {
+    console.error('⚠️ Could not estimate delivery time at checkout:', error.message);
+    return {};
+  }
+};
+
+/**
+ * Recompute an order's ETA, store it and push it to the customer.
+ * Fire-and-forget from the controllers and socket handlers: never throws.
+ */
+export const refreshOrderEta = async (order, { basis, driverLocation } = {}) => {
+  try {
+    if (order.typeOfOrder !== ORDER_TYPES.Delivery) return null;
+    const { estimatedDeliveryAt, routeSeconds: seconds } = await computeEta(order, { driverLocation });
+
+    const updated = await Order.updateOne(
+      {
+        _id: order._id,
+        orderStatus: { $in: [ORDER_STATUSES.Cooked, ORDER_STATUSES.Delivering] },
+      },
+      {
+        $set: {
+          estimatedDeliveryAt,
+          'eta.routeSeconds': seconds,
+          'eta.basis': basis,
+          'eta.updatedAt': new Date(),
+        },
+      }
+    );
+    if (!updated.matchedCount) return null; // delivered or cancelled meanwhile
+
+    // Status changes are always pushed; GPS refreshes only when the estimate moved a minute or more
+    const previous = order.estimatedDeliveryAt;
+    if (
+      basis !== ETA_BASES.DriverLocation ||
+      !previous ||
+      Math.abs(estimatedDeliveryAt - previous) >= 60000
+    ) {
+      notifyCustomer((order.userId._id || order.userId).toString(), {
+        type: 'etaUpdate',
+        orderId: order._id.toString(),
+        orderCode: order.orderCode,
+        orderStatus: order.orderStatus,
+        estimatedDeliveryAt,
+        minutesAway: Math.max(Math.round((estimatedDeliveryAt - Date.now()) / 60000), 0),
+      });
+    }
+    return estimatedDeliveryAt;
+  } catch (error) {
+    console.error(`⚠️ Could not refresh ETA for order ${order._id}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Driver GPS update for their active order, throttled per order.
+ * Never throws.
+ */
+export const refreshEtaFromDriverLocation = async (orderId, location) => {
+  const key = orderId.toString();
+  const last = lastDriverRefresh.get(key);
+  if (last && Date.now() - last < refreshIntervalSeconds() * 1000) return null;
+  lastDriverRefresh.set(key, Date.now());
+
+  try {
+    const order = await Order.findOne({
+      _id: orderId,
+      orderStatus: { $in: [ORDER_STATUSES.Cooked, ORDER_STATUSES.Delivering] },
+    });
+    if (!order) {
+      lastDriverRefresh.delete(key);
+      return null;
+    }
+    return refreshOrderEta(order, { basis: ETA_BASES.DriverLocation, driverLocation: location });
+  } catch (error) {
+    console.error(`⚠️ Could not refresh ETA for order ${key}:`, error.message);
+    return null;
+  }
+};
+
+// Forget the throttle once the trip is over
+export const endEtaTracking = (orderId) => lastDriverRefresh.delete(orderId.toString());
@@ -0,0 +1,108 @@
+// utils/deliveryPricing.js
+// Surge / time-of-day multipliers on top of the zone tariff (utils/computeDeliveryFee.js).
+// The best matching schedule rule and the best matching demand rule are multiplied,
+// then capped by PRICING_MAX_MULTIPLIER.
+import Order, { ORDER_STATUSES, ORDER_TYPES } from '../models/Order.js';
+import PricingRule from '../models/PricingRule.js';
+import { isOpenAt, getDefaultTimeZone } from './openingHours.js';
+import { getFreeDrivers } from '../socketServer.js';
+
+// Read lazily: this module is imported before dotenv runs in server.js
+const maxMultiplier = () => parseFloat(process.env.PRICING_MAX_MULTIPLIER || '2.5');
+// Counting drivers fans out to every instance; quotes within this window share one count
+const demandCacheSeconds = () => parseFloat(process.env.PRICING_DEMAND_CACHE_SECONDS || '30');
+
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+// Today's driver shortage says nothing about a slot booked for later
+const DEMAND_HORIZON_MS = 15 * 60 * 1000;
+
+// vehicle -> { ratio, waitingOrders, freeDrivers, at }
+const demandCache = new Map();
+
+/**
+ * Waiting cooked orders per free driver for a vehicle type.
+ * Free drivers are connected, Online drivers without an entry in activeDeliveryOrders.
+ */
+export const getDemandRatio = async (deliveryVehicle) => {
+  const cached = demandCache.get(deliveryVehicle);
+  if (cached && Date.now() - cached.at < demandCacheSeconds() * 1000) return cached;
+
+  const [waitingOrders, freeDrivers] = await Promise.all([
+    Order.countDocuments({
+      orderStatus: ORDER_STATUSES.Cooked,
+      typeOfOrder: ORDER_TYPES.Delivery,
+      deliveryVehicle,
+      deliveryId: null,
+    }),
+    getFreeDrivers(deliveryVehicle).then((drivers) => drivers.length),
+  ]);
+
+  const demand = {
+    ratio: waitingOrders ? waitingOrders / Math.max(freeDrivers, 1) : 0,
+    waitingOrders,
+    freeDrivers,
+    at: Date.now(),
+  };
+  demandCache.set(deliveryVehicle, demand);
+  return demand;
+};
+
+// Days / time window of a rule, evaluated like opening hours (overnight windows included)
+const matchesSchedule = (rule, date) => {
+  const days = rule.days?.length ? rule.days : ALL_DAYS;
+  const opens = rule.startTime || '00:00';
+  const closes = rule.endTime || '00:00'; // same as opens = the whole day
+  return isOpenAt(
+    { timezone: getDefaultTimeZone(), openingHours: days.map((day) => ({ day, opens, closes })) },
+    date
+  );
+};
+
+const appliesTo = (rule, { zone, deliveryVehicle }) =>
+  (!rule.vehicles?.length || rule.vehicles.includes(deliveryVehicle)) &&
+  (!rule.zones?.length || (zone && rule.zones.some((id) => id.toString() === zone._id.toString())));
+
+// Highest multiplier among matching rules (a lower one may be an off-peak discount)
+const strongest = (rules) =>
+  rules.reduce((best, rule) => (!best || rule.multiplier > best.multiplier ? rule : best), null);
+
+/**
+ * Fee multiplier for a quote: { multiplier, reasons, demandRatio }.
+ * Never throws: pricing falls back to the plain tariff (multiplier 1).
+ */
+export const getSurge = async ({ zone, deliveryVehicle, at = new Date() }) => {
+  try {
+    const rules = (await PricingRule.find({ active: true }).lean()).filter((rule) =>
+      appliesTo(rule, { zone, deliveryVehicle })
+    );
+    if (!rules.length) return { multiplier: 1, reasons: [], demandRatio: null };
+
+    const scheduleRule = strongest(
+      rules.filter((rule) => rule.minDemandRatio == null && matchesSchedule(rule, at))
+    );
+
+    const demandRules =
+      at - Date.now() < DEMAND_HORIZON_MS ? rules.filter((rule) => rule.minDemandRatio != null) : [];
+    let demandRule = null;
+    let demandRatio = null;
+    if (demandRules.length) {
+      ({ ratio: demandRatio } = await getDemandRatio(deliveryVehicle));
+      demandRule = strongest(demandRules.filter((rule) => demandRatio >= rule.minDemandRatio));
+    }
+
+    const applied = [scheduleRule, demandRule].filter(Boolean);
+    const multiplier = Math.min(
+      applied.reduce((total, rule) => total * rule.multiplier, 1),
+      maxMultiplier()
+    );
+
+    return {
+      multiplier: Number(multiplier.toFixed(2)),
+      reasons: applied.map((rule) => rule.description || rule.name),
+      demandRatio: demandRatio != null ? Number(demandRatio.toFixed(2)) : null,
+    };
+  } catch (error) {
+    console.error('⚠️ Could not apply pricing rules, using the plain tariff:', error.message);
+    return { multiplier: 1, reasons: [], demandRatio: null };
+  }
+};
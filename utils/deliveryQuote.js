@@ -0,0 +1,74 @@
+// utils/deliveryQuote.js
+// Signed, short-lived delivery fee quotes. estimateDeliveryFee hands one out per vehicle;
+// placeOrder charges the quoted fee when the token still matches the order, so the
+// customer pays what they were shown without a second routing call.
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const AUDIENCE = 'delivery-quote';
+// Same rounding as the route cache (≈ 11 m)
+const COORD_PRECISION = 4;
+
+// Read lazily: this module is imported before dotenv runs in server.js
+const quoteTtlSeconds = () => parseInt(process.env.DELIVERY_QUOTE_TTL_SECONDS || '600', 10);
+
+// Own key, so a quote can never pass for a login token (and the other way round)
+const quoteSecret = () =>
+  process.env.DELIVERY_QUOTE_SECRET ||
+  crypto.createHmac('sha256', process.env.JWT_SECRET).update(AUDIENCE).digest('hex');
+
+const roundCoord = (value) => Number(parseFloat(value).toFixed(COORD_PRECISION));
+
+const slotKey = (scheduledFor) => (scheduledFor ? new Date(scheduledFor).getTime() : null);
+
+/**
+ * Sign a computeDeliveryFee() result for one restaurant, destination and slot.
+ * Returns { quoteToken, quoteExpiresAt }.
+ */
+export const signDeliveryQuote = (quote, { restaurantId, destination, scheduledFor }) => {
+  const ttl = quoteTtlSeconds();
+  const quoteToken = jwt.sign(
+    {
+      restaurantId: String(restaurantId),
+      lat: roundCoord(destination.lat),
+      lng: roundCoord(destination.lng),
+      vehicle: quote.vehicleType,
+      slot: slotKey(scheduledFor),
+      deliveryFee: quote.deliveryFee,
+      distanceKm: quote.distanceKm,
+      surge: quote.surge,
+    },
+    quoteSecret(),
+    { audience: AUDIENCE, expiresIn: ttl, algorithm: 'HS256' }
+  );
+  return { quoteToken, quoteExpiresAt: new Date(Date.now() + ttl * 1000) };
+};
+
+/**
+ * The quoted { deliveryFee, distanceKm, surge } when the token is valid for this order,
+ * null otherwise (expired, tampered with, or issued for another restaurant/address/vehicle/slot).
+ */
+export const verifyDeliveryQuote = (token, { restaurantId, destination, deliveryVehicle, scheduledFor }) => {
+  if (!token) return null;
+
+  let claims;
+  try {
+    claims = jwt.verify(token, quoteSecret(), { audience: AUDIENCE, algorithms: ['HS256'] });
+  } catch (error) {
+    console.log(`Delivery quote rejected: ${error.message}`);
+    return null;
+  }
+
+  const matches =
+    claims.restaurantId === String(restaurantId) &&
+    claims.lat === roundCoord(destination.lat) &&
+    claims.lng === roundCoord(destination.lng) &&
+    claims.vehicle === deliveryVehicle &&
+    claims.slot === slotKey(scheduledFor);
+  if (!matches) {
+    console.log('Delivery quote rejected: issued for a different order');
+    return null;
+  }
+
+  return { deliveryFee: claims.deliveryFee, distanceKm: claims.distanceKm, surge: claims.surge };
+};
@@ -0,0 +1,210 @@
+// utils/deliverySla.js
+// Pickup and delivery deadlines for the driver holding an order, and the watchdog enforcing them.
+// A driver who has not picked up by pickupDueAt is warned first, then taken off the order, which
+// goes back to the free drivers. Late drop-offs are only recorded: the food is already on its way.
+import { setInterval, clearInterval } from 'timers';
+import Order, { ORDER_STATUSES, DISPATCH_MODES, buildStatusHistoryEntry } from '../models/Order.js';
+import { notifyDeliveryGroup, notifyCustomer, sendToUser, activeDeliveryOrders } from '../socketServer.js';
+import { buildDeliveryMessage } from './driverDispatcher.js';
+import { endBreadcrumbTrail } from './locationBreadcrumbs.js';
+import { endEtaTracking } from './deliveryEta.js';
+import { syncBusyState, countShiftEvent, SHIFT_EVENTS } from './driverAvailability.js';
+
+const BATCH_SIZE = 100;
+const MINUTE_MS = 60 * 1000;
+
+// Read lazily: this module is imported before dotenv runs in server.js
+const pickupMinutes = () => parseFloat(process.env.DELIVERY_PICKUP_SLA_MINUTES || '20');
+// Drop-off deadline = route time + buffer, or the default when the route is unknown
+const deliveryBufferMinutes = () => parseFloat(process.env.DELIVERY_DROPOFF_SLA_BUFFER_MINUTES || '15');
+const deliveryDefaultMinutes = () => parseFloat(process.env.DELIVERY_DROPOFF_SLA_MINUTES || '45');
+// How long before the pickup deadline the driver is warned
+const warningMinutes = () => parseFloat(process.env.DELIVERY_SLA_WARNING_MINUTES || '5');
+const intervalSeconds = () => parseFloat(process.env.DELIVERY_SLA_CHECK_INTERVAL_SECONDS || '60');
+
+let timer = null;
+let checking = false;
+
+// Start the pickup clock; call before saving an accepted order
+export const startPickupSla = (order, now = new Date()) => {
+  order.deliverySla = {
+    acceptedAt: now,
+    pickupDueAt: new Date(now.getTime() + pickupMinutes() * MINUTE_MS),
+  };
+  return order;
+};
+
+// Start the drop-off clock; call before saving a picked-up order
+export const startDeliverySla = (order, now = new Date()) => {
+  const travelMinutes = order.eta?.routeSeconds
+    ? order.eta.routeSeconds / 60 + deliveryBufferMinutes()
+    : deliveryDefaultMinutes();
+  order.deliverySla = {
+    ...(order.deliverySla?.toObject?.() || order.deliverySla || {}),
+    pickedUpAt: now,
+    deliveryDueAt: new Date(now.getTime() + travelMinutes * MINUTE_MS),
+  };
+  return order;
+};
+
+// Late delivery goes on the driver's shift; call once the order is delivered
+export const recordDeliveryOutcome = (order) => {
+  if (order.deliverySla?.lateByMinutes && order.deliveryId) {
+    countShiftEvent(order.deliveryId, SHIFT_EVENTS.LateDelivery);
+  }
+};
+
+// Warn once per stage; the filter makes sure two instances do not both send it
+const warnDriver = async (order, stage) => {
+  const field = stage === 'pickup' ? 'deliverySla.pickupWarnedAt' : 'deliverySla.deliveryWarnedAt';
+  const claimed = await Order.updateOne(
+    { _id: order._id, deliveryId: order.deliveryId, [field]: null },
+    { $set: { [field]: new Date() } }
+  );
+  if (!claimed.modifiedCount) return false;
+
+  const dueAt = stage === 'pickup' ? order.deliverySla.pickupDueAt : order.deliverySla.deliveryDueAt;
+  sendToUser(order.deliveryId.toString(), 'deliverySlaWarning', {
+    orderId: order._id,
+    orderCode: order.orderCode,
+    stage,
+    dueAt,
+    message:
+      stage === 'pickup'
+        ? `Pick up order ${order.orderCode} by ${dueAt.toISOString()} or it will be reassigned.`
+        : `Order ${order.orderCode} is running late. Please deliver it as soon as possible.`,
+  });
+  return true;
+};
+
+/**
+ * Take an order away from a driver who missed the pickup deadline and send it
+ * back to the free drivers. Returns false when the driver picked it up meanwhile.
+ */
+export const reassignOrder = async (order, reason) => {
+  const deliveryId = order.deliveryId;
+  const result = await Order.updateOne(
+    { _id: order._id, deliveryId, orderStatus: ORDER_STATUSES.Cooked },
+    {
+      // $unset: getAvailableCookedOrders looks for orders without a deliveryId
+      $unset: { deliveryId: '', deliveryVerificationCode: '', deliverySla: '' },
+      $set: {
+        batchId: null,
+        // broadcast below, so the offer watchdog leaves it alone
+        'dispatch.mode': DISPATCH_MODES.Broadcast,
+        'dispatch.offeredTo': null,
+        'dispatch.offerExpiresAt': null,
+      },
+      $addToSet: { 'dispatch.declinedBy': deliveryId },
+      $push: {
+        reassignments: { deliveryId, reason, at: new Date() },
+        statusHistory: buildStatusHistoryEntry({
+          from: order.orderStatus,
+          status: ORDER_STATUSES.Cooked,
+          reason,
+        }),
+      },
+    }
+  );
+  if (!result.modifiedCount) return false;
+
+  await activeDeliveryOrders.remove(deliveryId, order._id);
+  endBreadcrumbTrail(order._id);
+  endEtaTracking(order._id);
+  countShiftEvent(deliveryId, SHIFT_EVENTS.Reassigned);
+  syncBusyState(deliveryId);
+
+  sendToUser(deliveryId.toString(), 'orderUnassigned', {
+    orderId: order._id,
+    orderCode: order.orderCode,
+    reason,
+  });
+  notifyCustomer(order.userId.toString(), {
+    type: 'driverReassigned',
+    orderId: order._id.toString(),
+    orderCode: order.orderCode,
+    message: `We are finding a new driver for your order ${order.orderCode}.`,
+  });
+  notifyDeliveryGroup(order.deliveryVehicle, buildDeliveryMessage(order));
+
+  console.log(`🔁 Order ${order.orderCode} taken from driver ${deliveryId}: ${reason}`);
+  return true;
+};
+
+/**
+ * One watchdog pass: warn drivers close to the pickup deadline, reassign the ones past it,
+ * and warn drivers whose drop-off is overdue.
+ */
+export const checkDeliverySlas = async () => {
+  if (checking) return { skipped: true };
+  checking = true;
+
+  const summary = { warned: 0, reassigned: 0, late: 0, errors: 0 };
+  const each = async (orders, handle, key) => {
+    for (const order of orders) {
+      try {
+        if (await handle(order)) summary[key] += 1;
+      } catch (error) {
+        summary.errors += 1;
+        console.error(`⚠️ SLA check failed for order ${order._id}:`, error.message);
+      }
+    }
+  };
+
+  try {
+    const now = new Date();
+    const assigned = { deliveryId: { $ne: null } };
+
+    const overduePickups = await Order.find({
+      ...assigned,
+      orderStatus: ORDER_STATUSES.Cooked,
+      'deliverySla.pickupDueAt': { $lte: now },
+    }).limit(BATCH_SIZE);
+    await each(
+      overduePickups,
+      (order) => reassignOrder(order, `Not picked up within ${pickupMinutes()} minutes of accepting`),
+      'reassigned'
+    );
+
+    const pickupsDueSoon = await Order.find({
+      ...assigned,
+      orderStatus: ORDER_STATUSES.Cooked,
+      'deliverySla.pickupDueAt': { $gt: now, $lte: new Date(now.getTime() + warningMinutes() * MINUTE_MS) },
+      'deliverySla.pickupWarnedAt': null,
+    }).limit(BATCH_SIZE);
+    await each(pickupsDueSoon, (order) => warnDriver(order, 'pickup'), 'warned');
+
+    const overdueDeliveries = await Order.find({
+      ...assigned,
+      orderStatus: ORDER_STATUSES.Delivering,
+      'deliverySla.deliveryDueAt': { $lte: now },
+      'deliverySla.deliveryWarnedAt': null,
+    }).limit(BATCH_SIZE);
+    await each(overdueDeliveries, (order) => warnDriver(order, 'delivery'), 'late');
+
+    if (summary.warned || summary.reassigned || summary.late || summary.errors) {
+      console.log('⏱️ Delivery SLA check:', summary);
+    }
+    return summary;
+  } catch (error) {
+    console.error('❌ Delivery SLA check failed:', error);
+    return summary;
+  } finally {
+    checking = false;
+  }
+};
+
+export const startDeliverySlaWatchdog = () => {
+  if (timer) return;
+  timer = setInterval(checkDeliverySlas, intervalSeconds() * 1000);
+  timer.unref();
+  console.log(
+    `⏱️ Delivery SLA watchdog running every ${intervalSeconds()} s (pickup ${pickupMinutes()} min)`
+  );
+};
+
+export const stopDeliverySlaWatchdog = () => {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+};
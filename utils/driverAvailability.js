@@ -0,0 +1,178 @@
+// utils/driverAvailability.js
+// Driver availability state machine and shift log.
+//   Offline ⇄ Online ⇄ OnBreak (driver), Online ⇄ Busy (server, while carrying orders)
+// Only Online drivers get broadcasts and nearest-driver offers (socketServer.js).
+import User from '../models/userModel.js';
+import Order from '../models/Order.js';
+import DriverShift, { DRIVER_AVAILABILITY, SHIFT_END_REASONS } from '../models/DriverShift.js';
+import { DRIVER_STATUSES } from '../models/DriverApplication.js';
+import AppError from './appError.js';
+import { BATCH_STATUSES } from './deliveryBatching.js';
+import { sendToUser } from '../socketServer.js';
+
+const { Offline, Online, OnBreak, Busy } = DRIVER_AVAILABILITY;
+
+const TRANSITIONS = {
+  [Offline]: [Online, Busy],
+  [Online]: [OnBreak, Busy, Offline],
+  [OnBreak]: [Online, Offline],
+  [Busy]: [Online],
+};
+
+// What a driver may ask for; Busy follows their orders
+export const SELECTABLE_AVAILABILITY = [Online, OnBreak, Offline];
+
+// Counters on the open shift (DriverShift.stats)
+export const SHIFT_EVENTS = {
+  OfferReceived: 'offersReceived',
+  OfferAccepted: 'offersAccepted',
+  OfferDeclined: 'offersDeclined',
+  OfferExpired: 'offersExpired',
+  OrderAccepted: 'ordersAccepted',
+  OrderDelivered: 'ordersDelivered',
+  LateDelivery: 'lateDeliveries',
+  Reassigned: 'reassignments',
+};
+
+// Drivers created before availability existed have no value yet
+const currentAvailability = (driver) => driver?.availability || Offline;
+
+// Start of the refusal message for drivers who are not Active
+const inactiveDriverMessage = (driver) =>
+  driver.driverStatus === DRIVER_STATUSES.Suspended
+    ? 'Your account is suspended. Renew your documents'
+    : 'Your driver application must be approved first. Submit your documents';
+
+const countActiveOrders = (deliveryId) =>
+  Order.countDocuments({ deliveryId, orderStatus: { $in: BATCH_STATUSES } });
+
+export const getOpenShift = (deliveryId) => DriverShift.findOne({ deliveryId, endedAt: null });
+
+// Shift bookkeeping for a transition that already happened on the user
+const recordShiftTransition = async (driver, from, to, at) => {
+  if (from === Offline) {
+    await DriverShift.updateMany(
+      { deliveryId: driver._id, endedAt: null },
+      { $set: { endedAt: at, endReason: SHIFT_END_REASONS.Superseded } }
+    );
+    await DriverShift.create({ deliveryId: driver._id, deliveryVehicle: driver.deliveryMethod, startedAt: at });
+    return;
+  }
+
+  const shift = await getOpenShift(driver._id);
+  if (!shift) return;
+
+  const openBreak = shift.breaks.find((b) => !b.endedAt);
+  if (openBreak && to !== OnBreak) openBreak.endedAt = at;
+  if (to === OnBreak) shift.breaks.push({ startedAt: at });
+  if (to === Offline) {
+    shift.endedAt = at;
+    shift.endReason = SHIFT_END_REASONS.WentOffline;
+  }
+  await shift.save();
+};
+
+/**
+ * Switch a driver to Online, OnBreak or Offline on their own request.
+ * Asking for Online while carrying orders lands on Busy. Throws AppError on a refused move.
+ * Returns { availability, availabilityChangedAt }.
+ */
+export const changeAvailability = async (deliveryId, requested) => {
+  if (!SELECTABLE_AVAILABILITY.includes(requested)) {
+    throw new AppError(`availability must be one of ${SELECTABLE_AVAILABILITY.join(', ')}`, 400);
+  }
+
+  const driver = await User.findById(deliveryId).select(
+    'role deliveryMethod availability availabilityChangedAt driverStatus'
+  );
+  if (!driver || driver.role !== 'Delivery_Person') throw new AppError('Delivery person not found', 404);
+  if (driver.driverStatus !== DRIVER_STATUSES.Active && requested !== Offline) {
+    throw new AppError(`${inactiveDriverMessage(driver)} to go online.`, 403);
+  }
+
+  const from = currentAvailability(driver);
+  const activeOrders = await countActiveOrders(deliveryId);
+  if (activeOrders && requested !== Online) {
+    throw new AppError('Deliver your active orders before going on a break or offline', 409);
+  }
+
+  const to = requested === Online && activeOrders ? Busy : requested;
+  if (from === to) {
+    return { availability: from, availabilityChangedAt: driver.availabilityChangedAt || null };
+  }
+  if (!TRANSITIONS[from].includes(to)) {
+    throw new AppError(`Cannot go from ${from} to ${to}`, 409);
+  }
+
+  const at = new Date();
+  // Compare-and-set, so two devices (or a concurrent Busy update) cannot both win
+  const updated = await User.updateOne(
+    { _id: deliveryId, availability: from === Offline ? { $in: [Offline, null] } : from },
+    { $set: { availability: to, availabilityChangedAt: at } }
+  );
+  if (!updated.modifiedCount) throw new AppError('Availability changed meanwhile, please retry', 409);
+
+  await recordShiftTransition(driver, from, to, at);
+  sendToUser(deliveryId.toString(), 'availabilityChanged', { availability: to, at });
+  console.log(`🚦 Driver ${deliveryId}: ${from} → ${to}`);
+
+  return { availability: to, availabilityChangedAt: at };
+};
+
+/**
+ * Move a driver between Online and Busy after they took or finished an order.
+ * Drivers on a break or offline are left alone. Never throws.
+ */
+export const syncBusyState = async (deliveryId) => {
+  try {
+    const busy = (await countActiveOrders(deliveryId)) > 0;
+    const [from, to] = busy ? [Online, Busy] : [Busy, Online];
+    const at = new Date();
+    const updated = await User.updateOne(
+      { _id: deliveryId, availability: from },
+      { $set: { availability: to, availabilityChangedAt: at } }
+    );
+    if (updated.modifiedCount) {
+      sendToUser(deliveryId.toString(), 'availabilityChanged', { availability: to, at });
+    }
+  } catch (error) {
+    console.error(`⚠️ Could not update availability of driver ${deliveryId}:`, error.message);
+  }
+};
+
+/**
+ * Why a driver may not accept orders right now, or null when they may
+ * (Online, or Busy with room in the batch, and Active).
+ */
+export const getAcceptRefusal = async (deliveryId) => {
+  const driver = await User.findById(deliveryId).select('availability driverStatus');
+  if (driver && driver.driverStatus !== DRIVER_STATUSES.Active) {
+    return `${inactiveDriverMessage(driver)} to accept orders.`;
+  }
+  return [Online, Busy].includes(currentAvailability(driver)) ? null : 'Go online to accept orders.';
+};
+
+// Of the given driver ids, those currently Online (and Active)
+export const filterOnlineDrivers = async (deliveryIds) => {
+  if (!deliveryIds.length) return new Set();
+  const drivers = await User.find({
+    _id: { $in: deliveryIds },
+    availability: Online,
+    driverStatus: DRIVER_STATUSES.Active,
+  })
+    .select('_id')
+    .lean();
+  return new Set(drivers.map((d) => d._id.toString()));
+};
+
+// Bump a counter on the driver's open shift. Never throws.
+export const countShiftEvent = async (deliveryId, event) => {
+  try {
+    await DriverShift.updateOne(
+      { deliveryId, endedAt: null },
+      { $inc: { [`stats.${event}`]: 1 } }
+    );
+  } catch (error) {
+    console.error(`⚠️ Could not record ${event} for driver ${deliveryId}:`, error.message);
+  }
+};
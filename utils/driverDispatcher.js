@@ -0,0 +1,273 @@
+// utils/driverDispatcher.js
+import { setTimeout, clearTimeout, setInterval, clearInterval } from 'timers';
+import Order, {
+  ORDER_STATUSES,
+  ORDER_TYPES,
+  DISPATCH_MODES,
+} from '../models/Order.js';
+import User from '../models/userModel.js';
+import { DRIVER_SCORE_PRIOR } from '../models/DriverRating.js';
+import { notifyDeliveryGroup, sendToUser, getFreeDrivers } from '../socketServer.js';
+import { getDistancesTo } from './routing/index.js';
+import { countShiftEvent, SHIFT_EVENTS } from './driverAvailability.js';
+
+// Read lazily: this module is imported before dotenv runs in server.js
+const dispatchMode = () =>
+  process.env.DISPATCH_MODE === DISPATCH_MODES.Nearest ? DISPATCH_MODES.Nearest : DISPATCH_MODES.Broadcast;
+const offerTimeoutSeconds = () => parseFloat(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS || '30');
+const maxOffers = () => parseInt(process.env.DISPATCH_MAX_OFFERS || '5', 10);
+// Extra meters a driver "is away" per star below 5 (0 = rank by distance only)
+const ratingPenaltyMeters = () => parseFloat(process.env.DISPATCH_RATING_PENALTY_METERS || '300');
+const offerCheckIntervalSeconds = () => parseFloat(process.env.DISPATCH_OFFER_CHECK_INTERVAL_SECONDS || '15');
+
+// How long past its deadline an offer may sit before the watchdog steps in
+// (the instance that made it normally handles it on time)
+const OFFER_GRACE_MS = 5 * 1000;
+
+// orderId -> timeout of the open offer. Only lives in this process: the offer
+// watchdog below catches offers whose timer was lost (restart, other instance).
+const offerTimers = new Map();
+
+let watchdogTimer = null;
+let checking = false;
+
+// What drivers see for a cooked order (broadcast message and offer payload)
+export const buildDeliveryMessage = (order) => ({
+  orderId: order._id,
+  orderCode: order.orderCode,
+  restaurantLocation: order.restaurantLocation,
+  restaurantName: order.restaurantName,
+  deliveryLocation: order.destinationLocation,
+  deliveryFee: order.deliveryFee,
+  deliverySurge: order.deliverySurge, // why the fee is above the usual tariff
+  tip: order.tip,
+  createdAt: order.createdAt,
+});
+
+// deliveryId -> driver score (customer ratings, see models/DriverRating.js)
+const loadDriverScores = async (drivers) => {
+  const users = await User.find({ _id: { $in: drivers.map(({ deliveryId }) => deliveryId) } })
+    .select('driverRating.score')
+    .lean();
+  return new Map(users.map((u) => [u._id.toString(), u.driverRating?.score ?? DRIVER_SCORE_PRIOR]));
+};
+
+/**
+ * Road distance (meters) from each driver to the restaurant, best first.
+ * One routing table request; the routing layer falls back to straight-line distance.
+ * Lower-rated drivers count as a little further away; drivers the router finds no road for go last.
+ */
+const rankByRoadDistance = async (restaurantLocation, drivers, vehicle) => {
+  const [{ distances }, scores] = await Promise.all([
+    getDistancesTo(
+      drivers.map(({ location }) => location),
+      restaurantLocation,
+      vehicle
+    ),
+    loadDriverScores(drivers),
+  ]);
+
+  return drivers
+    .map((driver, i) => {
+      const distanceMeters = distances[i] ?? Infinity;
+      const score = scores.get(driver.deliveryId) ?? DRIVER_SCORE_PRIOR;
+      return {
+        ...driver,
+        distanceMeters,
+        score,
+        rankMeters: distanceMeters + (5 - score) * ratingPenaltyMeters(),
+      };
+    })
+    .sort((a, b) => a.rankMeters - b.rankMeters);
+};
+
+const clearOfferTimer = (orderId) => {
+  const timer = offerTimers.get(orderId.toString());
+  if (timer) clearTimeout(timer);
+  offerTimers.delete(orderId.toString());
+};
+
+// Nobody (left) to offer to: let every free driver see it, first to accept wins
+const fallBackToBroadcast = async (order) => {
+  await Order.updateOne(
+    { _id: order._id },
+    {
+      $set: {
+        'dispatch.mode': DISPATCH_MODES.Broadcast,
+        'dispatch.offeredTo': null,
+        'dispatch.fellBackAt': new Date(),
+      },
+    }
+  );
+  notifyDeliveryGroup(order.deliveryVehicle, buildDeliveryMessage(order));
+  console.log(`📣 Order ${order.orderCode} fell back to broadcast dispatch`);
+};
+
+/**
+ * Offer the order to the nearest free driver who has not declined it yet.
+ * Falls back to broadcast once no candidate is left or the offer limit is hit.
+ */
+const offerToNextDriver = async (orderId) => {
+  const order = await Order.findOne({
+    _id: orderId,
+    orderStatus: ORDER_STATUSES.Cooked,
+    deliveryId: null,
+  });
+  if (!order) return; // accepted, cancelled or picked up meanwhile
+
+  const declined = new Set((order.dispatch?.declinedBy || []).map((id) => id.toString()));
+  const candidates = (await getFreeDrivers(order.deliveryVehicle)).filter(
+    ({ deliveryId, location }) => location && !declined.has(deliveryId)
+  );
+
+  if (!candidates.length || (order.dispatch?.attempts || 0) >= maxOffers()) {
+    return fallBackToBroadcast(order);
+  }
+
+  const [nearest] = await rankByRoadDistance(order.restaurantLocation, candidates, order.deliveryVehicle);
+  const expiresAt = new Date(Date.now() + offerTimeoutSeconds() * 1000);
+
+  // Only one offer open at a time; a concurrent acceptance wins
+  const claimed = await Order.updateOne(
+    { _id: order._id, deliveryId: null, 'dispatch.offeredTo': null },
+    {
+      $set: {
+        'dispatch.mode': DISPATCH_MODES.Nearest,
+        'dispatch.offeredTo': nearest.deliveryId,
+        'dispatch.offerExpiresAt': expiresAt,
+      },
+      $inc: { 'dispatch.attempts': 1 },
+    }
+  );
+  if (!claimed.modifiedCount) return;
+
+  sendToUser(nearest.deliveryId, 'deliveryOffer', {
+    ...buildDeliveryMessage(order),
+    distanceToRestaurantMeters: Math.round(nearest.distanceMeters),
+    expiresAt,
+  });
+  countShiftEvent(nearest.deliveryId, SHIFT_EVENTS.OfferReceived);
+  console.log(
+    `🎯 Offered order ${order.orderCode} to driver ${nearest.deliveryId} (${Math.round(nearest.distanceMeters)} m away)`
+  );
+
+  clearOfferTimer(order._id);
+  const timer = setTimeout(() => {
+    releaseOffer(order._id, nearest.deliveryId, 'expired').catch((err) =>
+      console.error(`⚠️ Could not expire offer for order ${order._id}:`, err.message)
+    );
+  }, offerTimeoutSeconds() * 1000);
+  timer.unref();
+  offerTimers.set(order._id.toString(), timer);
+};
+
+/**
+ * Close a driver's open offer (declined or timed out) and cascade to the next driver.
+ * Returns false when the driver held no open offer for the order.
+ */
+export const releaseOffer = async (orderId, deliveryId, reason = 'declined') => {
+  const result = await Order.updateOne(
+    { _id: orderId, deliveryId: null, 'dispatch.offeredTo': deliveryId },
+    {
+      $set: { 'dispatch.offeredTo': null, 'dispatch.offerExpiresAt': null, 'dispatch.releasedAt': new Date() },
+      $addToSet: { 'dispatch.declinedBy': deliveryId },
+    }
+  );
+  if (!result.modifiedCount) return false;
+
+  clearOfferTimer(orderId);
+  if (reason === 'expired') {
+    sendToUser(deliveryId, 'deliveryOfferExpired', { orderId });
+  }
+  countShiftEvent(
+    deliveryId,
+    reason === 'expired' ? SHIFT_EVENTS.OfferExpired : SHIFT_EVENTS.OfferDeclined
+  );
+  await offerToNextDriver(orderId);
+  return true;
+};
+
+// Stop the offer clock once a driver took the order
+export const settleOffer = (orderId) => clearOfferTimer(orderId);
+
+/**
+ * One pass over cooked, unassigned nearest-dispatch orders: expire offers past their
+ * deadline and restart cascades that stopped after a release (the process died in between).
+ * Safe on several instances: releaseOffer and the next offer are claimed atomically.
+ */
+export const checkStaleOffers = async () => {
+  if (checking) return { skipped: true };
+  checking = true;
+
+  const summary = { expired: 0, resumed: 0, errors: 0 };
+  try {
+    const overdue = new Date(Date.now() - OFFER_GRACE_MS);
+    const orders = await Order.find({
+      orderStatus: ORDER_STATUSES.Cooked,
+      deliveryId: null,
+      'dispatch.mode': DISPATCH_MODES.Nearest,
+      $or: [
+        { 'dispatch.offeredTo': { $ne: null }, 'dispatch.offerExpiresAt': { $lte: overdue } },
+        { 'dispatch.offeredTo': null, 'dispatch.releasedAt': { $lte: overdue } },
+      ],
+    })
+      .select('dispatch')
+      .lean();
+
+    for (const order of orders) {
+      try {
+        if (order.dispatch.offeredTo) {
+          if (await releaseOffer(order._id, order.dispatch.offeredTo, 'expired')) summary.expired += 1;
+        } else {
+          await offerToNextDriver(order._id);
+          summary.resumed += 1;
+        }
+      } catch (error) {
+        summary.errors += 1;
+        console.error(`⚠️ Could not check the offer of order ${order._id}:`, error.message);
+      }
+    }
+
+    if (summary.expired || summary.resumed || summary.errors) {
+      console.log('🎯 Stale offer check:', summary);
+    }
+    return summary;
+  } catch (error) {
+    console.error('❌ Stale offer check failed:', error);
+    return summary;
+  } finally {
+    checking = false;
+  }
+};
+
+export const startOfferWatchdog = () => {
+  if (watchdogTimer) return;
+  watchdogTimer = setInterval(checkStaleOffers, offerCheckIntervalSeconds() * 1000);
+  watchdogTimer.unref();
+  console.log(`🎯 Dispatch offer watchdog running every ${offerCheckIntervalSeconds()} s`);
+};
+
+export const stopOfferWatchdog = () => {
+  if (!watchdogTimer) return;
+  clearInterval(watchdogTimer);
+  watchdogTimer = null;
+};
+
+/**
+ * Send a freshly cooked delivery order to drivers, using the configured DISPATCH_MODE.
+ */
+export const dispatchCookedOrder = async (order) => {
+  if (order.typeOfOrder !== ORDER_TYPES.Delivery) return;
+
+  if (dispatchMode() === DISPATCH_MODES.Broadcast) {
+    notifyDeliveryGroup(order.deliveryVehicle, buildDeliveryMessage(order));
+    return;
+  }
+
+  try {
+    await offerToNextDriver(order._id);
+  } catch (error) {
+    console.error(`⚠️ Nearest-driver dispatch failed for order ${order._id}:`, error.message);
+    notifyDeliveryGroup(order.deliveryVehicle, buildDeliveryMessage(order));
+  }
+};
@@ -0,0 +1,215 @@
+// utils/driverDocuments.js
+// Driver document uploads, suspension / reinstatement, and the expiry job that suspends
+// drivers whose licence or registration ran out. Suspended drivers leave their vehicle's
+// broadcast room and cannot go online or accept orders (utils/driverAvailability.js).
+import { setInterval, clearInterval } from 'timers';
+import User from '../models/userModel.js';
+import DriverApplication, {
+  APPLICATION_STATUSES,
+  DOCUMENT_STATUSES,
+  DRIVER_DOCUMENT_TYPES,
+  DRIVER_STATUSES,
+  EXPIRING_DRIVER_DOCUMENTS,
+} from '../models/DriverApplication.js';
+import { DRIVER_AVAILABILITY } from '../models/DriverShift.js';
+import AppError from './appError.js';
+import { uploadImageToCloudinary } from './cloudinary.js';
+import { changeAvailability } from './driverAvailability.js';
+import { sendToUser, setDriverVehicleRoom } from '../socketServer.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Read lazily: this module is imported before dotenv runs in server.js
+const intervalMinutes = () => parseFloat(process.env.DRIVER_DOCUMENT_CHECK_INTERVAL_MINUTES || '60');
+const warningDays = () => parseFloat(process.env.DRIVER_DOCUMENT_WARNING_DAYS || '7');
+
+let timer = null;
+let checking = false;
+
+/**
+ * Upload the document images of a multipart request (one field per document type)
+ * with their expiry dates (expiresAt[License]=2027-01-31).
+ * Returns new document entries, Pending review.
+ */
+export const uploadDriverDocuments = async (userId, files = {}, expiries = {}) => {
+  const types = Object.values(DRIVER_DOCUMENT_TYPES).filter((type) => files[type]?.[0]);
+  if (!types.length) {
+    throw new AppError(`Upload at least one document: ${Object.values(DRIVER_DOCUMENT_TYPES).join(', ')}`, 400);
+  }
+
+  const entries = types.map((type) => {
+    const expiresAt = expiries[type] ? new Date(expiries[type]) : null;
+    if (expiresAt && isNaN(expiresAt.getTime())) {
+      throw new AppError(`expiresAt[${type}] must be a valid date`, 400);
+    }
+    if (EXPIRING_DRIVER_DOCUMENTS.includes(type) && !expiresAt) {
+      throw new AppError(`expiresAt[${type}] is required`, 400);
+    }
+    if (expiresAt && expiresAt <= new Date()) {
+      throw new AppError(`${type} has already expired`, 400);
+    }
+    return { type, expiresAt };
+  });
+
+  return Promise.all(
+    entries.map(async ({ type, expiresAt }) => {
+      const result = await uploadImageToCloudinary(files[type][0].buffer, {
+        folder: 'driver_documents',
+        publicId: `${userId}_${type}_${Date.now()}`,
+        width: 1600,
+        height: 1600,
+        quality: 85,
+        fit: 'inside',
+        type: 'authenticated',
+      });
+      return {
+        type,
+        publicId: result.public_id,
+        storageType: 'authenticated',
+        expiresAt,
+        status: DOCUMENT_STATUSES.Pending,
+        uploadedAt: new Date(),
+      };
+    })
+  );
+};
+
+/**
+ * Block a driver from new orders. Drivers in the middle of a delivery finish it first
+ * (they stay Busy until then, but get no broadcasts). Returns false if already suspended.
+ */
+export const suspendDriver = async (userId, reason) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, role: 'Delivery_Person', driverStatus: { $ne: DRIVER_STATUSES.Suspended } },
+    { $set: { driverStatus: DRIVER_STATUSES.Suspended, suspendedAt: new Date(), suspensionReason: reason } },
+    { new: true }
+  );
+  if (!user) return false;
+
+  setDriverVehicleRoom(user._id.toString(), user.deliveryMethod, false);
+  try {
+    await changeAvailability(user._id, DRIVER_AVAILABILITY.Offline);
+  } catch (error) {
+    console.log(`Driver ${user._id} stays ${user.availability} until their orders are delivered: ${error.message}`);
+  }
+  sendToUser(user._id.toString(), 'accountSuspended', { reason });
+  console.log(`⛔ Driver ${user._id} suspended: ${reason}`);
+  return true;
+};
+
+// Lift a suspension once every required document is valid again
+export const reinstateIfCompliant = async (application) => {
+  if (application.status !== APPLICATION_STATUSES.Approved || application.missingDocuments().length) {
+    return false;
+  }
+
+  const user = await User.findOneAndUpdate(
+    { _id: application.userId, driverStatus: DRIVER_STATUSES.Suspended },
+    {
+      $set: { driverStatus: DRIVER_STATUSES.Active },
+      $unset: { suspendedAt: '', suspensionReason: '' },
+    },
+    { new: true }
+  );
+  if (!user) return false;
+
+  setDriverVehicleRoom(user._id.toString(), user.deliveryMethod, true);
+  sendToUser(user._id.toString(), 'accountReinstated', {
+    message: 'Your documents are approved. You can go online again.',
+  });
+  console.log(`✅ Driver ${user._id} reinstated`);
+  return true;
+};
+
+const expireDocuments = async (application, now) => {
+  const expired = application.documents.filter(
+    (doc) => doc.status === DOCUMENT_STATUSES.Approved && doc.expiresAt && doc.expiresAt <= now
+  );
+  if (!expired.length) return false;
+
+  expired.forEach((doc) => {
+    doc.status = DOCUMENT_STATUSES.Expired;
+  });
+  await application.save();
+
+  const types = expired.map((doc) => doc.type).join(', ');
+  await suspendDriver(application.userId, `Expired document(s): ${types}`);
+  return true;
+};
+
+const warnAboutExpiry = async (application, now) => {
+  const soon = new Date(now.getTime() + warningDays() * DAY_MS);
+  const expiring = application.documents.filter(
+    (doc) =>
+      doc.status === DOCUMENT_STATUSES.Approved &&
+      doc.expiresAt &&
+      doc.expiresAt > now &&
+      doc.expiresAt <= soon &&
+      !doc.expiryWarnedAt
+  );
+  if (!expiring.length) return false;
+
+  expiring.forEach((doc) => {
+    doc.expiryWarnedAt = now;
+  });
+  await application.save();
+
+  sendToUser(application.userId.toString(), 'documentsExpiring', {
+    documents: expiring.map(({ type, expiresAt }) => ({ type, expiresAt })),
+    message: 'Upload renewed documents before they expire to keep receiving orders.',
+  });
+  return true;
+};
+
+// One pass: suspend drivers with expired documents, warn the ones expiring soon
+export const checkDriverDocuments = async () => {
+  if (checking) return { skipped: true };
+  checking = true;
+
+  const summary = { suspended: 0, warned: 0, errors: 0 };
+  try {
+    const now = new Date();
+    const applications = await DriverApplication.find({
+      status: APPLICATION_STATUSES.Approved,
+      documents: {
+        $elemMatch: {
+          status: DOCUMENT_STATUSES.Approved,
+          expiresAt: { $ne: null, $lte: new Date(now.getTime() + warningDays() * DAY_MS) },
+        },
+      },
+    });
+
+    for (const application of applications) {
+      try {
+        if (await expireDocuments(application, now)) summary.suspended += 1;
+        else if (await warnAboutExpiry(application, now)) summary.warned += 1;
+      } catch (error) {
+        summary.errors += 1;
+        console.error(`⚠️ Could not check documents of application ${application._id}:`, error.message);
+      }
+    }
+
+    if (summary.suspended || summary.warned || summary.errors) {
+      console.log('🪪 Driver document check:', summary);
+    }
+    return summary;
+  } catch (error) {
+    console.error('❌ Driver document check failed:', error);
+    return summary;
+  } finally {
+    checking = false;
+  }
+};
+
+export const startDriverDocumentChecker = () => {
+  if (timer) return;
+  timer = setInterval(checkDriverDocuments, intervalMinutes() * 60 * 1000);
+  timer.unref();
+  console.log(`🪪 Driver document checker running every ${intervalMinutes()} min`);
+};
+
+export const stopDriverDocumentChecker = () => {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+};
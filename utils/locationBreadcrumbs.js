@@ -0,0 +1,68 @@
+// utils/locationBreadcrumbs.js
+import { getDistance } from 'geolib';
+import LocationBreadcrumb from '../models/LocationBreadcrumb.js';
+
+// Read lazily: this module is imported before dotenv runs in server.js
+const minIntervalSeconds = () =>
+  parseFloat(process.env.BREADCRUMB_MIN_INTERVAL_SECONDS || '10');
+const minDistanceMeters = () =>
+  parseFloat(process.env.BREADCRUMB_MIN_DISTANCE_METERS || '25');
+// A driver standing still still leaves a point this often
+const maxGapSeconds = () => parseFloat(process.env.BREADCRUMB_MAX_GAP_SECONDS || '120');
+
+// orderId -> last stored point { lat, lng, at }
+const lastStored = new Map();
+
+/**
+ * Downsampling: keep a point when the driver moved far enough since the last
+ * stored one, or when too long has passed; never more often than the min interval.
+ */
+const shouldStore = (previous, point) => {
+  if (!previous) return true;
+  const elapsed = (point.at - previous.at) / 1000;
+  if (elapsed < minIntervalSeconds()) return false;
+  if (elapsed >= maxGapSeconds()) return true;
+
+  const moved = getDistance(
+    { latitude: previous.lat, longitude: previous.lng },
+    { latitude: point.lat, longitude: point.lng }
+  );
+  return moved >= minDistanceMeters();
+};
+
+/**
+ * Store a driver's GPS point against the order they are working on.
+ * Fire-and-forget from the socket handlers: failures are logged, never thrown.
+ */
+export const recordBreadcrumb = async ({ orderId, deliveryId, location }) => {
+  const key = orderId.toString();
+  const point = {
+    lat: parseFloat(location.latitude),
+    lng: parseFloat(location.longitude),
+    at: new Date(),
+  };
+  if (!shouldStore(lastStored.get(key), point)) return false;
+  lastStored.set(key, point);
+
+  try {
+    const reportedAt = location.timestamp ? new Date(location.timestamp) : null;
+    await LocationBreadcrumb.create({
+      orderId,
+      deliveryId,
+      location: { type: 'Point', coordinates: [point.lng, point.lat] },
+      accuracy: location.accuracy != null ? parseFloat(location.accuracy) : undefined,
+      // trust the device clock only when it is sane
+      recordedAt:
+        reportedAt && !isNaN(reportedAt) && Math.abs(reportedAt - point.at) < 5 * 60 * 1000
+          ? reportedAt
+          : point.at,
+    });
+    return true;
+  } catch (err) {
+    console.error(`⚠️ Could not store breadcrumb for order ${key}:`, err.message);
+    return false;
+  }
+};
+
+// Forget the downsampling state once the trip is over
+export const endBreadcrumbTrail = (orderId) => lastStored.delete(orderId.toString());
@@ -0,0 +1,139 @@
+// utils/openingHours.js
+/* global Intl */
+// Weekly opening hours evaluated in the restaurant's own time zone.
+//
+// schedule = {
+//   timezone: 'Africa/Addis_Ababa',
+//   openingHours: [{ day: 1, opens: '08:00', closes: '14:30' }, ...], // day 0 = Sunday, several shifts per day allowed
+//   scheduleExceptions: [{ date: '2026-01-07', shifts: [] }],         // holiday / special hours, [] = closed all day
+// }
+// A shift whose closing time is not after its opening time runs past midnight.
+
+export const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+export const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const MINUTES_PER_DAY = 24 * 60;
+const LOOKAHEAD_DAYS = 14;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const getDefaultTimeZone = () => process.env.BUSINESS_TIMEZONE || 'Africa/Addis_Ababa';
+
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const toMinutes = (hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+};
+
+// Wall-clock parts of `date` in `timeZone`
+const getLocalParts = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short',
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  );
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+  };
+};
+
+// Local calendar day `offset` days from the given one (DST-safe, works on the calendar only)
+const shiftDay = ({ year, month, day }, offset) => {
+  const d = new Date(Date.UTC(year, month - 1, day + offset));
+  const y = d.getUTCFullYear();
+  const m = String(d.getUTCMonth() + 1).padStart(2, '0');
+  const dd = String(d.getUTCDate()).padStart(2, '0');
+  return {
+    year: y,
+    month: d.getUTCMonth() + 1,
+    day: d.getUTCDate(),
+    weekday: d.getUTCDay(),
+    dateKey: `${y}-${m}-${dd}`,
+  };
+};
+
+// UTC instant of a local wall-clock time in `timeZone`
+const toInstant = ({ year, month, day }, minutes, timeZone) => {
+  const asUtc = Date.UTC(year, month - 1, day, 0, minutes);
+  const local = getLocalParts(new Date(asUtc), timeZone);
+  const localAsUtc = Date.UTC(local.year, local.month - 1, local.day, 0, local.minutes);
+  return new Date(asUtc - (localAsUtc - asUtc));
+};
+
+// Shifts of one local day, exceptions first
+const getShifts = (schedule, { dateKey, weekday }) => {
+  const exception = (schedule.scheduleExceptions || []).find((e) => e.date === dateKey);
+  if (exception) return exception.shifts || [];
+  return (schedule.openingHours || []).filter((s) => s.day === weekday);
+};
+
+const shiftRange = (shift) => {
+  const opens = toMinutes(shift.opens);
+  let closes = toMinutes(shift.closes);
+  if (closes <= opens) closes += MINUTES_PER_DAY; // past midnight
+  return { opens, closes };
+};
+
+/**
+ * Whether the schedule is open at `date`.
+ * Yesterday's overnight shifts count for the early hours of today.
+ */
+export const isOpenAt = (schedule, date = new Date()) => {
+  const timeZone = schedule.timezone || getDefaultTimeZone();
+  const today = getLocalParts(date, timeZone);
+  const yesterday = shiftDay(today, -1);
+
+  const openToday = getShifts(schedule, today).some((shift) => {
+    const { opens, closes } = shiftRange(shift);
+    return today.minutes >= opens && today.minutes < closes;
+  });
+  if (openToday) return true;
+
+  return getShifts(schedule, yesterday).some((shift) => {
+    const { closes } = shiftRange(shift);
+    return closes > MINUTES_PER_DAY && today.minutes < closes - MINUTES_PER_DAY;
+  });
+};
+
+// Next time the schedule opens after `date`, null when nothing opens within two weeks
+export const nextOpeningAt = (schedule, date = new Date()) => {
+  const timeZone = schedule.timezone || getDefaultTimeZone();
+  const today = getLocalParts(date, timeZone);
+
+  for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset += 1) {
+    const day = shiftDay(today, offset);
+    const opening = getShifts(schedule, day)
+      .map((shift) => toMinutes(shift.opens))
+      .filter((opens) => offset > 0 || opens > today.minutes)
+      .sort((a, b) => a - b)[0];
+
+    if (opening !== undefined) return toInstant(day, opening, timeZone);
+  }
+  return null;
+};
+
+export const getOpeningStatus = (schedule, date = new Date()) => {
+  const isOpenNow = isOpenAt(schedule, date);
+  return { isOpenNow, nextOpensAt: isOpenNow ? null : nextOpeningAt(schedule, date) };
+};
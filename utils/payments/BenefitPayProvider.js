@@ -0,0 +1,160 @@
+import axios from "axios";
+import crypto from "crypto";
+
+// BHD is quoted to three decimals (fils)
+const formatAmount = (amount, currency) =>
+  Number(amount).toFixed(currency === "BHD" ? 3 : 2);
+
+const PAID_STATUSES = ["CAPTURED", "PAID", "SUCCESS"];
+
+/**
+ * BenefitPayProvider
+ * Hosted card/BenefitPay checkout for Bahrain, talking to the acquiring
+ * gateway's REST API (BENEFITPAY_API_URL). Webhooks are signed with an
+ * HMAC-SHA256 of the raw body in the `x-signature` header.
+ */
+class BenefitPayProvider {
+  constructor() {
+    this.name = "benefitpay";
+    this.txRefPrefix = "BPAY";
+  }
+
+  // Read lazily: providers are built before dotenv runs in server.js
+  get baseUrl() {
+    return process.env.BENEFITPAY_API_URL;
+  }
+
+  get headers() {
+    return {
+      Authorization: `Bearer ${process.env.BENEFITPAY_API_KEY}`,
+      "Content-Type": "application/json",
+    };
+  }
+
+  callbackUrl() {
+    return `${process.env.SERVER_URL}/api/v1/orders/payment-callback/${this.name}`;
+  }
+
+  async initialize({ amount, currency, txRef, user, description }) {
+    const response = await axios.post(
+      `${this.baseUrl}/charges`,
+      {
+        amount: formatAmount(amount, currency),
+        currency,
+        reference: txRef,
+        description: description || `Order ${txRef}`,
+        customer: {
+          first_name: user?.firstName || "Customer",
+          phone: user?.phone,
+        },
+        source: process.env.BENEFITPAY_SOURCE || "src_all", // BenefitPay + cards
+        redirect_url: this.callbackUrl(),
+        webhook_url: `${process.env.SERVER_URL}/api/v1/orders/payment-webhook/${this.name}`,
+      },
+      { headers: this.headers }
+    );
+
+    return { checkoutUrl: response.data.checkout_url, txRef };
+  }
+
+  async verify(txRef) {
+    const response = await axios.get(`${this.baseUrl}/charges/${txRef}`, {
+      headers: this.headers,
+    });
+    const data = response.data || {};
+
+    return {
+      paid: PAID_STATUSES.includes(String(data.status).toUpperCase()),
+      amount: Number(data.amount),
+      currency: String(data.currency || "").toUpperCase(),
+      reference: data.id,
+      method: data.source?.payment_method || data.payment_method,
+      type: "WEB",
+      raw: data,
+    };
+  }
+
+  async refund({ txRef, amount, reason, reference }) {
+    const charge = await this.verify(txRef);
+    const response = await axios.post(
+      `${this.baseUrl}/refunds`,
+      {
+        charge_id: charge.reference,
+        amount: formatAmount(amount, charge.currency),
+        currency: charge.currency,
+        reason,
+        reference,
+      },
+      { headers: this.headers }
+    );
+    return response.data;
+  }
+
+  async payout({ accountName, accountNumber, amount, currency, bankCode, reference }) {
+    const response = await axios.post(
+      `${this.baseUrl}/payouts`,
+      {
+        beneficiary: { name: accountName, iban: accountNumber, bank_code: bankCode },
+        amount: formatAmount(amount, currency),
+        currency,
+        reference,
+      },
+      { headers: this.headers }
+    );
+    return response.data;
+  }
+
+  async verifyPayout(reference) {
+    const response = await axios.get(`${this.baseUrl}/payouts/${reference}`, {
+      headers: this.headers,
+    });
+    const status = String(response.data?.status).toUpperCase();
+    if (["PAID", "SUCCESS", "COMPLETED"].includes(status)) return "success";
+    if (["FAILED", "CANCELLED", "REJECTED"].includes(status)) return "failed";
+    return "pending";
+  }
+
+  async getBalance(currency) {
+    const response = await axios.get(`${this.baseUrl}/balance`, { headers: this.headers });
+    const balance = (response.data?.balances || []).find((b) => b.currency === currency);
+
+    if (!balance) throw new Error(`${currency} balance not found on BenefitPay`);
+    return {
+      available: Number(balance.available || 0),
+      ledger: Number(balance.total || balance.available || 0),
+    };
+  }
+
+  async listPayoutBanks() {
+    const response = await axios.get(`${this.baseUrl}/banks`, { headers: this.headers });
+    return response.data?.banks || [];
+  }
+
+  parseCallback(query) {
+    return { txRef: query.reference || query.tx_ref, success: true };
+  }
+
+  parseWebhook(req) {
+    const secret = process.env.BENEFITPAY_WEBHOOK_SECRET;
+    const signature = req.headers["x-signature"];
+    if (!signature) return { valid: false, message: "Missing signature" };
+    if (!secret || !req.rawBody) return { valid: false, message: "Invalid signature" };
+
+    const expected = Buffer.from(
+      crypto.createHmac("sha256", secret).update(req.rawBody).digest("hex")
+    );
+    const received = Buffer.from(String(signature).toLowerCase());
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+      return { valid: false, message: "Invalid signature" };
+    }
+
+    return {
+      valid: true,
+      txRef: req.body.reference,
+      event: req.body.event || "charge.updated",
+      success: PAID_STATUSES.includes(String(req.body.status).toUpperCase()),
+    };
+  }
+}
+
+export default BenefitPayProvider;
@@ -0,0 +1,102 @@
+/**
+ * FakePaymentProvider
+ * In-process gateway for local runs and tests. Checkouts "complete" when the
+ * callback URL is hit with ?status=success, or when a test calls complete().
+ * Refused by getPaymentProvider() in production.
+ */
+class FakePaymentProvider {
+  constructor() {
+    this.name = "fake";
+    this.txRefPrefix = "FAKE";
+    this.charges = new Map();
+    this.refunds = [];
+    this.payouts = new Map();
+    this.balances = new Map();
+  }
+
+  callbackUrl() {
+    return `${process.env.SERVER_URL}/api/v1/orders/payment-callback/${this.name}`;
+  }
+
+  async initialize({ amount, currency, txRef }) {
+    this.charges.set(txRef, { amount: Number(amount), currency, status: "pending" });
+    return {
+      checkoutUrl: `${this.callbackUrl()}?tx_ref=${encodeURIComponent(txRef)}&status=success`,
+      txRef,
+    };
+  }
+
+  // Test helper: settle a checkout, optionally with a different amount/currency
+  complete(txRef, overrides = {}) {
+    const charge = this.charges.get(txRef);
+    if (!charge) throw new Error(`Unknown fake charge ${txRef}`);
+    Object.assign(charge, { status: "paid" }, overrides);
+    return charge;
+  }
+
+  async verify(txRef) {
+    const charge = this.charges.get(txRef);
+    if (!charge) {
+      const error = new Error(`Unknown fake charge ${txRef}`);
+      error.response = { status: 404, data: { message: "Invalid transaction" } };
+      throw error;
+    }
+
+    return {
+      paid: charge.status === "paid",
+      amount: charge.amount,
+      currency: charge.currency,
+      reference: `fake-${txRef}`,
+      method: "fake",
+      type: "API",
+      raw: { ...charge },
+    };
+  }
+
+  async refund({ txRef, amount, reason, reference }) {
+    const refund = { txRef, amount: Number(amount), reason, reference };
+    this.refunds.push(refund);
+    return { status: "success", data: refund };
+  }
+
+  async payout({ amount, currency, reference, ...beneficiary }) {
+    this.payouts.set(reference, { amount: Number(amount), currency, beneficiary, status: "success" });
+    return { status: "success", data: { reference } };
+  }
+
+  async verifyPayout(reference) {
+    return this.payouts.get(reference)?.status || "pending";
+  }
+
+  // Test helper
+  setBalance(currency, available) {
+    this.balances.set(currency, Number(available));
+  }
+
+  async getBalance(currency) {
+    const available = this.balances.has(currency) ? this.balances.get(currency) : Number.MAX_SAFE_INTEGER;
+    return { available, ledger: available };
+  }
+
+  async listPayoutBanks() {
+    return [{ id: "fake", name: "Fake Bank" }];
+  }
+
+  parseCallback(query) {
+    const txRef = query.tx_ref;
+    const success = query.status === "success";
+    if (success && this.charges.get(txRef)?.status === "pending") this.complete(txRef);
+    return { txRef, success };
+  }
+
+  parseWebhook(req) {
+    return {
+      valid: true,
+      txRef: req.body.tx_ref,
+      event: req.body.event || "charge.success",
+      success: req.body.status === "success",
+    };
+  }
+}
+
+export default FakePaymentProvider;
@@ -0,0 +1,66 @@
+// utils/payments/index.js
+import ChapaProvider from "./ChapaProvider.js";
+import BenefitPayProvider from "./BenefitPayProvider.js";
+import FakePaymentProvider from "./FakePaymentProvider.js";
+
+/**
+ * Every provider implements:
+ *   initialize({ amount, currency, txRef, user, description }) → { checkoutUrl, txRef }
+ *   verify(txRef)            → { paid, amount, currency, reference, method, type, raw }
+ *   refund({ txRef, amount, reason, reference })
+ *   payout({ accountName, accountNumber, amount, currency, bankCode, reference })
+ *   verifyPayout(reference)  → "success" | "failed" | "pending"
+ *   getBalance(currency)     → { available, ledger }
+ *   listPayoutBanks()
+ *   parseCallback(query) / parseWebhook(req) → { txRef, success, ... }
+ */
+const providers = new Map();
+
+const register = (provider) => providers.set(provider.name, provider);
+
+register(new ChapaProvider());
+register(new BenefitPayProvider());
+register(new FakePaymentProvider());
+
+// ETB → Chapa, BHD → BenefitPay unless PAYMENT_PROVIDERS says otherwise
+const DEFAULT_CURRENCY_PROVIDERS = {
+  ETB: "chapa",
+  USD: "chapa",
+  BHD: "benefitpay",
+};
+
+// PAYMENT_PROVIDERS="ETB:chapa,BHD:benefitpay"
+const currencyProviders = () => {
+  const map = { ...DEFAULT_CURRENCY_PROVIDERS };
+  (process.env.PAYMENT_PROVIDERS || "")
+    .split(",")
+    .map((pair) => pair.split(":").map((s) => s.trim()))
+    .filter(([currency, name]) => currency && name)
+    .forEach(([currency, name]) => {
+      map[currency.toUpperCase()] = name.toLowerCase();
+    });
+  return map;
+};
+
+export const getPaymentProvider = (name) => {
+  const provider = providers.get(String(name || "").toLowerCase());
+  if (!provider) throw new Error(`Unknown payment provider "${name}"`);
+  // Checked here, not at import: NODE_ENV may come from .env, loaded after imports
+  if (provider.name === "fake" && process.env.NODE_ENV === "production") {
+    throw new Error("The fake payment provider is disabled in production");
+  }
+  return provider;
+};
+
+export const getProviderForCurrency = (currency) => {
+  // PAYMENT_PROVIDER_OVERRIDE=fake routes every currency to one provider (local runs)
+  const name = process.env.PAYMENT_PROVIDER_OVERRIDE || currencyProviders()[String(currency).toUpperCase()];
+  if (!name) throw new Error(`No payment provider configured for ${currency}`);
+  return getPaymentProvider(name);
+};
+
+// The currency new orders are priced and charged in
+export const getOrderCurrency = () => (process.env.ORDER_CURRENCY || "ETB").toUpperCase();
+
+// The currency wallets are paid out in
+export const getPayoutCurrency = () => (process.env.PAYOUT_CURRENCY || getOrderCurrency()).toUpperCase();
@@ -0,0 +1,47 @@
+import { getDistance } from "geolib";
+import { DELIVERY_VEHICLES } from "../../models/Order.js";
+
+// Average city speeds used to turn the estimated road distance into a travel time (km/h)
+const AVERAGE_SPEED_KMH = {
+  [DELIVERY_VEHICLES.Car]: 25,
+  [DELIVERY_VEHICLES.Motorcycle]: 30,
+  [DELIVERY_VEHICLES.Bicycle]: 12,
+};
+
+/**
+ * HaversineRoutingProvider
+ * Straight-line (great-circle) distance times a road factor, no network involved.
+ * Used when the routing server is down, or for every request with ROUTING_PROVIDER=haversine.
+ */
+class HaversineRoutingProvider {
+  constructor() {
+    this.name = "haversine";
+  }
+
+  // Roads are rarely straight: ~1.3× the crow-flies distance in a typical city grid
+  get roadFactor() {
+    return parseFloat(process.env.ROUTING_ROAD_FACTOR || "1.3");
+  }
+
+  distance(from, to) {
+    return (
+      getDistance({ latitude: from.lat, longitude: from.lng }, { latitude: to.lat, longitude: to.lng }) *
+      this.roadFactor
+    );
+  }
+
+  async route(points, vehicle) {
+    let distanceMeters = 0;
+    for (let i = 1; i < points.length; i += 1) {
+      distanceMeters += this.distance(points[i - 1], points[i]);
+    }
+    const speedKmh = AVERAGE_SPEED_KMH[vehicle] || AVERAGE_SPEED_KMH[DELIVERY_VEHICLES.Motorcycle];
+    return { distanceMeters, durationSeconds: (distanceMeters / 1000 / speedKmh) * 3600 };
+  }
+
+  async distancesTo(origins, destination) {
+    return origins.map((origin) => this.distance(origin, destination));
+  }
+}
+
+export default HaversineRoutingProvider;
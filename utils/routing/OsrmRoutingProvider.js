@@ -0,0 +1,63 @@
+import axios from "axios";
+import { DELIVERY_VEHICLES } from "../../models/Order.js";
+
+const PUBLIC_OSRM_URL = "https://router.project-osrm.org";
+
+/**
+ * OsrmRoutingProvider
+ * Road distances and travel times from an OSRM server. Defaults to the public
+ * demo server; point OSRM_BASE_URL at a self-hosted instance in production.
+ */
+class OsrmRoutingProvider {
+  constructor() {
+    this.name = "osrm";
+  }
+
+  // Read lazily: providers are built before dotenv runs in server.js
+  get baseUrl() {
+    return (process.env.OSRM_BASE_URL || PUBLIC_OSRM_URL).replace(/\/+$/, "");
+  }
+
+  get timeout() {
+    return parseInt(process.env.OSRM_TIMEOUT_MS || "5000", 10);
+  }
+
+  // OSRM profiles: driving, bike, foot
+  profile(vehicle) {
+    return vehicle === DELIVERY_VEHICLES.Bicycle ? "bike" : "driving";
+  }
+
+  // OSRM takes lng,lat pairs separated by ";"
+  coordinates(points) {
+    return points.map(({ lat, lng }) => `${lng},${lat}`).join(";");
+  }
+
+  // Route through `points` in order → { distanceMeters, durationSeconds }
+  async route(points, vehicle) {
+    const { data } = await axios.get(
+      `${this.baseUrl}/route/v1/${this.profile(vehicle)}/${this.coordinates(points)}?overview=false`,
+      { timeout: this.timeout }
+    );
+    const route = data?.routes?.[0];
+    if (!route || !(route.distance > 0)) {
+      throw new Error(`OSRM returned no route (${data?.code || "no response"})`);
+    }
+    return { distanceMeters: route.distance, durationSeconds: route.duration };
+  }
+
+  // Road distance (meters) from each origin to one destination, in one request
+  async distancesTo(origins, destination, vehicle) {
+    const sources = origins.map((_, i) => i + 1).join(";");
+    const { data } = await axios.get(
+      `${this.baseUrl}/table/v1/${this.profile(vehicle)}/${this.coordinates([destination, ...origins])}` +
+        `?sources=${sources}&destinations=0&annotations=distance`,
+      { timeout: this.timeout }
+    );
+    if (!Array.isArray(data?.distances)) {
+      throw new Error(`OSRM returned no distance table (${data?.code || "no response"})`);
+    }
+    return data.distances.map((row) => row[0]);
+  }
+}
+
+export default OsrmRoutingProvider;
@@ -0,0 +1,109 @@
+// utils/routing/index.js
+import OsrmRoutingProvider from "./OsrmRoutingProvider.js";
+import HaversineRoutingProvider from "./HaversineRoutingProvider.js";
+
+/**
+ * Every provider implements:
+ *   route(points, vehicle)                      → { distanceMeters, durationSeconds }
+ *   distancesTo(origins, destination, vehicle)  → [meters, ...] (same order as origins)
+ * Points are { lat, lng }. Results say which provider produced them in `method`.
+ */
+const providers = new Map();
+
+const register = (provider) => providers.set(provider.name, provider);
+
+register(new OsrmRoutingProvider());
+register(new HaversineRoutingProvider());
+
+const fallback = providers.get("haversine");
+
+// ROUTING_PROVIDER=osrm (default) | haversine
+export const getRoutingProvider = () => {
+  const name = String(process.env.ROUTING_PROVIDER || "osrm").toLowerCase();
+  const provider = providers.get(name);
+  if (!provider) throw new Error(`Unknown routing provider "${name}"`);
+  return provider;
+};
+
+// ================= Route cache =================
+// Keyed by coordinates rounded to ROUTE_CACHE_PRECISION decimals (4 ≈ 11 m), so
+// repeated quotes for the same restaurant and address don't hit the routing server.
+const routeCache = new Map();
+const MAX_CACHED_ROUTES = 2000;
+
+const cachePrecision = () => parseInt(process.env.ROUTE_CACHE_PRECISION || "4", 10);
+const cacheTtlMs = () => parseFloat(process.env.ROUTE_CACHE_TTL_SECONDS || "3600") * 1000;
+
+const cacheKey = (providerName, points, vehicle) =>
+  [
+    providerName,
+    vehicle || "",
+    ...points.map(({ lat, lng }) => `${lat.toFixed(cachePrecision())},${lng.toFixed(cachePrecision())}`),
+  ].join("|");
+
+const readCache = (key) => {
+  const entry = routeCache.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    routeCache.delete(key);
+    return null;
+  }
+  return entry.value;
+};
+
+const writeCache = (key, value) => {
+  // Maps keep insertion order: drop the oldest entry once full
+  if (routeCache.size >= MAX_CACHED_ROUTES) routeCache.delete(routeCache.keys().next().value);
+  routeCache.set(key, { value, expiresAt: Date.now() + cacheTtlMs() });
+};
+
+// Accepts { lat, lng }, { latitude, longitude } or a GeoJSON Point
+export const toLatLng = (point) => {
+  const [lng, lat] = point.coordinates || [
+    point.lng ?? point.longitude,
+    point.lat ?? point.latitude,
+  ];
+  return { lat: parseFloat(lat), lng: parseFloat(lng) };
+};
+
+/**
+ * Road route through `points` in order: { distanceMeters, durationSeconds, method }.
+ * Falls back to the haversine estimate when the configured provider fails; only
+ * answers from the configured provider are cached, so it is retried next time.
+ */
+export const getRoute = async (points, vehicle) => {
+  const waypoints = points.map(toLatLng);
+  const provider = getRoutingProvider();
+  const key = cacheKey(provider.name, waypoints, vehicle);
+
+  const cached = readCache(key);
+  if (cached) return cached;
+
+  try {
+    const result = { ...(await provider.route(waypoints, vehicle)), method: provider.name };
+    writeCache(key, result);
+    return result;
+  } catch (error) {
+    if (provider === fallback) throw error;
+    console.error(`⚠️ ${provider.name} route failed, using straight-line estimate:`, error.message);
+    return { ...(await fallback.route(waypoints, vehicle)), method: fallback.name };
+  }
+};
+
+/**
+ * Road distance (meters) from each origin to one destination: { distances, method }.
+ * Not cached: origins are moving drivers.
+ */
+export const getDistancesTo = async (origins, destination, vehicle) => {
+  const from = origins.map(toLatLng);
+  const to = toLatLng(destination);
+  const provider = getRoutingProvider();
+
+  try {
+    return { distances: await provider.distancesTo(from, to, vehicle), method: provider.name };
+  } catch (error) {
+    if (provider === fallback) throw error;
+    console.error(`⚠️ ${provider.name} distance table failed, using straight-line estimate:`, error.message);
+    return { distances: await fallback.distancesTo(from, to, vehicle), method: fallback.name };
+  }
+};
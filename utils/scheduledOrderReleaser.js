@@ -0,0 +1,107 @@
+// utils/scheduledOrderReleaser.js
+import { setInterval, clearInterval } from 'timers';
+import Order, { ORDER_STATUSES } from '../models/Order.js';
+import Restaurant from '../models/restaurantModel.js';
+import { notifyRestaurantManager } from '../socketServer.js';
+
+const BATCH_SIZE = 100;
+
+// Read lazily: this module is imported before dotenv runs in server.js
+const kitchenLeadMinutes = () =>
+  parseFloat(process.env.SCHEDULED_ORDER_KITCHEN_LEAD_MINUTES || '45');
+const intervalSeconds = () =>
+  parseFloat(process.env.SCHEDULED_ORDER_RELEASE_INTERVAL_SECONDS || '60');
+
+let timer = null;
+let releasing = false;
+
+// ASAP orders are always due; scheduled ones once their slot is within the kitchen lead time
+export const isDueForKitchen = (order, now = new Date()) =>
+  !order.scheduledFor ||
+  order.scheduledFor.getTime() - kitchenLeadMinutes() * 60 * 1000 <= now.getTime();
+
+/**
+ * Hand a confirmed order to the kitchen: stamp releasedToKitchenAt and send the
+ * manager the `newOrder` event. The stamp is claimed atomically so the manager
+ * is notified once even if the releaser and a payment webhook race.
+ */
+export const releaseToKitchen = async (order) => {
+  const result = await Order.updateOne(
+    { _id: order._id, releasedToKitchenAt: null },
+    { $set: { releasedToKitchenAt: new Date() } }
+  );
+  if (!result.modifiedCount) return false;
+
+  const restaurant = await Restaurant.findById(order.restaurantId);
+  if (restaurant?.managerId) {
+    await notifyRestaurantManager(restaurant.managerId, {
+      orderId: order._id,
+      totalPrice: order.foodTotal,
+      orderCode: order.orderCode,
+      typeOfOrder: order.typeOfOrder,
+      paymentMethod: order.paymentMethod,
+      scheduledFor: order.scheduledFor,
+      createdAt: order.createdAt,
+    });
+    console.log(`📢 Notified manager ${restaurant.managerId} about order ${order.orderCode}`);
+  } else {
+    console.log(`⚠️ Restaurant ${order.restaurantId} has no manager assigned`);
+  }
+  return true;
+};
+
+/**
+ * Release every confirmed scheduled order whose slot is now within the kitchen lead time.
+ * The default paid filter keeps unpaid online checkouts out.
+ */
+export const releaseScheduledOrders = async () => {
+  if (releasing) return { skipped: true };
+  releasing = true;
+
+  const summary = { checked: 0, released: 0, errors: 0 };
+  try {
+    const dueBefore = new Date(Date.now() + kitchenLeadMinutes() * 60 * 1000);
+    const orders = await Order.find({
+      orderStatus: ORDER_STATUSES.Pending,
+      scheduledFor: { $ne: null, $lte: dueBefore },
+      releasedToKitchenAt: null,
+    })
+      .sort({ scheduledFor: 1 })
+      .limit(BATCH_SIZE);
+
+    for (const order of orders) {
+      summary.checked += 1;
+      try {
+        if (await releaseToKitchen(order)) summary.released += 1;
+      } catch (error) {
+        summary.errors += 1;
+        console.error(`⚠️ Could not release scheduled order ${order._id}:`, error.message);
+      }
+    }
+
+    if (summary.checked) {
+      console.log('🗓️ Scheduled order release:', summary);
+    }
+    return summary;
+  } catch (error) {
+    console.error('❌ Scheduled order release failed:', error);
+    return summary;
+  } finally {
+    releasing = false;
+  }
+};
+
+export const startScheduledOrderReleaser = () => {
+  if (timer) return;
+  timer = setInterval(releaseScheduledOrders, intervalSeconds() * 1000);
+  timer.unref();
+  console.log(
+    `🗓️ Scheduled order releaser running every ${intervalSeconds()}s (lead ${kitchenLeadMinutes()} min)`
+  );
+};
+
+export const stopScheduledOrderReleaser = () => {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+};
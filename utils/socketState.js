@@ -0,0 +1,200 @@
+// utils/socketState.js
+// Socket presence and delivery state shared by every instance (PM2 cluster) through Redis.
+// Without REDIS_URL, or with NODE_ENV=test, an in-memory stand-in is used instead:
+// fine for a single process and for tests, but nothing is shared between instances.
+import { createClient } from 'redis';
+
+const KEYS = {
+  userSockets: (userId) => `socket:user:${userId}`, // set of socket ids
+  instanceSockets: (instanceId) => `socket:instance:${instanceId}`, // set of "userId|socketId"
+  activeOrders: 'delivery:active-orders', // hash deliveryId -> [{ orderId, userId }]
+  driverLocations: 'delivery:locations', // hash deliveryId -> { lat, lng, updatedAt }
+};
+
+// PM2 keeps INSTANCE_ID stable across restarts, so a restarted worker can clean up after itself
+const instanceId = () => process.env.INSTANCE_ID ?? String(process.pid);
+
+/**
+ * In-memory stand-in for the handful of Redis commands used here.
+ * Same method names and async signatures as the node-redis v5 client.
+ */
+export class MemoryRedis {
+  constructor() {
+    this.sets = new Map();
+    this.hashes = new Map();
+  }
+
+  async sAdd(key, member) {
+    if (!this.sets.has(key)) this.sets.set(key, new Set());
+    this.sets.get(key).add(member);
+  }
+
+  async sRem(key, member) {
+    const set = this.sets.get(key);
+    if (!set) return;
+    set.delete(member);
+    if (!set.size) this.sets.delete(key);
+  }
+
+  async sMembers(key) {
+    return [...(this.sets.get(key) || [])];
+  }
+
+  async sCard(key) {
+    return this.sets.get(key)?.size || 0;
+  }
+
+  async hSet(key, field, value) {
+    if (!this.hashes.has(key)) this.hashes.set(key, new Map());
+    this.hashes.get(key).set(field, value);
+  }
+
+  async hGet(key, field) {
+    return this.hashes.get(key)?.get(field) ?? null;
+  }
+
+  async hDel(key, field) {
+    this.hashes.get(key)?.delete(field);
+  }
+
+  async hGetAll(key) {
+    return Object.fromEntries(this.hashes.get(key) || []);
+  }
+
+  async del(key) {
+    this.sets.delete(key);
+    this.hashes.delete(key);
+  }
+
+  async close() {}
+}
+
+let store = null;
+let adapterClients = null;
+
+const getStore = () => {
+  if (!store) store = new MemoryRedis();
+  return store;
+};
+
+/**
+ * Connect the state store. Returns the pub/sub clients for the Socket.IO Redis adapter,
+ * or null when running on the in-memory stand-in.
+ */
+export const initSocketState = async () => {
+  const { REDIS_URL, NODE_ENV } = process.env;
+
+  if (!REDIS_URL || NODE_ENV === 'test') {
+    if (!REDIS_URL && NODE_ENV === 'production') {
+      console.warn('⚠️ REDIS_URL is not set: socket state is local to this instance');
+    }
+    store = new MemoryRedis();
+    return null;
+  }
+
+  const pubClient = createClient({ url: REDIS_URL });
+  const subClient = pubClient.duplicate();
+  [pubClient, subClient].forEach((client) =>
+    client.on('error', (err) => console.error('❌ Redis error:', err.message))
+  );
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+
+  store = pubClient;
+  adapterClients = { pubClient, subClient };
+  await purgeInstanceSockets();
+  console.log('✅ Redis connected for socket state');
+  return adapterClients;
+};
+
+export const closeSocketState = async () => {
+  if (adapterClients) {
+    await purgeInstanceSockets();
+    await Promise.all([adapterClients.pubClient.close(), adapterClients.subClient.close()]);
+    adapterClients = null;
+  }
+  store = null;
+};
+
+// ================= Presence =================
+export const addUserSocket = async (userId, socketId) => {
+  await getStore().sAdd(KEYS.userSockets(userId), socketId);
+  await getStore().sAdd(KEYS.instanceSockets(instanceId()), `${userId}|${socketId}`);
+};
+
+export const removeUserSocket = async (userId, socketId) => {
+  await getStore().sRem(KEYS.userSockets(userId), socketId);
+  await getStore().sRem(KEYS.instanceSockets(instanceId()), `${userId}|${socketId}`);
+};
+
+export const countUserSockets = (userId) => getStore().sCard(KEYS.userSockets(userId));
+
+export const isUserOnline = async (userId) => (await countUserSockets(userId)) > 0;
+
+// Drop sockets this instance registered before it (re)started or stopped
+const purgeInstanceSockets = async () => {
+  const key = KEYS.instanceSockets(instanceId());
+  const entries = await getStore().sMembers(key);
+  for (const entry of entries) {
+    const [userId, socketId] = entry.split('|');
+    await getStore().sRem(KEYS.userSockets(userId), socketId);
+  }
+  await getStore().del(key);
+};
+
+// ================= Active delivery orders =================
+const parse = (value) => (value ? JSON.parse(value) : null);
+
+// Entries written before batching held a single { orderId, userId }
+const parseOrders = (value) => {
+  if (!value) return [];
+  const parsed = parse(value);
+  return Array.isArray(parsed) ? parsed : [parsed];
+};
+
+const readOrders = async (deliveryId) =>
+  parseOrders(await getStore().hGet(KEYS.activeOrders, deliveryId.toString()));
+
+const writeOrders = (deliveryId, orders) =>
+  orders.length
+    ? getStore().hSet(KEYS.activeOrders, deliveryId.toString(), JSON.stringify(orders))
+    : getStore().hDel(KEYS.activeOrders, deliveryId.toString());
+
+// deliveryId -> [{ orderId, userId }], one entry per order in the driver's batch
+export const activeDeliveryOrders = {
+  get: readOrders,
+  has: async (deliveryId) => (await readOrders(deliveryId)).length > 0,
+  add: async (deliveryId, { orderId, userId }) => {
+    const orders = (await readOrders(deliveryId)).filter((o) => o.orderId !== orderId.toString());
+    orders.push({ orderId: orderId.toString(), userId: userId.toString() });
+    await writeOrders(deliveryId, orders);
+  },
+  // Drops one order; the driver stops counting as busy with the last one
+  remove: async (deliveryId, orderId) => {
+    const orders = await readOrders(deliveryId);
+    const remaining = orders.filter((o) => o.orderId !== orderId.toString());
+    if (remaining.length !== orders.length) await writeOrders(deliveryId, remaining);
+    return remaining.length !== orders.length;
+  },
+  delete: (deliveryId) => getStore().hDel(KEYS.activeOrders, deliveryId.toString()),
+  entries: async () =>
+    Object.entries(await getStore().hGetAll(KEYS.activeOrders)).map(([id, v]) => [id, parseOrders(v)]),
+  // Add a database snapshot (startup recovery). Merged per driver, never cleared:
+  // other instances share the hash and may have added orders since the snapshot was read
+  mergeAll: async (entries) => {
+    for (const [deliveryId, orders] of entries) {
+      const current = await readOrders(deliveryId);
+      const known = new Set(current.map((o) => o.orderId));
+      const missing = orders.filter((o) => !known.has(o.orderId));
+      if (missing.length) await writeOrders(deliveryId, [...current, ...missing]);
+    }
+  },
+};
+
+// ================= Driver locations =================
+export const setDriverLocation = (deliveryId, location) =>
+  getStore().hSet(KEYS.driverLocations, deliveryId.toString(), JSON.stringify(location));
+
+export const getDriverLocations = async () => {
+  const all = await getStore().hGetAll(KEYS.driverLocations);
+  return new Map(Object.entries(all).map(([id, v]) => [id, parse(v)]));
+};